@@ -1,4 +1,12 @@
+// Firebase settings the browser needs for reader accounts. They identify the
+// project and are public by design; access is guarded by firestore.rules.
+const FIREBASE_SETTINGS = ["API_KEY", "AUTH_DOMAIN", "projectId", "storageBucket", "messagingSenderId", "appId"];
+
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+    env: Object.fromEntries(FIREBASE_SETTINGS
+        .filter((name) => process.env[name])
+        .map((name) => [name, process.env[name]])),
+};
 
 export default nextConfig;
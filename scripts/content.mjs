@@ -0,0 +1,494 @@
+// Content authoring CLI: checks the Markdown in md_content/ and publishes it to
+// Firestore in the layout the site reads (see src/lib/content/documents.js).
+//
+//   npm run content -- validate [subject]           front matter and SEO fields
+//   npm run content -- links [subject]              internal links and images
+//   npm run content -- diff [subject]               local files against Firestore
+//   npm run content -- publish <subject> [topic]    validate, then write to Firestore
+//
+//   --dir <path>   content directory (default CONTENT_DIR or md_content)
+//   --dry-run      show what publish would write without writing
+//
+// Firestore settings come from .env like the site; set FIRESTORE_EMULATOR_HOST
+// (e.g. 127.0.0.1:8080) to work against the emulator. Writes need an account
+// with the `admin` claim (see firestore.rules): CONTENT_EMAIL and
+// CONTENT_PASSWORD sign in with it. With REVALIDATE_SECRET
+// set, publish asks the site (REVALIDATE_URL, default NEXT_PUBLIC_SITE_URL) to
+// refresh the published pages.
+
+import { existsSync, promises as fs, statSync } from "fs";
+import path from "path";
+import nextEnv from "@next/env";
+import { parseDocument, decodeSubject, decodeTopic } from "../src/lib/content/format.js";
+import {
+    INDEX_COLLECTION, INDEX_DOCUMENT, PUBLISH_FIELDS, TOPICS_COLLECTION, TUTORIAL_COLLECTION,
+    toSubjectDocument, toTopicDocument, withIndexEntry, withTopicEntry,
+} from "../src/lib/content/documents.js";
+import { toTopicSummary } from "../src/lib/content/summary.js";
+import { checkLinks, headingIds, validateSubject, validateTopic, validateTopicList } from "../src/lib/content/validate.js";
+
+const USAGE = `usage: npm run content -- <command> [options]
+
+  validate [subject]           check front matter and SEO fields
+  links [subject]              check internal links and images against public/
+  diff [subject]               compare local files with Firestore
+  publish <subject> [topic]    validate, then write a subject or one topic to Firestore
+
+  --dir <path>                 content directory (default CONTENT_DIR or md_content)
+  --dry-run                    show what publish would write without writing
+
+  CONTENT_EMAIL                admin account publish signs in with
+  CONTENT_PASSWORD             its password
+  REVALIDATE_SECRET            refresh the site's cached pages after publishing
+  REVALIDATE_URL               site to refresh (default NEXT_PUBLIC_SITE_URL)`;
+
+function parseArgs(argv) {
+    const options = { dryRun: false, positional: [] };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === "--dry-run") {
+            options.dryRun = true;
+        }
+        else if (arg === "--dir") {
+            options.dir = argv[++index];
+        }
+        else if (arg === "--help" || arg === "-h") {
+            options.help = true;
+        }
+        else {
+            options.positional.push(arg);
+        }
+    }
+    return options;
+}
+
+nextEnv.loadEnvConfig(process.cwd());
+const options = parseArgs(process.argv.slice(2));
+const [command, ...params] = options.positional;
+const contentDir = path.resolve(process.cwd(), options.dir ?? process.env.CONTENT_DIR ?? "md_content");
+const publicDir = path.resolve(process.cwd(), "public");
+
+// Local content
+
+async function readFileIfExists(file) {
+    try {
+        return await fs.readFile(file, "utf8");
+    }
+    catch (error) {
+        if (error.code === "ENOENT") {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// A subject directory as written: index.json, its topics (with the url taken
+// from the file name; the front matter as written is kept for validation),
+// listed topics without a file and .md files index.json doesn't list.
+async function readLocalSubject(id) {
+    const directory = path.join(contentDir, id);
+    const indexSource = await readFileIfExists(path.join(directory, "index.json"));
+    if (indexSource === null) {
+        throw new Error(`${path.relative(process.cwd(), directory)}/index.json not found`);
+    }
+
+    const index = JSON.parse(indexSource);
+    const urls = (Array.isArray(index.content) ? index.content : [])
+        .map((entry) => (typeof entry === "string" ? entry : entry?.url));
+
+    const topics = [];
+    const missing = [];
+    const frontMatter = new Map();
+    for (const url of urls) {
+        const source = await readFileIfExists(path.join(directory, `${url}.md`));
+        if (source === null) {
+            missing.push(url);
+            continue;
+        }
+        const { data, content } = parseDocument(source);
+        frontMatter.set(url, data);
+        topics.push({ ...data, content, url });
+    }
+
+    const files = (await fs.readdir(directory)).filter((file) => file.endsWith(".md"));
+    const unlisted = files.map((file) => file.slice(0, -3)).filter((url) => !urls.includes(url));
+
+    return { id, index, urls, topics, missing, frontMatter, unlisted };
+}
+
+async function listLocalSubjectIds() {
+    const entries = await fs.readdir(contentDir, { withFileTypes: true });
+    return entries
+        .filter((entry) => entry.isDirectory() && existsSync(path.join(contentDir, entry.name, "index.json")))
+        .map((entry) => entry.name);
+}
+
+async function readLocalSubjects(id) {
+    const ids = id ? [id] : await listLocalSubjectIds();
+    return Promise.all(ids.map(readLocalSubject));
+}
+
+function pagePath(subjectId, url) {
+    return subjectId === "blogs" ? `/blogs/${url}` : `/${subjectId}/${url}`;
+}
+
+function publicFileExists(file) {
+    const resolved = path.join(publicDir, file);
+    try {
+        return resolved.startsWith(publicDir) && statSync(resolved).isFile();
+    }
+    catch (error) {
+        return false;
+    }
+}
+
+// Reporting
+
+const totals = { error: 0, warning: 0 };
+
+function report(label, issues) {
+    for (const issue of issues) {
+        totals[issue.level]++;
+        console.log(`${issue.level.padEnd(8)} ${label}: ${issue.message}`);
+    }
+}
+
+function summary() {
+    console.log(`${totals.error} error(s), ${totals.warning} warning(s)`);
+    return totals.error === 0;
+}
+
+// validate
+
+function validateLocalSubject(subject, onlyUrl) {
+    report(`${subject.id}/index.json`, validateSubject(subject.id, subject.index));
+
+    const selected = (url) => !onlyUrl || url === onlyUrl;
+    for (const url of subject.missing.filter(selected)) {
+        report(`${subject.id}/${url}.md`, [{ level: "error", message: "listed in index.json but the file doesn't exist" }]);
+    }
+    for (const topic of subject.topics.filter((topic) => selected(topic.url))) {
+        report(`${subject.id}/${topic.url}.md`,
+            validateTopic({ ...subject.frontMatter.get(topic.url), content: topic.content }, topic.url));
+    }
+    report(subject.id, validateTopicList(subject.topics, subject.id));
+
+    if (!onlyUrl) {
+        report(subject.id, subject.unlisted.map((url) => ({
+            level: "warning",
+            message: `${url}.md isn't listed in index.json and won't be published`,
+        })));
+    }
+}
+
+async function validate(subjectId) {
+    for (const subject of await readLocalSubjects(subjectId)) {
+        validateLocalSubject(subject);
+    }
+    return summary();
+}
+
+// links
+
+async function checkLocalLinks(subjects, onlyUrl) {
+    // every local page, so links between subjects can be checked too
+    const allSubjects = await readLocalSubjects();
+    const pages = new Map([["/", null], ["/search", null]]);
+    for (const subject of allSubjects) {
+        pages.set(`/${subject.id}`, null);
+        for (const topic of subject.topics) {
+            pages.set(pagePath(subject.id, topic.url), headingIds(topic.content));
+        }
+    }
+    const context = {
+        pages,
+        subjects: new Set(allSubjects.map((subject) => subject.id)),
+        publicFileExists,
+    };
+
+    for (const subject of subjects) {
+        const topics = subject.topics.filter((topic) => !onlyUrl || topic.url === onlyUrl);
+        for (const topic of topics) {
+            report(`${subject.id}/${topic.url}.md`, checkLinks(topic.content, pagePath(subject.id, topic.url), context));
+        }
+    }
+}
+
+async function links(subjectId) {
+    await checkLocalLinks(await readLocalSubjects(subjectId));
+    return summary();
+}
+
+// Firestore
+
+let firestore;
+
+async function connect() {
+    if (!firestore) {
+        const sdk = await import("firebase/firestore");
+        const { db } = await import("../src/lib/firebase/firebase.js");
+        firestore = { sdk, db };
+        if (process.env.CONTENT_EMAIL) {
+            const authSdk = await import("firebase/auth");
+            const { auth } = await import("../src/lib/firebase/auth.js");
+            await authSdk.signInWithEmailAndPassword(auth, process.env.CONTENT_EMAIL, process.env.CONTENT_PASSWORD ?? "");
+            firestore.signOut = () => authSdk.signOut(auth);
+        }
+    }
+    return firestore;
+}
+
+// The subject document and its topic documents, as stored.
+async function readRemoteSubject(id) {
+    const { sdk, db } = await connect();
+    const [subjectSnap, topicsSnapshot] = await Promise.all([
+        sdk.getDoc(sdk.doc(db, TUTORIAL_COLLECTION, id)),
+        sdk.getDocs(sdk.collection(db, TUTORIAL_COLLECTION, id, TOPICS_COLLECTION)),
+    ]);
+
+    return {
+        subject: subjectSnap.exists() ? subjectSnap.data() : null,
+        topicDocs: new Map(topicsSnapshot.docs.map((doc) => [doc.id, doc.data()])),
+    };
+}
+
+// Topics as the site sees them: topic documents over the inline copies,
+// decoded to the current format.
+function remoteTopics(remote, subjectId) {
+    const topics = new Map();
+    for (const topic of remote.subject?.content ?? []) {
+        topics.set(topic.url, decodeTopic(topic, subjectId, topic.format ?? remote.subject.format));
+    }
+    for (const [url, data] of remote.topicDocs) {
+        topics.set(url, { ...topics.get(url), ...decodeTopic({ ...data, url }, subjectId) });
+    }
+    return topics;
+}
+
+function same(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function changedFields(local, remote) {
+    const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+    return [...fields]
+        .filter((field) => !PUBLISH_FIELDS.includes(field) && !same(local[field], remote[field]));
+}
+
+// "+3 -1 lines" between two bodies, counting lines regardless of order.
+function lineChanges(before = "", after = "") {
+    const counts = new Map();
+    before.split("\n").forEach((line) => counts.set(line, (counts.get(line) ?? 0) + 1));
+    let added = 0;
+    after.split("\n").forEach((line) => {
+        if (counts.get(line)) {
+            counts.set(line, counts.get(line) - 1);
+        }
+        else {
+            added++;
+        }
+    });
+    const removed = [...counts.values()].reduce((sum, count) => sum + count, 0);
+    return `+${added} -${removed} lines`;
+}
+
+function describeChanges(fields, local, remote) {
+    return fields
+        .map((field) => (field === "content" ? `content (${lineChanges(remote.content, local.content)})` : field))
+        .join(", ");
+}
+
+// Compares a local subject with Firestore: { subjectChanges, topics: [...], remoteOnly }.
+function compare(local, remote) {
+    const localTopics = local.topics.map(toTopicDocument);
+    const existing = remoteTopics(remote, local.id);
+
+    const subjectDocument = toSubjectDocument(local.index, localTopics);
+    const remoteSubject = remote.subject ? decodeSubject({ ...remote.subject, id: local.id }) : null;
+    const subjectChanges = remoteSubject
+        ? changedFields({ ...subjectDocument, content: subjectDocument.content.map((topic) => topic.url) },
+            { ...remoteSubject, id: undefined, content: remoteSubject.content.map((topic) => topic.url) })
+        : null;
+
+    const topics = localTopics.map((topic) => {
+        const current = existing.get(topic.url);
+        if (!current) {
+            return { topic, status: "new" };
+        }
+        const fields = changedFields(topic, current);
+        const status = fields.length > 0 ? "changed" : (remote.topicDocs.has(topic.url) ? "unchanged" : "inline");
+        return { topic, current, status, fields };
+    });
+
+    const remoteOnly = [...existing.keys()].filter((url) => !localTopics.some((topic) => topic.url === url));
+    return { subjectDocument, subjectChanges, topics, remoteOnly };
+}
+
+function printComparison(id, comparison) {
+    console.log(id);
+    if (comparison.subjectChanges === null) {
+        console.log("  + subject (not in Firestore yet)");
+    }
+    else if (comparison.subjectChanges.length > 0) {
+        console.log(`  ~ subject: ${comparison.subjectChanges.join(", ")}`);
+    }
+
+    let unchanged = 0;
+    for (const { topic, current, status, fields } of comparison.topics) {
+        if (status === "new") {
+            console.log(`  + ${topic.url}`);
+        }
+        else if (status === "changed") {
+            console.log(`  ~ ${topic.url}: ${describeChanges(fields, topic, current)}`);
+        }
+        else if (status === "inline") {
+            console.log(`  ~ ${topic.url}: stored inline in the subject document, publish moves it to a topic document`);
+        }
+        else {
+            unchanged++;
+        }
+    }
+    comparison.remoteOnly.forEach((url) => console.log(`  - ${url} (only in Firestore)`));
+    if (unchanged > 0) {
+        console.log(`  = ${unchanged} unchanged topic(s)`);
+    }
+}
+
+async function diff(subjectId) {
+    for (const local of await readLocalSubjects(subjectId)) {
+        printComparison(local.id, compare(local, await readRemoteSubject(local.id)));
+    }
+    return true;
+}
+
+// publish
+
+async function publish(subjectId, topicUrl) {
+    if (!subjectId) {
+        console.error("publish needs a subject, e.g. npm run content -- publish flutter");
+        return false;
+    }
+
+    const local = await readLocalSubject(subjectId);
+    if (topicUrl && !local.urls.includes(topicUrl)) {
+        console.error(`${topicUrl} isn't listed in ${subjectId}/index.json`);
+        return false;
+    }
+
+    validateLocalSubject(local, topicUrl);
+    await checkLocalLinks([local], topicUrl);
+    if (!summary()) {
+        console.error("not published, fix the errors above first");
+        return false;
+    }
+
+    const { sdk, db } = await connect();
+    const remote = await readRemoteSubject(subjectId);
+    if (topicUrl && !remote.subject) {
+        console.error(`${subjectId} isn't in Firestore yet, publish the whole subject first`);
+        return false;
+    }
+
+    const comparison = compare(local, remote);
+    printComparison(subjectId, comparison);
+
+    const now = sdk.Timestamp.now();
+    const writes = [];
+
+    // Topic documents, with updatedAt moved only when something changed.
+    const published = comparison.topics.map(({ topic, current, status }) => {
+        const timestamps = {
+            updatedAt: status === "new" || status === "changed" ? now : (current.updatedAt ?? now),
+            publishedAt: current?.publishedAt ?? now,
+        };
+        const document = { ...topic, ...timestamps };
+        if (status !== "unchanged" && (!topicUrl || topic.url === topicUrl)) {
+            writes.push([sdk.doc(db, TUTORIAL_COLLECTION, subjectId, TOPICS_COLLECTION, topic.url), document]);
+        }
+        return document;
+    });
+
+    // Subject document: all topics in local order, or one topic's entry updated.
+    let subjectDocument;
+    if (topicUrl) {
+        const entry = toTopicSummary(published.find((topic) => topic.url === topicUrl));
+        subjectDocument = { content: withTopicEntry(remote.subject.content ?? [], entry) };
+    }
+    else {
+        subjectDocument = toSubjectDocument(local.index, published);
+        comparison.remoteOnly.forEach((url) => console.log(
+            `warning  ${url} is no longer listed; its data stays in Firestore, delete it by hand if it is gone for good`));
+    }
+    writes.push([sdk.doc(db, TUTORIAL_COLLECTION, subjectId), subjectDocument, { merge: true }]);
+
+    // The subject index only when it exists: creating it with one subject
+    // would hide the others from navigation.
+    const indexRef = sdk.doc(db, INDEX_COLLECTION, INDEX_DOCUMENT);
+    const indexSnap = await sdk.getDoc(indexRef);
+    if (indexSnap.exists()) {
+        writes.push([indexRef, {
+            subjects: withIndexEntry(indexSnap.data().subjects ?? [], subjectId, { ...remote.subject, ...subjectDocument }),
+        }]);
+    }
+
+    for (const [ref] of writes) {
+        console.log(`${options.dryRun ? "would write" : "write"} ${ref.path}`);
+    }
+    if (!options.dryRun) {
+        const batch = sdk.writeBatch(db);
+        writes.forEach(([ref, data, setOptions]) => batch.set(ref, data, setOptions ?? {}));
+        await batch.commit();
+        console.log(`published ${topicUrl ? `${subjectId}/${topicUrl}` : subjectId}`);
+        await revalidate(subjectId);
+    }
+    return true;
+}
+
+// The subject document changes even when one topic is published, so the whole
+// subject is refreshed. A failure only warns: the pages still pick up the
+// content once their cache expires.
+async function revalidate(subjectId) {
+    const secret = process.env.REVALIDATE_SECRET;
+    if (!secret) {
+        console.log("REVALIDATE_SECRET isn't set, the site shows the changes within the hour");
+        return;
+    }
+    const site = (process.env.REVALIDATE_URL || process.env.NEXT_PUBLIC_SITE_URL || "https://www.droidbiz.in").replace(/\/$/, "");
+    try {
+        const response = await fetch(`${site}/api/revalidate`, {
+            method: "POST",
+            headers: { "Authorization": `Bearer ${secret}`, "Content-Type": "application/json" },
+            body: JSON.stringify({ subject: subjectId }),
+        });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        console.log(`revalidated ${subjectId} on ${site}`);
+    }
+    catch (error) {
+        console.warn(`warning  couldn't revalidate ${site}: ${error.message}`);
+    }
+}
+
+const COMMANDS = { validate, links, diff, publish };
+
+if (options.help || !COMMANDS[command]) {
+    console.log(USAGE);
+    process.exitCode = options.help ? 0 : 1;
+}
+else {
+    try {
+        const ok = await COMMANDS[command](...params);
+        process.exitCode = ok ? 0 : 1;
+    }
+    catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+    finally {
+        if (firestore) {
+            await firestore.signOut?.();
+            await firestore.sdk.terminate(firestore.db);
+        }
+    }
+}
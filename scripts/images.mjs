@@ -0,0 +1,87 @@
+// Records the intrinsic size and a blur placeholder of every image under
+// public/assets in src/lib/markdown/image-manifest.json, which Markdown images
+// are rendered from (see src/lib/markdown/images.js). Run it after adding or
+// changing images and commit the manifest; builds only check it.
+//
+//   npm run images              update the manifest
+//   npm run images -- --check   fail when an image is missing from it (prebuild)
+
+import { promises as fs } from "fs";
+import path from "path";
+
+const ASSETS_DIR = "public/assets";
+const MANIFEST = "src/lib/markdown/image-manifest.json";
+const IMAGE_FILE = /\.(png|jpe?g|gif|webp|avif|svg)$/i;
+
+// Width of the blurred preview; next/image scales it up behind the image.
+const BLUR_WIDTH = 10;
+
+const check = process.argv.includes("--check");
+
+async function listImages(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const files = await Promise.all(entries.map((entry) => {
+        const file = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            return listImages(file);
+        }
+        return IMAGE_FILE.test(entry.name) ? [file] : [];
+    }));
+    return files.flat();
+}
+
+// Public path of a file under public/, e.g. "/assets/logo.png".
+function publicPath(file) {
+    return "/" + path.relative("public", file).split(path.sep).join("/");
+}
+
+async function describe(sharp, file) {
+    const image = sharp(file);
+    const { width, height, format } = await image.metadata();
+    if (format === "svg") {
+        return { width, height }; // scales without a placeholder
+    }
+
+    const blur = await image.resize(BLUR_WIDTH).png().toBuffer();
+    return {
+        width,
+        height,
+        blurDataURL: `data:image/png;base64,${blur.toString("base64")}`,
+    };
+}
+
+async function readManifest() {
+    try {
+        return JSON.parse(await fs.readFile(MANIFEST, "utf8"));
+    }
+    catch (error) {
+        if (error.code === "ENOENT") {
+            return {};
+        }
+        throw error;
+    }
+}
+
+const files = (await listImages(ASSETS_DIR)).sort();
+
+if (check) {
+    const manifest = await readManifest();
+    const missing = files.map(publicPath).filter((image) => !manifest[image]);
+    missing.forEach((image) => console.error(`error  ${image} isn't in ${MANIFEST}, run npm run images`));
+    process.exitCode = missing.length > 0 ? 1 : 0;
+}
+else {
+    // only needed to read the images, not to check the manifest
+    const { default: sharp } = await import("sharp");
+    const manifest = {};
+    for (const file of files) {
+        try {
+            manifest[publicPath(file)] = await describe(sharp, file);
+        }
+        catch (error) {
+            console.warn(`warning  ${publicPath(file)}: ${error.message}`);
+        }
+    }
+    await fs.writeFile(MANIFEST, JSON.stringify(manifest, null, 2) + "\n");
+    console.log(`${Object.keys(manifest).length} images in ${MANIFEST}`);
+}
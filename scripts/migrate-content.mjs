@@ -0,0 +1,136 @@
+// Converts content from the legacy "/n" and "/t" encoding (format 1) to plain
+// Markdown with front matter (format 2), see src/lib/content/format.js.
+//
+//   npm run content:migrate -- --local [dir]   md_content/ (or CONTENT_DIR)
+//   npm run content:migrate -- --firestore     tutorial collection and index
+//
+// --dry-run reports what would change without writing anything.
+
+import { promises as fs } from "fs";
+import path from "path";
+import nextEnv from "@next/env";
+import { CONTENT_FORMAT, isLegacyFormat, legacyBodyTab, parseDocument, stringifyDocument } from "../src/lib/content/format.js";
+import { migrateSubject, migrateText, migrateTopic } from "../src/lib/content/migrate.js";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+
+function report(label, warnings) {
+    console.log(`${dryRun ? "would migrate" : "migrated"} ${label}`);
+    warnings.forEach((warning) => console.warn(`  warning: ${warning}`));
+}
+
+async function migrateLocalSubject(directory, id) {
+    const indexFile = path.join(directory, id, "index.json");
+    const index = JSON.parse(await fs.readFile(indexFile, "utf8"));
+    if (!isLegacyFormat(index)) {
+        return;
+    }
+
+    const { subject, warnings } = migrateSubject({ ...index, id });
+    const files = [];
+    for (const fields of subject.content) {
+        const file = path.join(directory, id, `${fields.url}.md`);
+        let body = "";
+        try {
+            const { data, content } = parseDocument(await fs.readFile(file, "utf8"));
+            const result = isLegacyFormat(data)
+                ? migrateText(content, legacyBodyTab(id))
+                : { markdown: content, warnings: [] };
+            body = result.markdown.endsWith("\n") ? result.markdown : `${result.markdown}\n`;
+            warnings.push(...result.warnings.map((warning) => `${id}/${fields.url} content: ${warning}`));
+        }
+        catch (error) {
+            if (error.code !== "ENOENT") {
+                throw error;
+            }
+        }
+
+        const { content, format, ...frontMatter } = fields;
+        files.push([file, stringifyDocument({ format: CONTENT_FORMAT, ...frontMatter }, body)]);
+    }
+
+    const { content, format, id: subjectId, ...subjectFields } = subject;
+    files.push([indexFile, `${JSON.stringify({
+        ...subjectFields,
+        format: CONTENT_FORMAT,
+        content: content.map((topic) => topic.url),
+    }, null, 4)}\n`]);
+
+    if (!dryRun) {
+        for (const [file, source] of files) {
+            await fs.writeFile(file, source);
+        }
+    }
+    report(`${indexFile} and ${subject.content.length} topic files`, warnings);
+}
+
+async function migrateLocal(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    for (const entry of entries.filter((entry) => entry.isDirectory())) {
+        try {
+            await fs.access(path.join(directory, entry.name, "index.json"));
+        }
+        catch (error) {
+            continue;
+        }
+        await migrateLocalSubject(directory, entry.name);
+    }
+}
+
+async function migrateFirestore() {
+    nextEnv.loadEnvConfig(process.cwd());
+    const { collection, doc, getDoc, getDocs, updateDoc } = await import("firebase/firestore");
+    const { db } = await import("../src/lib/firebase/firebase.js");
+
+    const write = (ref, data) => (dryRun ? Promise.resolve() : updateDoc(ref, data));
+
+    const subjects = await getDocs(collection(db, "tutorial"));
+    for (const subjectDoc of subjects.docs) {
+        const data = subjectDoc.data();
+        if (isLegacyFormat(data)) {
+            const { subject, warnings } = migrateSubject({ ...data, id: subjectDoc.id });
+            const { id, ...fields } = subject;
+            await write(subjectDoc.ref, fields);
+            report(`tutorial/${subjectDoc.id}`, warnings);
+        }
+
+        const topics = await getDocs(collection(db, "tutorial", subjectDoc.id, "topics"));
+        for (const topicDoc of topics.docs) {
+            if (!isLegacyFormat(topicDoc.data())) {
+                continue;
+            }
+            const { topic, warnings } = migrateTopic({ url: topicDoc.id, ...topicDoc.data() }, subjectDoc.id);
+            const { url, ...fields } = topic;
+            await write(topicDoc.ref, { ...fields, format: CONTENT_FORMAT });
+            report(`tutorial/${subjectDoc.id}/topics/${topicDoc.id}`, warnings);
+        }
+    }
+
+    const indexRef = doc(db, "tutorial_index", "subjects");
+    const indexSnap = await getDoc(indexRef);
+    const summaries = indexSnap.exists() ? indexSnap.data().subjects : [];
+    if (summaries.some(isLegacyFormat)) {
+        const warnings = [];
+        const migrated = summaries.map((summary) => {
+            const result = migrateSubject(summary);
+            warnings.push(...result.warnings);
+            return result.subject;
+        });
+        await write(indexRef, { subjects: migrated });
+        report("tutorial_index/subjects", warnings);
+    }
+}
+
+if (args.includes("--firestore")) {
+    await migrateFirestore();
+    process.exit(0); // the Firestore client keeps the process alive
+}
+else if (args.includes("--local")) {
+    const directory = args.find((arg) => !arg.startsWith("--")) ?? process.env.CONTENT_DIR ?? "md_content";
+    await migrateLocal(path.resolve(process.cwd(), directory));
+}
+else {
+    console.error("usage: migrate-content (--local [dir] | --firestore) [--dry-run]");
+    process.exit(1);
+}
@@ -1,61 +1,91 @@
-import { getTutorials } from "@/lib/firebase/firestore";
-import Layout from "@/components/Layout";
-import Markdown from 'react-markdown'
-import GoogleAdsenseScript from "@/components/GAdsense";
-import Image from 'next/image'
-import remarkGfm from "remark-gfm";
-import { InArticleAd } from "@/components/AdUnit";
-
-export const dynamic = "force-dynamic"; //for ssr while using app router
+import { notFound } from "next/navigation";
+import { getSubject, getTopic, listSubjects, staticParams } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+import { AdSlot } from "@/components/AdUnit";
+import MarkdownContent from "@/components/MarkdownContent";
+import TableOfContents from "@/components/TableOfContents";
+import { prepareContent, tableOfContents } from "@/lib/markdown";
+import { adPolicyFor } from "@/lib/ads";
+import LessonNavigation, { LessonIndicator } from "@/components/LessonNavigation";
+import ReadingProgress from "@/components/ReadingProgress";
+import BookmarkButton from "@/components/BookmarkButton";
+import LessonNotes from "@/components/LessonNotes";
+import TopicFeedback from "@/components/TopicFeedback";
+import JsonLd from "@/components/JsonLd";
+import { buildMetadata, findFirstImage } from "@/lib/metadata";
+import { articleJsonLd, breadcrumbJsonLd } from "@/lib/structured-data";
+import { SITE_NAME } from "@/lib/site";
+
+// Built with the site. Publishing a topic or its subject refreshes it right
+// away through /api/revalidate; edits made straight in Firestore show up
+// within CONTENT_REVALIDATE_SECONDS.
+export const revalidate = 3600;
+
+export function generateStaticParams() {
+    return staticParams(async () => {
+        const subjects = (await listSubjects()).filter((subject) => subject.id !== "blogs");
+        const details = await Promise.all(subjects.map((subject) => getSubject(subject.id)));
+        return details.filter(Boolean).flatMap((subjectDetails) =>
+            subjectDetails.content.map((topic) => ({ subject: subjectDetails.id, topic: topic.url })));
+    });
+}
 
 export default async function TutorialPage({ params }) {
 
     let subject = params.subject;
     let topic = params.topic;
 
-    const firestoreData = await getTutorials(); //fetch data from firestore
-
-    let subjectDetails;
-    let topicContent;
-
-    firestoreData.map(data => {
-        if (data.id === subject) {
-            subjectDetails = data;
-        }
-    });
-
-    subjectDetails.content.map(data => {
-        if (data.url === topic) {
-            topicContent = data.content.replaceAll("/n", "  \n").replaceAll("/t", " ");
-        }
-    });
-
-    const paragraphs = topicContent.split(/show-adsense-ad/); // Split content
-    const contentWithAds = [];
+    const [subjects, subjectDetails, topicDetails] = await Promise.all([
+        listSubjects(), // lightweight index for navigation
+        getSubject(subject),
+        getTopic(subject, topic),
+    ]);
 
-    paragraphs.forEach((paragraph, index) => {
-        paragraph.replaceAll("show-adsense-ad", " ");
-        contentWithAds.push(<Markdown key={`p-${index}`} remarkPlugins={[remarkGfm]}
-            components={
-                {
-                    img: (props) => (
-                        <Image className="mx-auto" src={props.src} alt={props.alt} />
-                    )
-                }
-            }>{paragraph}</Markdown>);
+    if (!subjectDetails || !topicDetails) {
+        notFound();
+    }
 
-        contentWithAds.push(<InArticleAd key={`ad-${index}`} />);
-    });
+    const adPolicy = adPolicyFor(subjectDetails, topicDetails);
+    const { chunks, headings } = prepareContent(topicDetails.content, { adPolicy });
+    const toc = tableOfContents(headings);
+    const breadcrumbs = [
+        { name: "Home", path: "/" },
+        { name: subjectDetails.name, path: `/${subject}` },
+        { name: topicDetails.title, path: `/${subject}/${topic}` },
+    ];
 
     return (
-        <Layout subjectDetails={subjectDetails} firestoreData={firestoreData}>
-            <div className="min-h-screen flex flex-col bg-white">
-                <div className="md:ml-72 mt-24 ml-9 mr-9 mb-9 prose max-w-none">
-                    {contentWithAds}
-                    <InArticleAd className="p-2 lg:w-3/4 mx-auto" />
+        <AppShell subjectDetails={subjectDetails} subjects={subjects} breadcrumbs={breadcrumbs} sidebarAd={adPolicy && <AdSlot name="sidebar" />}>
+            <JsonLd data={articleJsonLd({
+                type: "TechArticle",
+                title: topicDetails.titleTag ?? topicDetails.title,
+                description: topicDetails.descriptionTag,
+                path: `/${subject}/${topic}`,
+                image: topicDetails.image ?? findFirstImage(topicDetails.content),
+                keywords: topicDetails.keywords,
+                section: subjectDetails.name,
+                publishedTime: topicDetails.publishedAt,
+                modifiedTime: topicDetails.updatedAt,
+            })} />
+            <JsonLd data={breadcrumbJsonLd(breadcrumbs)} />
+            <ReadingProgress subject={subject} topic={topic} />
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className={`mt-6 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none reader ${toc.length > 0 ? "xl:mr-72" : ""}`}>
+                    <div className="not-prose flex flex-wrap items-start justify-between gap-2">
+                        <LessonIndicator subjectDetails={subjectDetails} topic={topic} />
+                        <BookmarkButton subject={subject} topic={topic} title={topicDetails.title} className="mb-4" />
+                    </div>
+                    <TableOfContents headings={toc} />
+                    <MarkdownContent chunks={chunks} subject={subject} topic={topic} />
+                    <div data-lesson-end />
+                    <LessonNotes subject={subject} topic={topic} title={topicDetails.title} />
+                    <LessonNavigation subjectDetails={subjectDetails} topic={topic} />
+                    <TopicFeedback subject={subject} topic={topic} />
+                    {adPolicy && <AdSlot name="article-end" />}
                 </div>
             </div>
-        </Layout>
+            {adPolicy && <AdSlot name="anchor" />}
+        </AppShell>
     )
 }
 
@@ -63,40 +93,26 @@ export async function generateMetadata({ params }) {
     let subject = params.subject;
     let topic = params.topic;
 
-    let title;
-    let desc;
-    let keywords;
-
-    const firestoreData = await getTutorials(); //fetch data from firestore
-
-    let subjectDetails;
+    // both shared with the page render
+    const [subjectDetails, topicDetails] = await Promise.all([
+        getSubject(subject),
+        getTopic(subject, topic),
+    ]);
 
-    firestoreData.map(data => {
-        if (data.id === subject) {
-            subjectDetails = data;
-        }
-    });
+    if (!subjectDetails || !topicDetails) {
+        notFound();
+    }
 
-    subjectDetails.content.map(data => {
-        if (data.url === topic) {
-            title = data.titleTag;
-            desc = data.descriptionTag;
-            keywords = data.keywords;
-        }
+    return buildMetadata({
+        title: topicDetails.titleTag,
+        description: topicDetails.descriptionTag,
+        keywords: topicDetails.keywords,
+        path: `/${subject}/${topic}`,
+        type: "article",
+        image: topicDetails.image ?? findFirstImage(topicDetails.content),
+        section: subjectDetails.name,
+        publishedTime: topicDetails.publishedAt,
+        modifiedTime: topicDetails.updatedAt,
+        feed: { path: `/${subject}`, title: `${subjectDetails.name} - ${SITE_NAME}` },
     });
-
-    return {
-        title: title,
-        description: desc,
-        keywords: keywords,
-        openGraph: {
-            title: title,
-            description: desc,
-            locale: 'en_US',
-            siteName: 'www.droidbiz.in'
-        },
-        verification: {
-            google: 'DzEo_8OpTDL4aq1q8mfcjmCQEaQC5jGbJcOm58hzRhs',
-        }
-    }
 }
@@ -0,0 +1,8 @@
+import { feedResponse } from "@/lib/feed";
+
+export const dynamic = "force-dynamic";
+
+// Atom of a subject's newest topics.
+export function GET(request, { params }) {
+    return feedResponse(request, "atom", params.subject);
+}
@@ -0,0 +1,108 @@
+import { notFound } from "next/navigation";
+import { getSubject, listSubjects, staticParams } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+import TopicCard from "@/components/TopicCard";
+import Markdown from 'react-markdown'
+import Link from 'next/link'
+import remarkGfm from "remark-gfm";
+import { AdSlot } from "@/components/AdUnit";
+import { adPolicyFor } from "@/lib/ads";
+import JsonLd from "@/components/JsonLd";
+import { buildMetadata } from "@/lib/metadata";
+import { breadcrumbJsonLd, courseJsonLd } from "@/lib/structured-data";
+import { SITE_NAME } from "@/lib/site";
+
+// Every subject's topic list is built with the site and rebuilt hourly, or
+// as soon as the subject is published.
+export const revalidate = 3600;
+
+export function generateStaticParams() {
+    return staticParams(async () => {
+        const subjects = await listSubjects();
+        return subjects
+            .filter((subject) => subject.id !== "blogs")
+            .map((subject) => ({ subject: subject.id }));
+    });
+}
+
+export default async function SubjectPage({ params }) {
+
+    let subject = params.subject;
+
+    const [subjects, subjectDetails] = await Promise.all([
+        listSubjects(), // lightweight index for navigation
+        getSubject(subject),
+    ]);
+
+    if (!subjectDetails) {
+        notFound();
+    }
+
+    const topics = subjectDetails.content;
+    const description = subjectDetails.description ?? subjectDetails.descriptionTag ?? "";
+    const breadcrumbs = [
+        { name: "Home", path: "/" },
+        { name: subjectDetails.name, path: `/${subject}` },
+    ];
+
+    return (
+        <AppShell subjectDetails={subjectDetails} subjects={subjects} breadcrumbs={breadcrumbs}>
+            <JsonLd data={courseJsonLd(subjectDetails)} />
+            <JsonLd data={breadcrumbJsonLd(breadcrumbs)} />
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-6 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+                    <h1>{subjectDetails.name}</h1>
+                    <Markdown remarkPlugins={[remarkGfm]}>{description}</Markdown>
+
+                    {topics.length > 0 && (
+                        <div className="not-prose flex flex-wrap items-center gap-4 my-6">
+                            <Link
+                                href={"/" + subjectDetails.id + "/" + topics[0].url}
+                                className="rounded-md bg-teal-700 py-2 px-4 border border-transparent text-center text-sm text-white transition-all shadow-md hover:shadow-lg focus:bg-teal-600 focus:shadow-none active:bg-teal-600 hover:bg-teal-600 active:shadow-none">
+                                Start here: {topics[0].title}
+                            </Link>
+                            <span className="text-sm text-slate-600 dark:text-slate-300">
+                                {topics.length} {topics.length === 1 ? "lesson" : "lessons"}
+                            </span>
+                        </div>
+                    )}
+
+                    <ol className="list-none pl-0">
+                        {
+                            topics.map((data, index) => (
+                                <li key={data.url} className="pl-0">
+                                    <TopicCard
+                                        eyebrow={index === 0 ? `Lesson ${index + 1} · Start here` : `Lesson ${index + 1}`}
+                                        title={data.title}
+                                        shortDesc={data.shortDesc}
+                                        href={"/" + subjectDetails.id + "/" + data.url}
+                                        label={index === 0 ? "Start lesson" : "Read lesson"}
+                                    />
+                                </li>
+                            ))
+                        }
+                    </ol>
+                    {adPolicyFor(subjectDetails) && <AdSlot name="listing-end" />}
+                </div>
+            </div>
+        </AppShell>
+    )
+}
+
+export async function generateMetadata({ params }) {
+    let subject = params.subject;
+
+    const subjectDetails = await getSubject(subject); // shared with the page render
+
+    if (!subjectDetails) {
+        notFound();
+    }
+
+    return buildMetadata({
+        title: subjectDetails.titleTag ?? subjectDetails.name,
+        description: subjectDetails.descriptionTag,
+        keywords: subjectDetails.keywords,
+        path: `/${subject}`,
+        feed: { path: `/${subject}`, title: `${subjectDetails.name} - ${SITE_NAME}` },
+    });
+}
@@ -0,0 +1,37 @@
+import { listSubjects } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+import CommentModeration from "@/components/CommentModeration";
+import { buildMetadata } from "@/lib/metadata";
+
+// A static frame around the moderation queue, which loads in the browser;
+// only its navigation changes, with the subject list.
+export const revalidate = 3600;
+
+// The queue is read in the browser by signed-in admins; firestore.rules keeps
+// everyone else out of it.
+export default async function CommentModerationPage() {
+    const subjects = await listSubjects(); // lightweight index for navigation
+    const breadcrumbs = [
+        { name: "Home", path: "/" },
+        { name: "Comments", path: "/admin/comments" },
+    ];
+
+    return (
+        <AppShell subjects={subjects} breadcrumbs={breadcrumbs}>
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-6 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+                    <h1>Comments</h1>
+                    <CommentModeration />
+                </div>
+            </div>
+        </AppShell>
+    )
+}
+
+export async function generateMetadata() {
+    return buildMetadata({
+        title: "Moderate comments",
+        path: "/admin/comments",
+        noIndex: true, // admins only
+    });
+}
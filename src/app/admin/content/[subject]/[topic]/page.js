@@ -0,0 +1,47 @@
+import { getSubject, listSubjects } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+import TopicEditor from "@/components/TopicEditor";
+import { buildMetadata } from "@/lib/metadata";
+
+// Rendered per request like the subject's page: new topics have urls no one
+// has visited before.
+export const dynamic = "force-dynamic";
+
+// The editor loads the topic, and its draft, from Firestore in the browser; a
+// url without a topic starts a new one.
+export default async function TopicContentPage({ params }) {
+    const subject = params.subject;
+    const topic = params.topic;
+
+    const [subjects, subjectDetails] = await Promise.all([
+        listSubjects(), // lightweight index for navigation
+        getSubject(subject),
+    ]);
+    const title = subjectDetails?.content.find((entry) => entry.url === topic)?.title ?? topic;
+    const breadcrumbs = [
+        { name: "Home", path: "/" },
+        { name: "Content", path: "/admin" },
+        { name: subjectDetails?.name ?? subject, path: `/admin/content/${subject}` },
+        { name: title, path: `/admin/content/${subject}/${topic}` },
+    ];
+
+    // not in the prose column: the preview pane sets its own
+    return (
+        <AppShell subjects={subjects} breadcrumbs={breadcrumbs}>
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-6 ml-9 mr-9 mb-9">
+                    <h1 className="mb-2 text-3xl font-bold text-slate-800 dark:text-slate-100">{title}</h1>
+                    <TopicEditor subjectId={subject} url={topic} />
+                </div>
+            </div>
+        </AppShell>
+    )
+}
+
+export async function generateMetadata({ params }) {
+    return buildMetadata({
+        title: `Edit ${params.subject}/${params.topic}`,
+        path: `/admin/content/${params.subject}/${params.topic}`,
+        noIndex: true, // admins only
+    });
+}
@@ -0,0 +1,44 @@
+import { getSubject, listSubjects } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+import TopicOrganizer from "@/components/TopicOrganizer";
+import { buildMetadata } from "@/lib/metadata";
+
+// Rendered per request: any subject can be opened, also one that isn't on the
+// site yet, and caching a page per url would only fill the cache.
+export const dynamic = "force-dynamic";
+
+// Subjects that aren't on the site yet can still be edited, the topics are
+// read from Firestore in the browser.
+export default async function SubjectContentPage({ params }) {
+    const subject = params.subject;
+
+    const [subjects, subjectDetails] = await Promise.all([
+        listSubjects(), // lightweight index for navigation
+        getSubject(subject),
+    ]);
+    const name = subjectDetails?.name ?? subject;
+    const breadcrumbs = [
+        { name: "Home", path: "/" },
+        { name: "Content", path: "/admin" },
+        { name: name, path: `/admin/content/${subject}` },
+    ];
+
+    return (
+        <AppShell subjects={subjects} breadcrumbs={breadcrumbs}>
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-6 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+                    <h1>{name}</h1>
+                    <TopicOrganizer subjectId={subject} />
+                </div>
+            </div>
+        </AppShell>
+    )
+}
+
+export async function generateMetadata({ params }) {
+    return buildMetadata({
+        title: `Edit ${params.subject}`,
+        path: `/admin/content/${params.subject}`,
+        noIndex: true, // admins only
+    });
+}
@@ -0,0 +1,37 @@
+import { listSubjects } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+import SubjectBrowser from "@/components/SubjectBrowser";
+import { buildMetadata } from "@/lib/metadata";
+
+// A static frame around the subject list, which loads in the browser; only
+// its navigation changes, with the subject index.
+export const revalidate = 3600;
+
+// The admin pages read and write Firestore in the browser, as the signed-in
+// admin; the server only renders their frame.
+export default async function AdminPage() {
+    const subjects = await listSubjects(); // lightweight index for navigation
+    const breadcrumbs = [
+        { name: "Home", path: "/" },
+        { name: "Content", path: "/admin" },
+    ];
+
+    return (
+        <AppShell subjects={subjects} breadcrumbs={breadcrumbs}>
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-6 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+                    <h1>Content</h1>
+                    <SubjectBrowser />
+                </div>
+            </div>
+        </AppShell>
+    )
+}
+
+export async function generateMetadata() {
+    return buildMetadata({
+        title: "Edit content",
+        path: "/admin",
+        noIndex: true, // admins only
+    });
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server";
+import { listApprovedComments } from "@/lib/firebase/comments";
+import { toThreads } from "@/lib/feedback/documents";
+
+export const dynamic = "force-dynamic";
+
+const SLUG = /^[\w-]+$/;
+
+// Approved comments under a tutorial or blog post, read by the page's comment
+// section so readers don't load Firebase just to see them. Newly approved
+// comments show up within a minute.
+export async function GET(request) {
+    const { searchParams } = new URL(request.url);
+    const subject = searchParams.get("subject") ?? "";
+    const topic = searchParams.get("topic") ?? "";
+    if (!SLUG.test(subject) || !SLUG.test(topic)) {
+        return NextResponse.json({ error: "subject and topic are required" }, { status: 400 });
+    }
+
+    try {
+        const threads = toThreads(await listApprovedComments(subject, topic));
+        return NextResponse.json({ threads }, {
+            headers: { "Cache-Control": "public, s-maxage=60, stale-while-revalidate=300" },
+        });
+    }
+    catch (error) {
+        return NextResponse.json({ error: "Comments are unavailable right now" }, { status: 503 });
+    }
+}
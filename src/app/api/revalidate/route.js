@@ -0,0 +1,48 @@
+import { timingSafeEqual } from "crypto";
+import { NextResponse } from "next/server";
+import { revalidatePath, revalidateTag } from "next/cache";
+import { revalidationTargets } from "@/lib/content/tags";
+import { isAdminToken } from "@/lib/firebase/verify-admin";
+
+export const dynamic = "force-dynamic";
+
+const SLUG = /^[\w-]+$/;
+
+function matchesSecret(token, secret) {
+    const given = Buffer.from(token);
+    const expected = Buffer.from(secret);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+async function authorized(request) {
+    const token = (request.headers.get("authorization") ?? "").replace(/^Bearer\s+/i, "");
+    const secret = process.env.REVALIDATE_SECRET;
+    if (secret && matchesSecret(token, secret)) {
+        return true;
+    }
+    return isAdminToken(token);
+}
+
+// Refreshes the cached content and pages of a published subject, or of one of
+// its topics: POST { subject, topic? } with "Authorization: Bearer <token>",
+// the token being REVALIDATE_SECRET (`npm run content -- publish`, or a
+// Firestore trigger when content is edited there directly) or the Firebase ID
+// token of an admin (the admin editor).
+export async function POST(request) {
+    if (!(await authorized(request))) {
+        return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => null);
+    const { subject, topic } = body ?? {};
+    if (typeof subject !== "string" || !SLUG.test(subject)
+        || (topic !== undefined && (typeof topic !== "string" || !SLUG.test(topic)))) {
+        return NextResponse.json({ error: "Expected { subject, topic? } with slugs" }, { status: 400 });
+    }
+
+    const { tags, paths } = revalidationTargets(subject, topic);
+    tags.forEach((tag) => revalidateTag(tag));
+    paths.forEach((path) => revalidatePath(path));
+
+    return NextResponse.json({ revalidated: true, tags, paths, now: Date.now() });
+}
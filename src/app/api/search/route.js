@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { searchSite } from "@/lib/search";
+
+export const dynamic = "force-dynamic";
+
+const MAX_LIMIT = 20;
+
+// Search-as-you-type results for the menu bar search box.
+export async function GET(request) {
+    const { searchParams } = new URL(request.url);
+    const query = (searchParams.get("q") ?? "").trim();
+    const limit = Math.max(1, Math.min(Number.parseInt(searchParams.get("limit"), 10) || 8, MAX_LIMIT));
+
+    if (!query) {
+        return NextResponse.json({ query, results: [] });
+    }
+
+    try {
+        const results = await searchSite(query, { limit });
+        return NextResponse.json({ query, results });
+    }
+    catch (error) {
+        return NextResponse.json({ query, error: "Search is unavailable right now" }, { status: 503 });
+    }
+}
@@ -0,0 +1,8 @@
+import { feedResponse } from "@/lib/feed";
+
+export const dynamic = "force-dynamic";
+
+// Atom of the newest blog posts and tutorial topics.
+export function GET(request) {
+    return feedResponse(request, "atom");
+}
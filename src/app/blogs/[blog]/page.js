@@ -1,101 +1,119 @@
-import { getTutorials } from "@/lib/firebase/firestore";
-import BlogLayout from "@/components/BlogLayout";
-import Markdown from 'react-markdown'
-import GoogleAdsenseScript from "@/components/GAdsense";
-import Image from 'next/image'
-import remarkGfm from "remark-gfm";
-import { InArticleAd } from "@/components/AdUnit";
+import { notFound } from "next/navigation";
+import { getSubject, getTopic, listSubjects, staticParams } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+import { AdSlot } from "@/components/AdUnit";
+import MarkdownContent from "@/components/MarkdownContent";
+import BookmarkButton from "@/components/BookmarkButton";
+import LessonNotes from "@/components/LessonNotes";
+import TopicFeedback from "@/components/TopicFeedback";
+import PostByline from "@/components/PostByline";
+import TagList from "@/components/TagList";
+import TableOfContents from "@/components/TableOfContents";
+import { prepareContent, tableOfContents } from "@/lib/markdown";
+import { adPolicyFor } from "@/lib/ads";
+import JsonLd from "@/components/JsonLd";
+import { buildMetadata, findFirstImage } from "@/lib/metadata";
+import { articleJsonLd, breadcrumbJsonLd } from "@/lib/structured-data";
+import { SITE_NAME } from "@/lib/site";
+import { BLOG_SUBJECT, listPosts, postAuthor, postDate, postTags, readingTime } from "@/lib/blog";
 
-export const dynamic = "force-dynamic"; //for ssr while using app router
+// Posts are built with the site and refreshed when published, or hourly.
+export const revalidate = 3600;
+
+export function generateStaticParams() {
+    return staticParams(async () => {
+        const subjectDetails = await getSubject(BLOG_SUBJECT);
+        return listPosts(subjectDetails).map((blog) => ({ blog: blog.url }));
+    });
+}
 
 export default async function BlogPage({ params }) {
   
     let blog = params.blog;
 
-    const firestoreData = await getTutorials(); //fetch data from firestore
-
-    let subjectDetails;
-    let topicContent;
-
-    firestoreData.map(data => {
-        if(data.id === "blogs"){
-            subjectDetails = data;
-        }
-    });
-
-    subjectDetails.content.map(data => {
-        if(data.url === blog) {
-            topicContent = data.content.replaceAll("/n", "  \n").replaceAll("/t", " \t");
-        }
-    });
-
-    const paragraphs = topicContent.split(/show-adsense-ad/); // Split content
-    const contentWithAds = [];
-
-    paragraphs.forEach((paragraph, index) => {
-        paragraph.replaceAll("show-adsense-ad", " ");
-        contentWithAds.push(<Markdown key={`p-${index}`} remarkPlugins={[remarkGfm]}
-            components={
-                {
-                    img: (props) => (
-                        <Image className="mx-auto" src={props.src} alt={props.alt} />
-                    )
-                }
-            }>{paragraph}</Markdown>);
+    const [subjects, subjectDetails, blogDetails] = await Promise.all([
+        listSubjects(), // lightweight index for navigation
+        getSubject(BLOG_SUBJECT),
+        getTopic(BLOG_SUBJECT, blog),
+    ]);
 
-        contentWithAds.push(<InArticleAd key={`ad-${index}`} />);
-    });
+    if (!subjectDetails || !blogDetails) {
+        notFound();
+    }
 
+    const adPolicy = adPolicyFor(subjectDetails, blogDetails);
+    const { chunks, headings } = prepareContent(blogDetails.content, { adPolicy });
+    const toc = tableOfContents(headings);
+    const author = postAuthor(blogDetails, subjectDetails);
+    const tags = postTags(blogDetails);
+    const breadcrumbs = [
+        { name: "Home", path: "/" },
+        { name: "Blog", path: "/blogs" },
+        { name: blogDetails.title, path: `/blogs/${blog}` },
+    ];
 
     return (
-        <BlogLayout subjectDetails = {subjectDetails} firestoreData = {firestoreData}>
-            <div className="min-h-screen flex flex-col bg-white">
-                <div className="mt-24 ml-9 mr-9 mb-9 prose max-w-none">
-                    {contentWithAds}
-                    <InArticleAd className="p-2 lg:w-3/4 mx-auto" />
+        <AppShell subjects={subjects} breadcrumbs={breadcrumbs}>
+            <JsonLd data={articleJsonLd({
+                type: "BlogPosting",
+                title: blogDetails.titleTag ?? blogDetails.title,
+                description: blogDetails.descriptionTag,
+                path: `/blogs/${blog}`,
+                image: blogDetails.image ?? findFirstImage(blogDetails.content),
+                keywords: blogDetails.keywords,
+                author: author,
+                publishedTime: postDate(blogDetails),
+                modifiedTime: blogDetails.updatedAt,
+            })} />
+            <JsonLd data={breadcrumbJsonLd(breadcrumbs)} />
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className={`mt-6 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none reader ${toc.length > 0 ? "xl:mr-72" : ""}`}>
+                    <div className="not-prose flex flex-wrap items-start justify-between gap-2">
+                        <PostByline
+                            author={author}
+                            publishedAt={postDate(blogDetails)}
+                            updatedAt={blogDetails.updatedAt}
+                            minutes={readingTime(blogDetails.content)}
+                            className="mb-4"
+                        />
+                        <BookmarkButton subject={BLOG_SUBJECT} topic={blog} title={blogDetails.title} className="mb-4" />
+                    </div>
+                    <TableOfContents headings={toc} />
+                    <MarkdownContent chunks={chunks} subject={BLOG_SUBJECT} topic={blog} />
+                    <TagList tags={tags} className="mt-8" />
+                    <LessonNotes subject={BLOG_SUBJECT} topic={blog} title={blogDetails.title} />
+                    <TopicFeedback subject={BLOG_SUBJECT} topic={blog} />
+                    {adPolicy && <AdSlot name="article-end" />}
                 </div>
             </div>
-        </BlogLayout>
+            {adPolicy && <AdSlot name="anchor" />}
+        </AppShell>
     )
   }
 
   export async function generateMetadata({ params }) {
     let blog = params.blog;
 
-    let title;
-    let desc;
-    let keywords;
+    const [subjectDetails, blogDetails] = await Promise.all([ // shared with the page render
+        getSubject(BLOG_SUBJECT),
+        getTopic(BLOG_SUBJECT, blog),
+    ]);
 
-    const firestoreData = await getTutorials(); //fetch data from firestore
-  
-    let subjectDetails;
-  
-    firestoreData.map(data => {
-        if(data.id === "blogs"){
-            subjectDetails = data;
-        }
-    });
+    if (!blogDetails) {
+        notFound();
+    }
 
-    subjectDetails.content.map(data => {
-        if(data.url === blog) {
-            title = data.titleTag;
-            desc = data.descriptionTag;
-            keywords = data.keywords;
-        }
+    return buildMetadata({
+        title: blogDetails.titleTag,
+        description: blogDetails.descriptionTag,
+        keywords: blogDetails.keywords,
+        path: `/blogs/${blog}`,
+        type: "article",
+        image: blogDetails.image ?? findFirstImage(blogDetails.content),
+        publishedTime: postDate(blogDetails),
+        modifiedTime: blogDetails.updatedAt,
+        author: postAuthor(blogDetails, subjectDetails),
+        tags: postTags(blogDetails).map((tag) => tag.name),
+        feed: { path: "/blogs", title: `Blog - ${SITE_NAME}` },
     });
-  
-    return {
-        title: title,
-        description: desc,
-        keywords: keywords,
-        openGraph: {
-            title: title,
-            description: desc,
-            locale: 'en_US',
-            siteName: 'www.droidbiz.in'
-        },
-        verification: {
-            google: 'DzEo_8OpTDL4aq1q8mfcjmCQEaQC5jGbJcOm58hzRhs',
-          }
-      }
   }
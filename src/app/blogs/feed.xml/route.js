@@ -0,0 +1,9 @@
+import { feedResponse } from "@/lib/feed";
+import { BLOG_SUBJECT } from "@/lib/blog";
+
+export const dynamic = "force-dynamic";
+
+// RSS 2.0 of the newest blog posts.
+export function GET(request) {
+    return feedResponse(request, "rss", BLOG_SUBJECT);
+}
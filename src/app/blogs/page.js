@@ -0,0 +1,58 @@
+import { getSubject, listSubjects } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+import BlogListing from "@/components/BlogListing";
+import { AdSlot } from "@/components/AdUnit";
+import { adPolicyFor } from "@/lib/ads";
+import JsonLd from "@/components/JsonLd";
+import { buildMetadata } from "@/lib/metadata";
+import { breadcrumbJsonLd } from "@/lib/structured-data";
+import { BLOG_SUBJECT, blogPageHref, listPosts, listTags, paginate, sortPosts } from "@/lib/blog";
+import { SITE_NAME } from "@/lib/site";
+
+// The newest posts; rebuilt when a post is published, or hourly.
+export const revalidate = 3600;
+
+export default async function BlogsPage() {
+    const [subjects, blogDetails] = await Promise.all([
+        listSubjects(), // lightweight index for navigation
+        getSubject(BLOG_SUBJECT),
+    ]);
+
+    const posts = sortPosts(listPosts(blogDetails));
+    const { items, page, pageCount } = paginate(posts, 1);
+    const breadcrumbs = [
+        { name: "Home", path: "/" },
+        { name: "Blog", path: "/blogs" },
+    ];
+
+    return (
+        <AppShell subjects={subjects} breadcrumbs={breadcrumbs}>
+            <JsonLd data={breadcrumbJsonLd(breadcrumbs)} />
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-6 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+                    <BlogListing
+                        title="Blog"
+                        intro={blogDetails?.descriptionTag}
+                        posts={items}
+                        blogDetails={blogDetails}
+                        tags={listTags(posts)}
+                        pagination={{ page, pageCount, href: blogPageHref }}
+                    />
+                    {adPolicyFor(blogDetails) && <AdSlot name="listing-end" />}
+                </div>
+            </div>
+        </AppShell>
+    )
+}
+
+export async function generateMetadata() {
+    const blogDetails = await getSubject(BLOG_SUBJECT); // shared with the page render
+
+    return buildMetadata({
+        title: `Blog - ${SITE_NAME}`,
+        description: blogDetails?.descriptionTag,
+        keywords: blogDetails?.keywords,
+        path: "/blogs",
+        feed: { path: "/blogs", title: `Blog - ${SITE_NAME}` },
+    });
+}
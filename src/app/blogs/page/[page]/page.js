@@ -0,0 +1,77 @@
+import { notFound, redirect } from "next/navigation";
+import { getSubject, listSubjects, staticParams } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+import BlogListing from "@/components/BlogListing";
+import { AdSlot } from "@/components/AdUnit";
+import { adPolicyFor } from "@/lib/ads";
+import JsonLd from "@/components/JsonLd";
+import { buildMetadata } from "@/lib/metadata";
+import { breadcrumbJsonLd } from "@/lib/structured-data";
+import { BLOG_SUBJECT, blogPageHref, listPosts, pageCount, paginate, parsePage, sortPosts } from "@/lib/blog";
+import { SITE_NAME } from "@/lib/site";
+
+// A new post moves every post down a page, so the numbered pages are rebuilt
+// along with /blogs when the blog is published, or hourly.
+export const revalidate = 3600;
+
+export function generateStaticParams() {
+    return staticParams(async () => {
+        const blogDetails = await getSubject(BLOG_SUBJECT);
+        const count = pageCount(listPosts(blogDetails));
+        return Array.from({ length: count - 1 }, (_, index) => ({ page: String(index + 2) }));
+    });
+}
+
+export default async function BlogsPageN({ params }) {
+    const number = parsePage(params.page);
+    if (number === 1) {
+        redirect("/blogs");
+    }
+
+    const [subjects, blogDetails] = await Promise.all([
+        listSubjects(), // lightweight index for navigation
+        getSubject(BLOG_SUBJECT),
+    ]);
+
+    const listing = paginate(sortPosts(listPosts(blogDetails)), number);
+    if (!listing) {
+        notFound();
+    }
+
+    const breadcrumbs = [
+        { name: "Home", path: "/" },
+        { name: "Blog", path: "/blogs" },
+        { name: `Page ${number}`, path: blogPageHref(number) },
+    ];
+
+    return (
+        <AppShell subjects={subjects} breadcrumbs={breadcrumbs}>
+            <JsonLd data={breadcrumbJsonLd(breadcrumbs)} />
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-6 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+                    <BlogListing
+                        title={`Blog, page ${number} of ${listing.pageCount}`}
+                        posts={listing.items}
+                        blogDetails={blogDetails}
+                        pagination={{ page: number, pageCount: listing.pageCount, href: blogPageHref }}
+                    />
+                    {adPolicyFor(blogDetails) && <AdSlot name="listing-end" />}
+                </div>
+            </div>
+        </AppShell>
+    )
+}
+
+export async function generateMetadata({ params }) {
+    const number = parsePage(params.page);
+    const blogDetails = await getSubject(BLOG_SUBJECT); // shared with the page render
+    if (number === null || number > pageCount(listPosts(blogDetails))) {
+        notFound();
+    }
+
+    return buildMetadata({
+        title: `Blog, page ${number} - ${SITE_NAME}`,
+        path: blogPageHref(number),
+        feed: { path: "/blogs", title: `Blog - ${SITE_NAME}` },
+    });
+}
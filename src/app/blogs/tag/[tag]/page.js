@@ -0,0 +1,77 @@
+import { notFound } from "next/navigation";
+import { getSubject, listSubjects, staticParams } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+import BlogListing from "@/components/BlogListing";
+import { AdSlot } from "@/components/AdUnit";
+import { adPolicyFor } from "@/lib/ads";
+import JsonLd from "@/components/JsonLd";
+import { buildMetadata } from "@/lib/metadata";
+import { breadcrumbJsonLd } from "@/lib/structured-data";
+import { BLOG_SUBJECT, listPosts, listTags, postsWithTag, sortPosts } from "@/lib/blog";
+import { SITE_NAME } from "@/lib/site";
+
+// Tags in use when the site is built; tags added later are rendered on their
+// first visit. All are rebuilt when the blog is published, or hourly.
+export const revalidate = 3600;
+
+export function generateStaticParams() {
+    return staticParams(async () => {
+        const blogDetails = await getSubject(BLOG_SUBJECT);
+        return listTags(listPosts(blogDetails)).map((tag) => ({ tag: tag.slug }));
+    });
+}
+
+// Every post with the tag, newest first. Tags stay small enough to list on
+// one page.
+export default async function TagArchivePage({ params }) {
+    const [subjects, blogDetails] = await Promise.all([
+        listSubjects(), // lightweight index for navigation
+        getSubject(BLOG_SUBJECT),
+    ]);
+
+    const allPosts = listPosts(blogDetails);
+    const tag = listTags(allPosts).find((entry) => entry.slug === params.tag);
+    if (!tag) {
+        notFound();
+    }
+
+    const posts = sortPosts(postsWithTag(allPosts, tag.slug));
+    const breadcrumbs = [
+        { name: "Home", path: "/" },
+        { name: "Blog", path: "/blogs" },
+        { name: `#${tag.name}`, path: `/blogs/tag/${tag.slug}` },
+    ];
+
+    return (
+        <AppShell subjects={subjects} breadcrumbs={breadcrumbs}>
+            <JsonLd data={breadcrumbJsonLd(breadcrumbs)} />
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-6 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+                    <BlogListing
+                        title={`Posts tagged #${tag.name}`}
+                        intro={`${posts.length} ${posts.length === 1 ? "post" : "posts"}`}
+                        posts={posts}
+                        blogDetails={blogDetails}
+                    />
+                    {adPolicyFor(blogDetails) && <AdSlot name="listing-end" />}
+                </div>
+            </div>
+        </AppShell>
+    )
+}
+
+export async function generateMetadata({ params }) {
+    const blogDetails = await getSubject(BLOG_SUBJECT); // shared with the page render
+    const tag = listTags(listPosts(blogDetails)).find((entry) => entry.slug === params.tag);
+
+    if (!tag) {
+        notFound();
+    }
+
+    return buildMetadata({
+        title: `Posts tagged ${tag.name} - ${SITE_NAME}`,
+        description: `${SITE_NAME} blog posts about ${tag.name}.`,
+        path: `/blogs/tag/${tag.slug}`,
+        feed: { path: "/blogs", title: `Blog - ${SITE_NAME}` },
+    });
+}
@@ -0,0 +1,37 @@
+'use client'
+
+import { useEffect } from 'react'
+import Link from 'next/link'
+import AppShell from '@/components/AppShell'
+
+export default function Error({ error, reset }) {
+    useEffect(() => {
+        console.error(error);
+    }, [error]);
+
+    return (
+        <AppShell>
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-9 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+                    <div className="relative flex flex-col my-6 bg-white dark:bg-slate-900 shadow-sm border border-slate-200 dark:border-slate-700 rounded-lg">
+                        <div className="p-4">
+                            <h1 className="mb-2 text-slate-800 dark:text-slate-100 text-xl font-semibold">Something went wrong</h1>
+                            <p className="text-slate-600 dark:text-slate-300 leading-normal font-light">
+                                We could not load this page right now. Please try again in a moment.
+                            </p>
+                            <button
+                                onClick={() => reset()}
+                                className="rounded-md bg-teal-700 py-2 px-4 mt-6 border border-transparent text-center text-sm text-white transition-all shadow-md hover:shadow-lg focus:bg-teal-600 focus:shadow-none active:bg-teal-600 hover:bg-teal-600 active:shadow-none"
+                                type="button">
+                                Try again
+                            </button>
+                            <Link href="/" className="ml-4 text-sm text-teal-700 dark:text-teal-300 hover:text-teal-600 dark:hover:text-teal-200">
+                                Back to home
+                            </Link>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </AppShell>
+    )
+}
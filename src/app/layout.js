@@ -4,20 +4,46 @@ import "./globals.css";
 import Script from 'next/script';
 import Head from "next/head";
 import GoogleAdsenseScript from "@/components/GAdsense";
+import ConsentManager from "@/components/ConsentManager";
+import AdDiagnostics from "@/components/AdDiagnostics";
+import { AD_PREVIEW } from "@/lib/ads";
+import { themeScript } from "@/lib/theme";
+import { GOOGLE_SITE_VERIFICATION, SITE_DESCRIPTION, SITE_LOCALE, SITE_LOGO, SITE_NAME, SITE_TITLE, SITE_URL } from "@/lib/site";
 
 const inter = Inter({ subsets: ["latin"] });
 
+// Site-wide defaults, pages override them through buildMetadata (src/lib/metadata.js)
 export const metadata = {
-  title: "",
-  description: "",
+  metadataBase: new URL(SITE_URL),
+  title: SITE_TITLE,
+  description: SITE_DESCRIPTION,
+  applicationName: SITE_NAME,
+  openGraph: {
+    siteName: SITE_NAME,
+    locale: SITE_LOCALE,
+    type: "website",
+    images: [SITE_LOGO],
+  },
+  twitter: {
+    card: "summary",
+  },
+  verification: {
+    google: GOOGLE_SITE_VERIFICATION,
+  },
 };
 
 export default function RootLayout({ children }) {
   return (
-    <html lang="en">
+    // the theme script sets the theme class on <html> before React hydrates
+    <html lang="en" suppressHydrationWarning>
+      <head>
+        <script dangerouslySetInnerHTML={{ __html: themeScript }} />
+      </head>
       <body className={inter.className}>
        <GoogleAdsenseScript/>
         {children}
+        <ConsentManager />
+        {AD_PREVIEW && <AdDiagnostics />}
       </body>   
     </html>
   );
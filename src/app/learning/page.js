@@ -0,0 +1,39 @@
+import { listSubjects } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+import MyLearning from "@/components/MyLearning";
+import { buildMetadata } from "@/lib/metadata";
+import { BLOG_SUBJECT } from "@/lib/blog";
+
+// Only the subject list comes from the server, kept as fresh as the
+// navigation; the reader's progress, bookmarks and notes load in the browser.
+export const revalidate = 3600;
+
+// The reader's bookmarks, notes and progress are loaded in the browser; the
+// page itself only knows the subjects.
+export default async function LearningPage() {
+    const subjects = await listSubjects(); // lightweight index for navigation
+    const breadcrumbs = [
+        { name: "Home", path: "/" },
+        { name: "My learning", path: "/learning" },
+    ];
+
+    return (
+        <AppShell subjects={subjects} breadcrumbs={breadcrumbs}>
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-6 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+                    <h1>My learning</h1>
+                    <MyLearning subjects={subjects.filter((subject) => subject.id !== BLOG_SUBJECT)} />
+                </div>
+            </div>
+        </AppShell>
+    )
+}
+
+export async function generateMetadata() {
+    return buildMetadata({
+        title: "My learning",
+        description: "Your bookmarks, notes and progress through the tutorials.",
+        path: "/learning",
+        noIndex: true, // different for every reader
+    });
+}
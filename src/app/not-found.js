@@ -0,0 +1,35 @@
+import Link from 'next/link'
+import AppShell from "@/components/AppShell";
+import { listSubjects } from "@/lib/content";
+
+export default async function NotFound() {
+    let subjects = [];
+    try {
+        subjects = await listSubjects(); // keep the subjects menu on the 404 page
+    }
+    catch (error) {
+        // content backend is down, render the page without the menu entries
+    }
+
+    return (
+        <AppShell subjects={subjects}>
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-9 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+                    <div className="relative flex flex-col my-6 bg-white dark:bg-slate-900 shadow-sm border border-slate-200 dark:border-slate-700 rounded-lg">
+                        <div className="p-4">
+                            <h1 className="mb-2 text-slate-800 dark:text-slate-100 text-xl font-semibold">Page not found</h1>
+                            <p className="text-slate-600 dark:text-slate-300 leading-normal font-light">
+                                The tutorial or blog you are looking for does not exist or has been moved.
+                            </p>
+                            <Link
+                                href="/"
+                                className="no-underline rounded-md bg-teal-700 py-2 px-4 mt-6 border border-transparent text-center text-sm text-white transition-all shadow-md hover:shadow-lg focus:bg-teal-600 focus:shadow-none active:bg-teal-600 hover:bg-teal-600 active:shadow-none">
+                                Back to home
+                            </Link>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </AppShell>
+    )
+}
@@ -1,95 +1,55 @@
-import { getTutorials } from "@/lib/firebase/firestore";
-import BlogLayout from "@/components/BlogLayout";
-import TestAd from "@/components/TestAd";
-
-import Markdown from 'react-markdown'
-import Image from 'next/image'
-import GoogleAdsenseScript from "@/components/GAdsense";
-import remarkGfm from "remark-gfm";
-import { InArticleAd } from "@/components/AdUnit";
-import Link from 'next/link'
-
-export const dynamic = "force-dynamic"; //for ssr while using app router
+import { getSubject, listSubjects } from "@/lib/content";
+import AppShell from "@/components/AppShell";
+
+import BlogListing, { AllPostsLink } from "@/components/BlogListing";
+import { AdSlot } from "@/components/AdUnit";
+import { adPolicyFor } from "@/lib/ads";
+import JsonLd from "@/components/JsonLd";
+import { buildMetadata } from "@/lib/metadata";
+import { websiteJsonLd } from "@/lib/structured-data";
+import { SITE_DESCRIPTION, SITE_TITLE } from "@/lib/site";
+import { BLOG_SUBJECT, LATEST_POSTS, listPosts, listTags, sortPosts } from "@/lib/blog";
+
+// Subjects and the latest posts. Publishing the blog or a subject refreshes
+// it right away (lib/content/tags.js), otherwise it is rebuilt hourly.
+export const revalidate = 3600;
 
 export default async function Home() {
-  const firestoreData = await getTutorials(); //fetch data from firestore
-
-  let subjectDetails;
-  let topicContent;
-
-  firestoreData.map(data => {
-    if (data.id === "blogs") {
-      subjectDetails = data;
-    }
-  });
+  const [subjects, subjectDetails] = await Promise.all([
+    listSubjects(), // lightweight index for navigation
+    getSubject(BLOG_SUBJECT),
+  ]);
+  const posts = sortPosts(listPosts(subjectDetails));
 
   return (
     <>
-      <BlogLayout subjectDetails={subjectDetails} firestoreData={firestoreData}>
+      <JsonLd data={websiteJsonLd()} />
+      <AppShell subjects={subjects}>
         <div className="min-h-screen flex flex-col">
-          <div className="mt-24 ml-9 mr-9 mb-9 prose max-w-none">
-            {
-              subjectDetails.content.map((data) => {
-                return (
-                  <div class="relative flex flex-col my-6 bg-white shadow-sm border border-slate-200 rounded-lg">
-                    <div class="p-4">
-                      <h5 class="mb-2 text-slate-800 text-xl font-semibold">
-                        {data.title}
-                      </h5>
-                      <p class="text-slate-600 leading-normal font-light">
-                        <Markdown remarkPlugins={[remarkGfm]}>
-                          {data.shortDesc.replaceAll("/n", "  \n").replaceAll("/t", " \t")}
-                        </Markdown>
-                      </p>
-
-                      <Link
-                        href={"/" + subjectDetails.id + "/" + data.url}
-                        class="rounded-md bg-teal-700 py-2 px-4 mt-6 border border-transparent text-center text-sm text-white transition-all shadow-md hover:shadow-lg focus:bg-teal-600 focus:shadow-none active:bg-teal-600 hover:bg-teal-600 active:shadow-none disabled:pointer-events-none disabled:opacity-50 disabled:shadow-none"
-                        type="button">
-                        Read more
-                      </Link>
-                    </div>
-                  </div>
-                );
-              })
-            }
-            <InArticleAd className="p-2 lg:w-3/4 mx-auto" />
+          <div className="mt-9 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+            <BlogListing
+              posts={posts.slice(0, LATEST_POSTS)}
+              blogDetails={subjectDetails}
+              tags={listTags(posts)}
+            >
+              {posts.length > LATEST_POSTS && <AllPostsLink count={posts.length} />}
+            </BlogListing>
+            {adPolicyFor(subjectDetails) && <AdSlot name="listing-end" />}
           </div>
         </div>
-      </BlogLayout>
+      </AppShell>
     </>
   );
 }
 
 export async function generateMetadata() {
-  const firestoreData = await getTutorials(); //fetch data from firestore
-
-  let subjectDetails;
-  let title;
-  let desc;
-  let keywords;
-
-  firestoreData.map(data => {
-    if (data.id === "blogs") {
-      subjectDetails = data;
-    }
+  const subjectDetails = await getSubject(BLOG_SUBJECT); // shared with the page render
+
+  // Content sources without a blogs subject still get a home page
+  return buildMetadata({
+    title: subjectDetails?.titleTag ?? SITE_TITLE,
+    description: subjectDetails?.descriptionTag ?? SITE_DESCRIPTION,
+    keywords: subjectDetails?.keywords,
+    path: "/",
   });
-  title = subjectDetails.titleTag;
-  desc = subjectDetails.descriptionTag;
-  keywords = subjectDetails.keywords;
-  return {
-    title: title,
-    description: desc,
-    keywords: keywords,
-    openGraph: {
-      title: title,
-      description: desc,
-      locale: 'en_US',
-      siteName: 'www.droidbiz.in'
-    },
-    verification: {
-      google: 'DzEo_8OpTDL4aq1q8mfcjmCQEaQC5jGbJcOm58hzRhs',
-    }
-  }
-
 }
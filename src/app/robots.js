@@ -0,0 +1,12 @@
+import { absoluteUrl } from "@/lib/site";
+
+export default function robots() {
+    return {
+        rules: {
+            userAgent: "*",
+            allow: "/",
+            disallow: ["/api/", "/search", "/learning", "/admin"],
+        },
+        sitemap: absoluteUrl("/sitemap.xml"),
+    }
+}
@@ -0,0 +1,79 @@
+import { listSubjects } from "@/lib/content";
+import { searchSite } from "@/lib/search";
+import AppShell from "@/components/AppShell";
+import HighlightedText from "@/components/HighlightedText";
+import Link from 'next/link'
+import { buildMetadata } from "@/lib/metadata";
+
+export const dynamic = "force-dynamic"; //for ssr while using app router
+
+const RESULT_LIMIT = 50;
+
+export default async function SearchPage({ searchParams }) {
+    const query = (typeof searchParams.q === "string" ? searchParams.q : "").trim();
+
+    const [subjects, results] = await Promise.all([
+        listSubjects(), // lightweight index for navigation
+        query ? searchSite(query, { limit: RESULT_LIMIT }) : [],
+    ]);
+
+    return (
+        <AppShell subjects={subjects}>
+            <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900">
+                <div className="mt-9 ml-9 mr-9 mb-9 prose dark:prose-invert max-w-none">
+                    <h1>Search</h1>
+                    <form action="/search" role="search" className="not-prose flex gap-2 mb-6">
+                        <label htmlFor="search-page-input" className="sr-only">Search tutorials and blogs</label>
+                        <input
+                            id="search-page-input"
+                            name="q"
+                            type="search"
+                            defaultValue={query}
+                            placeholder="Search tutorials and blogs"
+                            className="flex-grow max-w-xl rounded-md border border-slate-300 dark:border-slate-600 px-3 py-2 focus:outline-none focus:border-teal-700 dark:focus:border-teal-400"
+                        />
+                        <button
+                            type="submit"
+                            className="rounded-md bg-teal-700 py-2 px-4 border border-transparent text-center text-sm text-white transition-all shadow-md hover:shadow-lg hover:bg-teal-600">
+                            Search
+                        </button>
+                    </form>
+
+                    {query && (
+                        <p className="text-slate-600 dark:text-slate-300">
+                            {results.length === 0
+                                ? `No results for "${query}".`
+                                : `${results.length}${results.length === RESULT_LIMIT ? "+" : ""} ${results.length === 1 ? "result" : "results"} for "${query}".`}
+                        </p>
+                    )}
+
+                    <ol className="not-prose list-none pl-0">
+                        {
+                            results.map((result) => (
+                                <li key={result.id} className="my-4 p-4 bg-white dark:bg-slate-900 shadow-sm border border-slate-200 dark:border-slate-700 rounded-lg">
+                                    <p className="text-sm text-teal-700 dark:text-teal-300">{result.subject}</p>
+                                    <Link href={result.href} className="text-slate-800 dark:text-slate-100 text-xl font-semibold hover:text-teal-700 dark:hover:text-teal-300">
+                                        <HighlightedText segments={result.titleSegments} />
+                                    </Link>
+                                    <p className="mt-2 text-slate-600 dark:text-slate-300 leading-normal font-light">
+                                        <HighlightedText segments={result.snippet} />
+                                    </p>
+                                </li>
+                            ))
+                        }
+                    </ol>
+                </div>
+            </div>
+        </AppShell>
+    )
+}
+
+export async function generateMetadata({ searchParams }) {
+    const query = typeof searchParams.q === "string" ? searchParams.q.trim() : "";
+
+    return buildMetadata({
+        title: query ? `Search: ${query}` : "Search",
+        path: "/search",
+        noIndex: true, // result pages are not worth indexing
+    });
+}
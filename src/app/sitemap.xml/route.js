@@ -0,0 +1,13 @@
+import { getSitemapEntries, paginateSitemap, renderSitemapIndex, renderUrlset, xmlResponse } from "@/lib/sitemap";
+
+export const dynamic = "force-dynamic";
+
+// A single sitemap while everything fits, a sitemap index once it doesn't.
+export async function GET() {
+    const pages = paginateSitemap(await getSitemapEntries());
+
+    if (pages.length <= 1) {
+        return xmlResponse(renderUrlset(pages[0] ?? []));
+    }
+    return xmlResponse(renderSitemapIndex(pages));
+}
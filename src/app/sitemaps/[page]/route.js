@@ -0,0 +1,15 @@
+import { getSitemapEntries, paginateSitemap, renderUrlset, xmlResponse } from "@/lib/sitemap";
+
+export const dynamic = "force-dynamic";
+
+// /sitemaps/<n>.xml, the pages listed by the sitemap index.
+export async function GET(request, { params }) {
+    const match = /^(\d+)\.xml$/.exec(params.page);
+    const pages = paginateSitemap(await getSitemapEntries());
+    const page = match ? pages[Number(match[1]) - 1] : undefined;
+
+    if (!page) {
+        return new Response("Not found", { status: 404 });
+    }
+    return xmlResponse(renderUrlset(page));
+}
@@ -0,0 +1,139 @@
+'use client'
+
+import React, { useEffect, useState } from 'react'
+import Link from 'next/link'
+import { FiBookmark, FiEdit, FiLogOut, FiMessageSquare, FiUser } from 'react-icons/fi'
+import { isCancelledSignIn, signIn, signOut, useAccount } from '@/lib/account'
+
+// Signs a reader in from anywhere on the page; the message of a failed sign-in
+// or null.
+export function useSignIn() {
+    const [error, setError] = useState(null);
+
+    const start = () => {
+        setError(null);
+        signIn().catch((reason) => {
+            if (!isCancelledSignIn(reason)) {
+                setError("Couldn't sign in, please try again.");
+            }
+        });
+    };
+
+    return [start, error];
+}
+
+function Avatar({ user }) {
+    if (user.photoURL) {
+        return <img src={user.photoURL} alt="" width={28} height={28} referrerPolicy="no-referrer" className="rounded-full" />;
+    }
+    return (
+        <span className="flex h-7 w-7 items-center justify-center rounded-full bg-white/20 text-sm font-semibold text-white">
+            {user.name.charAt(0).toUpperCase()}
+        </span>
+    );
+}
+
+// Sign in button in the menu bar, or the signed-in reader's menu with their
+// learning page (and the content editor and moderation queue for admins).
+export default function AccountMenu({ className = "" }) {
+    const { ready, user } = useAccount();
+    const [startSignIn, error] = useSignIn();
+    const [isOpen, setIsOpen] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen) {
+            return;
+        }
+        const onKeyDown = (event) => {
+            if (event.key === "Escape") {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener("keydown", onKeyDown);
+        return () => document.removeEventListener("keydown", onKeyDown);
+    }, [isOpen]);
+
+    if (!ready) {
+        return <div className={`w-9 ${className}`} />;
+    }
+
+    if (!user) {
+        return (
+            <div className={`relative ${className}`}>
+                <button
+                    type="button"
+                    onClick={startSignIn}
+                    className="flex items-center gap-1 rounded-md p-2 text-sm text-white/70 hover:text-white"
+                >
+                    <FiUser className="text-xl" aria-hidden="true" />
+                    <span className="hidden lg:inline">Sign in</span>
+                </button>
+                {error && (
+                    <p role="alert" className="absolute right-0 top-11 z-30 w-56 rounded-md bg-white dark:bg-slate-900 p-3 text-sm text-red-700 dark:text-red-300 shadow-lg">
+                        {error}
+                    </p>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className={`relative ${className}`}>
+            <button
+                type="button"
+                onClick={() => setIsOpen(!isOpen)}
+                className="flex items-center rounded-full p-1 hover:ring-2 hover:ring-white/40"
+                aria-label={`Account: ${user.name}`}
+                aria-expanded={isOpen}
+            >
+                <Avatar user={user} />
+            </button>
+            {isOpen && (
+                <>
+                    <div className="fixed inset-0 z-20" onClick={() => setIsOpen(false)} />
+                    <div className="absolute right-0 top-11 z-30 w-60 rounded-md bg-white dark:bg-slate-900 py-2 shadow-lg dark:border dark:border-slate-700">
+                        <p className="px-4 pb-2 border-b border-slate-200 dark:border-slate-700 text-sm text-slate-600 dark:text-slate-300 truncate">
+                            <span className="block font-semibold text-slate-800 dark:text-slate-100">{user.name}</span>
+                            {user.email}
+                        </p>
+                        <Link
+                            href="/learning"
+                            onClick={() => setIsOpen(false)}
+                            className="flex items-center gap-2 px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-800"
+                        >
+                            <FiBookmark aria-hidden="true" />My learning
+                        </Link>
+                        {user.admin && (
+                            <Link
+                                href="/admin"
+                                onClick={() => setIsOpen(false)}
+                                className="flex items-center gap-2 px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-800"
+                            >
+                                <FiEdit aria-hidden="true" />Edit content
+                            </Link>
+                        )}
+                        {user.admin && (
+                            <Link
+                                href="/admin/comments"
+                                onClick={() => setIsOpen(false)}
+                                className="flex items-center gap-2 px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-800"
+                            >
+                                <FiMessageSquare aria-hidden="true" />Moderate comments
+                            </Link>
+                        )}
+                        <button
+                            type="button"
+                            onClick={() => {
+                                setIsOpen(false);
+                                signOut();
+                            }}
+                            className="flex w-full items-center gap-2 px-4 py-2 text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-800"
+                        >
+                            <FiLogOut aria-hidden="true" />Sign out
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    )
+}
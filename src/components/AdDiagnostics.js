@@ -0,0 +1,69 @@
+'use client'
+
+import React, { useEffect, useRef, useState } from 'react'
+import { DEFAULT_AD_POLICY } from '@/lib/ads'
+import { inspectAdPlacements } from '@/lib/ads/diagnostics'
+
+// Preview mode overlay counting the ad slots on the page and listing where
+// they break the placement policy. Rechecks whenever the page changes.
+export default function AdDiagnostics() {
+    const [report, setReport] = useState(null);
+    const [expanded, setExpanded] = useState(false);
+    const ref = useRef(null);
+
+    useEffect(() => {
+        let timer;
+        const update = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => setReport(inspectAdPlacements(document, DEFAULT_AD_POLICY)), 200);
+        };
+        update();
+
+        const observer = new MutationObserver((mutations) => {
+            if (mutations.some((mutation) => !ref.current?.contains(mutation.target))) {
+                update();
+            }
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+        return () => {
+            clearTimeout(timer);
+            observer.disconnect();
+        };
+    }, []);
+
+    if (!report) {
+        return null;
+    }
+
+    const total = Object.values(report.counts).reduce((sum, count) => sum + count, 0);
+    const hasIssues = report.issues.length > 0;
+
+    return (
+        <div ref={ref} className="fixed bottom-4 left-4 z-50 max-w-sm rounded-md bg-slate-900/90 font-mono text-xs text-white shadow-lg">
+            <button
+                type="button"
+                onClick={() => setExpanded(!expanded)}
+                className="flex w-full items-center gap-2 px-3 py-2"
+                aria-expanded={expanded}
+            >
+                <span className={`h-2 w-2 rounded-full ${hasIssues ? "bg-red-400" : "bg-green-400"}`} />
+                Ad preview: {total} {total === 1 ? "slot" : "slots"}
+                {hasIssues && `, ${report.issues.length} ${report.issues.length === 1 ? "issue" : "issues"}`}
+            </button>
+            {expanded && (
+                <div className="border-t border-white/20 px-3 py-2">
+                    <ul>
+                        {Object.entries(report.counts).map(([name, count]) => (
+                            <li key={name}>{name}: {count}</li>
+                        ))}
+                    </ul>
+                    <ul className="mt-2">
+                        {hasIssues
+                            ? report.issues.map((issue, index) => <li key={index} className="text-red-300">{issue}</li>)
+                            : <li className="text-green-300">No placement policy issues</li>}
+                    </ul>
+                </div>
+            )}
+        </div>
+    )
+}
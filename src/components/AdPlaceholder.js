@@ -0,0 +1,20 @@
+// Stand-in for an ad in preview mode (see AD_MODE in lib/ads), about the size
+// the format usually takes.
+const HEIGHTS = {
+    "in-article": "min-h-[120px]",
+    sidebar: "min-h-[250px]",
+    anchor: "min-h-[50px]",
+};
+
+export default function AdPlaceholder({ slot, position }) {
+    return (
+        <div
+            className={`flex flex-col items-center justify-center gap-1 rounded-md border-2 border-dashed border-amber-400 dark:border-amber-600 bg-amber-50 dark:bg-amber-950/40 p-3 text-center font-mono text-xs text-amber-900 dark:text-amber-200 ${HEIGHTS[slot.format] ?? ""}`}
+            data-ad-slot-id={slot.slot ?? ""}
+        >
+            <span className="font-semibold">Ad: {slot.name}</span>
+            <span>{slot.format} · slot {slot.slot || "not configured"}</span>
+            <span>{position}</span>
+        </div>
+    )
+}
@@ -1,5 +1,8 @@
 import React, { Suspense } from "react"
 import AdUnitClient from "./AdUnitClient"
+import AnchorAd from "./AnchorAd"
+import AdPlaceholder from "./AdPlaceholder"
+import { AD_PREVIEW, getAdSlot } from "@/lib/ads"
 
 const AdUnit = ({ children }) => {
   return (
@@ -11,19 +14,35 @@ const AdUnit = ({ children }) => {
 
 export default AdUnit
 
-export function InArticleAd({ className }) {
+// One of the named slots in lib/ads; nothing when that slot has no id.
+// `position` describes where it is on the page for preview mode, `preview`
+// draws the placeholder whatever the ad mode (the admin editor's preview).
+export function AdSlot({ name, position, className = "", preview = AD_PREVIEW }) {
+  const slot = getAdSlot(name, preview)
+  if (!slot) {
+    return null
+  }
+
+  const ad = preview ? (
+    <AdPlaceholder slot={slot} position={position ?? slot.position} />
+  ) : (
+    <AdUnit>
+      <ins
+        className="adsbygoogle"
+        data-ad-client={process.env.NEXT_PUBLIC_GOOGLE_CLIENT_ID}
+        style={{ display: "block" }}
+        data-ad-slot={slot.slot}
+        {...slot.attributes}
+      ></ins>
+    </AdUnit>
+  )
+
+  if (slot.format === "anchor") {
+    return <AnchorAd>{ad}</AnchorAd>
+  }
   return (
-    <div className={className}>
-      <AdUnit>
-        <ins
-          className="adsbygoogle"
-          data-ad-client={process.env.NEXT_PUBLIC_GOOGLE_CLIENT_ID}
-          style={{ display: "block" }}
-          data-ad-format="auto"
-          data-ad-slot="3534351170"
-          data-full-width-responsive="true"
-        ></ins>
-      </AdUnit>
+    <div className={`${slot.className} ${className}`.trim()} data-ad-name={name} data-ad-format={slot.format}>
+      {ad}
     </div>
   )
 }
@@ -2,16 +2,26 @@
 import { useEffect } from "react"
 import { usePathname, useSearchParams } from "next/navigation"
 import React from "react"
+import { useConsent } from "@/lib/consent"
 
 export default function AdUnitClient({ children }) {
   const pathname = usePathname()
   const searchParams = useSearchParams()
+  const consent = useConsent()
+  const allowed = consent?.ads === true
+  const personalized = consent?.personalizedAds === true
   useEffect(() => {
+    if (!allowed) {
+      return
+    }
     try {
-      ;(window.adsbygoogle = window.adsbygoogle || []).push({})
+      const adsbygoogle = (window.adsbygoogle = window.adsbygoogle || [])
+      // Read by AdSense before requesting ads, 1 means non-personalised
+      adsbygoogle.requestNonPersonalizedAds = personalized ? 0 : 1
+      adsbygoogle.push({})
     } catch (err) {
       console.error(err)
     }
-  }, [pathname, searchParams])
+  }, [pathname, searchParams, allowed, personalized])
   return <>{children}</>
 }
@@ -0,0 +1,35 @@
+'use client'
+
+import React from 'react'
+import { useAccount } from '@/lib/account'
+import { useSignIn } from './AccountMenu'
+
+const MESSAGE_CLASS = "text-slate-600 dark:text-slate-300";
+
+// Shows its children to accounts with the `admin` claim only; others are asked
+// to sign in, or told the page is for admins. firestore.rules is what actually
+// keeps them out of the data.
+//   action  what admins do here, e.g. "moderate comments"
+export default function AdminGate({ action, children }) {
+    const { ready, user } = useAccount();
+    const [startSignIn, signInError] = useSignIn();
+
+    if (!ready) {
+        return <p className={`not-prose ${MESSAGE_CLASS}`}>Loading…</p>;
+    }
+    if (!user) {
+        return (
+            <div className="not-prose">
+                <p className={MESSAGE_CLASS}>Sign in with an admin account to {action}.</p>
+                <button type="button" onClick={startSignIn} className="mt-3 rounded-md bg-teal-700 py-2 px-4 text-sm text-white hover:bg-teal-600">
+                    Sign in
+                </button>
+                {signInError && <p role="alert" className="mt-2 text-red-700 dark:text-red-300">{signInError}</p>}
+            </div>
+        );
+    }
+    if (!user.admin) {
+        return <p className={`not-prose ${MESSAGE_CLASS}`}>Only admins can {action}.</p>;
+    }
+    return children;
+}
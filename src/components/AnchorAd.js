@@ -0,0 +1,44 @@
+'use client'
+
+import React, { useEffect, useState } from 'react'
+import { FiX } from 'react-icons/fi'
+import { useConsent } from '@/lib/consent'
+import { AD_PREVIEW } from '@/lib/ads'
+
+const STORAGE_KEY = "droidbiz:anchor-ad-closed";
+
+// Ad pinned to the bottom of the viewport; closing it hides it for the rest
+// of the visit. Hidden until ads are allowed, so there's no empty bar.
+export default function AnchorAd({ children }) {
+    const [closed, setClosed] = useState(false);
+    const consent = useConsent();
+
+    useEffect(() => {
+        setClosed(sessionStorage.getItem(STORAGE_KEY) === "true");
+    }, []);
+
+    if (closed || !(AD_PREVIEW || consent?.ads)) {
+        return null;
+    }
+
+    const close = () => {
+        sessionStorage.setItem(STORAGE_KEY, "true");
+        setClosed(true);
+    }
+
+    return (
+        <div className="fixed inset-x-0 bottom-0 z-30 border-t border-slate-200 dark:border-slate-700 bg-white/95 dark:bg-slate-900/95 shadow-[0_-2px_8px_rgba(0,0,0,0.08)]" data-ad-name="anchor" data-ad-format="anchor">
+            <button
+                type="button"
+                onClick={close}
+                className="absolute -top-7 right-2 rounded-t-md border border-b-0 border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-slate-500 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-100"
+                aria-label="Close ad"
+            >
+                <FiX />
+            </button>
+            <div className="mx-auto max-w-3xl px-2 py-1">
+                {children}
+            </div>
+        </div>
+    )
+}
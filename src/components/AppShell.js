@@ -0,0 +1,172 @@
+'use client'
+
+import React, { useEffect, useRef, useState } from 'react'
+import Link from 'next/link'
+import { usePathname } from 'next/navigation'
+import { FiMenu, FiX } from 'react-icons/fi'
+import Breadcrumbs from './Breadcrumbs';
+import LessonList from './LessonList';
+import SubjectsMenu from './SubjectsMenu';
+import SearchBox from './SearchBox';
+import AppearanceMenu from './AppearanceMenu';
+import AccountMenu from './AccountMenu';
+import { openConsentPreferences } from '@/lib/consent'
+import { useFocusTrap } from '@/lib/focus-trap'
+
+const MENU_BAR_CLASS = "bg-teal-700 dark:bg-slate-950";
+
+function Logo({ size }) {
+    return (
+        <img
+            src="/logo.png"
+            alt="DroidBiz home"
+            width={size}
+            height={size}
+        />
+    )
+}
+
+// Mobile navigation for every page: the subject's lessons on tutorial pages,
+// then all subjects.
+function Drawer({ open, onClose, subjects, subjectDetails }) {
+    const pathname = usePathname();
+    const ref = useRef(null);
+    useFocusTrap(ref, open, onClose);
+
+    if (!open) {
+        return null;
+    }
+
+    return (
+        <>
+            <div className="fixed inset-0 z-40 bg-black/40" onClick={onClose} />
+            <div
+                ref={ref}
+                role="dialog"
+                aria-modal="true"
+                aria-label="Menu"
+                className={`fixed top-0 bottom-0 left-0 z-50 w-[280px] max-w-[85vw] overflow-auto ${MENU_BAR_CLASS}`}
+            >
+                <div className="flex items-center h-[60px] px-4">
+                    <Link href="/" onClick={onClose}><Logo size={44} /></Link>
+                    <button type="button" onClick={onClose} className="ml-auto text-2xl text-white/80 hover:text-white" aria-label="Close menu">
+                        <FiX />
+                    </button>
+                </div>
+                {subjectDetails && (
+                    <nav aria-label={`${subjectDetails.name} lessons`}>
+                        <p className="px-6 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-white/60">{subjectDetails.name}</p>
+                        <LessonList subjectDetails={subjectDetails} onNavigate={onClose} />
+                    </nav>
+                )}
+                <nav aria-label="Tutorials" className="border-t border-white/20 mt-2 pt-2">
+                    <p className="px-6 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-white/60">Tutorials</p>
+                    <ul>
+                        {subjects.filter((subject) => subject.id !== "blogs").map((subject) => {
+                            const current = pathname.split("/")[1] === subject.id;
+                            return (
+                                <li key={subject.id}>
+                                    <Link
+                                        href={subject.base_url}
+                                        onClick={onClose}
+                                        aria-current={current ? "true" : undefined}
+                                        className={`block pl-6 py-2 ${current ? "text-white font-semibold" : "text-white/80 hover:text-white"}`}
+                                    >
+                                        {subject.name}
+                                    </Link>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </nav>
+                <Link href="/learning" onClick={onClose} className="block pl-6 pt-4 text-sm text-white/80 hover:text-white">
+                    My learning
+                </Link>
+                <button
+                    type="button"
+                    className="block pl-6 py-4 text-sm text-white/80 hover:text-white"
+                    onClick={() => {
+                        onClose();
+                        openConsentPreferences();
+                    }}
+                >
+                    Privacy settings
+                </button>
+            </div>
+        </>
+    )
+}
+
+// Menu bar, lesson sidebar (tutorial pages, those given subjectDetails),
+// breadcrumbs and the mobile drawer around a page's content.
+//   subjects        listSubjects() for the menus
+//   subjectDetails  the subject whose lessons the sidebar lists
+//   breadcrumbs     [{ name, path }], see Breadcrumbs
+//   sidebarAd       shown under the lessons
+export default function AppShell({ children, subjects = [], subjectDetails, breadcrumbs, sidebarAd }) {
+    const pathname = usePathname();
+    const [drawerOpen, setDrawerOpen] = useState(false);
+    const hasSidebar = Boolean(subjectDetails);
+
+    // a link in the drawer may lead to the page already shown
+    useEffect(() => setDrawerOpen(false), [pathname]);
+
+    return (
+        <div className="min-h-screen">
+            <a
+                href="#main-content"
+                className="sr-only focus:not-sr-only focus:fixed focus:top-2 focus:left-2 focus:z-50 focus:rounded-md focus:bg-white focus:px-4 focus:py-2 focus:text-teal-700"
+            >
+                Skip to content
+            </a>
+            <header className={`z-20 fixed top-0 left-0 right-0 h-[60px] flex items-center gap-2 px-2 dark:border-b dark:border-slate-800 ${MENU_BAR_CLASS} ${hasSidebar ? "md:pl-[272px]" : ""}`}>
+                <button
+                    type="button"
+                    className="md:hidden text-4xl flex text-white"
+                    onClick={() => setDrawerOpen(true)}
+                    aria-label="Open menu"
+                    aria-expanded={drawerOpen}
+                >
+                    <FiMenu />
+                </button>
+                <Link href="/" className={`md:ml-9 ${hasSidebar ? "md:hidden" : ""}`}>
+                    <Logo size={50} />
+                </Link>
+                <SearchBox className="ml-auto w-full max-w-xs" />
+                <AppearanceMenu />
+                <AccountMenu />
+                {subjects.length > 0 && (
+                    <div className="hidden md:block md:mr-6">
+                        <SubjectsMenu subjects={subjects} />
+                    </div>
+                )}
+            </header>
+
+            {hasSidebar && (
+                <aside className={`hidden md:flex flex-col w-[260px] fixed top-0 bottom-0 left-0 z-30 dark:border-r dark:border-slate-800 ${MENU_BAR_CLASS}`}>
+                    <Link href="/" className="shrink-0 h-[120px] flex items-center justify-center">
+                        <Logo size={70} />
+                    </Link>
+                    <nav aria-label={`${subjectDetails.name} lessons`} className="overflow-auto">
+                        <LessonList subjectDetails={subjectDetails} />
+                        {sidebarAd}
+                    </nav>
+                </aside>
+            )}
+
+            <Drawer
+                open={drawerOpen}
+                onClose={() => setDrawerOpen(false)}
+                subjects={subjects}
+                subjectDetails={subjectDetails}
+            />
+
+            <div className={`flex flex-col min-h-screen pt-[60px] ${hasSidebar ? "md:ml-[260px]" : ""}`}>
+                <Breadcrumbs items={breadcrumbs} className="mx-9 mt-6" />
+                <main id="main-content" className="flex-grow">
+                    {children}
+                </main>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,115 @@
+'use client'
+
+import React, { useEffect, useState } from 'react'
+import { FiMonitor, FiMoon, FiSun, FiType } from 'react-icons/fi'
+import { READER_SETTINGS, THEMES, onAppearanceChange, readAppearance, setReaderSetting, setTheme } from '@/lib/theme'
+
+const THEME_OPTIONS = {
+    light: { label: "Light", Icon: FiSun },
+    dark: { label: "Dark", Icon: FiMoon },
+    system: { label: "System", Icon: FiMonitor },
+};
+
+const READER_LABELS = {
+    fontSize: { label: "Text size", values: { small: "S", medium: "M", large: "L", "x-large": "XL" } },
+    lineWidth: { label: "Line width", values: { narrow: "Narrow", medium: "Medium", wide: "Wide" } },
+    font: { label: "Font", values: { sans: "Sans", serif: "Serif" } },
+};
+
+// readAppearance() kept in sync, null until it's known in the browser.
+function useAppearance() {
+    const [appearance, setAppearance] = useState(null);
+
+    useEffect(() => {
+        const update = () => setAppearance(readAppearance());
+        update();
+        return onAppearanceChange(update);
+    }, []);
+
+    return appearance;
+}
+
+function Options({ label, options, value, onChange }) {
+    return (
+        <fieldset className="mt-3 first:mt-0">
+            <legend className="mb-1 text-xs font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400">{label}</legend>
+            <div className="flex rounded-md border border-slate-200 dark:border-slate-700 overflow-hidden">
+                {options.map(([option, content]) => (
+                    <button
+                        key={option}
+                        type="button"
+                        aria-pressed={option === value}
+                        onClick={() => onChange(option)}
+                        className={`flex flex-1 items-center justify-center gap-1 px-2 py-1.5 text-sm ${option === value
+                            ? "bg-teal-700 text-white"
+                            : "text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-800"}`}
+                    >
+                        {content}
+                    </button>
+                ))}
+            </div>
+        </fieldset>
+    )
+}
+
+// Theme (light, dark or following the system) and reader settings for the
+// article text, see lib/theme.js.
+export default function AppearanceMenu({ className = "" }) {
+    const appearance = useAppearance();
+    const [isOpen, setIsOpen] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen) {
+            return;
+        }
+        const onKeyDown = (event) => {
+            if (event.key === "Escape") {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener("keydown", onKeyDown);
+        return () => document.removeEventListener("keydown", onKeyDown);
+    }, [isOpen]);
+
+    const ButtonIcon = appearance?.dark ? FiMoon : FiSun;
+
+    return (
+        <div className={`relative ${className}`}>
+            <button
+                type="button"
+                onClick={() => setIsOpen(!isOpen)}
+                className="flex items-center gap-1 rounded-md p-2 text-xl text-white/70 hover:text-white"
+                aria-label="Appearance and reader settings"
+                aria-expanded={isOpen}
+            >
+                <ButtonIcon />
+                <FiType className="text-base" />
+            </button>
+            {isOpen && appearance && (
+                <>
+                    <div className="fixed inset-0 z-20" onClick={() => setIsOpen(false)} />
+                    <div className="absolute right-0 top-11 z-30 w-64 rounded-md bg-white dark:bg-slate-900 p-4 shadow-lg dark:border dark:border-slate-700">
+                        <Options
+                            label="Theme"
+                            options={THEMES.map((theme) => {
+                                const { label, Icon } = THEME_OPTIONS[theme];
+                                return [theme, <><Icon aria-hidden="true" />{label}</>];
+                            })}
+                            value={appearance.theme}
+                            onChange={setTheme}
+                        />
+                        {Object.entries(READER_SETTINGS).map(([name, setting]) => (
+                            <Options
+                                key={name}
+                                label={READER_LABELS[name].label}
+                                options={setting.values.map((value) => [value, READER_LABELS[name].values[value]])}
+                                value={appearance.reader[name]}
+                                onChange={(value) => setReaderSetting(name, value)}
+                            />
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    )
+}
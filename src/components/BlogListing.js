@@ -0,0 +1,42 @@
+import Link from 'next/link'
+import TopicCard from './TopicCard';
+import Pagination from './Pagination';
+import TagList from './TagList';
+import { BLOG_SUBJECT, formatDate, postAuthor, postDate, postTags } from '@/lib/blog';
+
+// Cards for a page of blog posts, used by the home page, /blogs and the tag
+// archives. `tags` (listTags) are shown above the posts, `pagination` is
+// { page, pageCount, href } for Pagination.
+export default function BlogListing({ title, intro, posts, blogDetails, tags, pagination, children }) {
+    return (
+        <>
+            {title && <h1>{title}</h1>}
+            {intro && <p>{intro}</p>}
+            <TagList tags={tags} className="my-4" />
+            {posts.length === 0 && <p>No posts yet.</p>}
+            {posts.map((post) => (
+                <TopicCard
+                    key={post.url}
+                    eyebrow={[formatDate(postDate(post)), postAuthor(post, blogDetails)].filter(Boolean).join(" · ") || undefined}
+                    title={post.title}
+                    shortDesc={post.shortDesc}
+                    href={`/${BLOG_SUBJECT}/${post.url}`}
+                    tags={postTags(post)}
+                />
+            ))}
+            {children}
+            {pagination && <Pagination {...pagination} />}
+        </>
+    )
+}
+
+// Link to the whole listing, under the latest posts on the home page.
+export function AllPostsLink({ count }) {
+    return (
+        <p className="not-prose my-6">
+            <Link href="/blogs" className="text-teal-700 dark:text-teal-300 hover:text-teal-600 dark:hover:text-teal-200 font-medium">
+                All {count} posts →
+            </Link>
+        </p>
+    )
+}
@@ -0,0 +1,46 @@
+'use client'
+
+import React, { useState } from 'react'
+import { FiBookmark } from 'react-icons/fi'
+import { setBookmark, useAccount, useBookmark } from '@/lib/account'
+import { useSignIn } from './AccountMenu'
+
+// Bookmarks a tutorial topic or blog post for the signed-in reader; signed-out
+// readers are asked to sign in first.
+export default function BookmarkButton({ subject, topic, title, className = "" }) {
+    const { ready, user } = useAccount();
+    const bookmark = useBookmark(subject, topic);
+    const [startSignIn, signInError] = useSignIn();
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const bookmarked = Boolean(bookmark);
+
+    const toggle = () => {
+        if (!user) {
+            startSignIn();
+            return;
+        }
+        setSaving(true);
+        setError(null);
+        setBookmark(subject, topic, title, !bookmarked)
+            .catch(() => setError("Couldn't save the bookmark."))
+            .finally(() => setSaving(false));
+    };
+
+    return (
+        <span className={`not-prose inline-flex items-center gap-2 ${className}`}>
+            <button
+                type="button"
+                onClick={toggle}
+                disabled={!ready || saving || (user && bookmark === undefined)}
+                aria-pressed={user ? bookmarked : undefined}
+                title={user ? undefined : "Sign in to bookmark"}
+                className="inline-flex items-center gap-1 rounded-md border border-slate-300 dark:border-slate-600 px-2 py-1 text-sm text-slate-700 dark:text-slate-200 hover:border-teal-700 dark:hover:border-teal-400 disabled:opacity-60"
+            >
+                <FiBookmark aria-hidden="true" className={bookmarked ? "fill-current text-teal-700 dark:text-teal-300" : ""} />
+                {bookmarked ? "Bookmarked" : "Bookmark"}
+            </button>
+            {(error || signInError) && <span role="alert" className="text-sm text-red-700 dark:text-red-300">{error || signInError}</span>}
+        </span>
+    )
+}
@@ -0,0 +1,28 @@
+import Link from 'next/link'
+import { FiChevronRight } from 'react-icons/fi'
+
+// Trail of { name, path } items, the last one being the current page. Pages
+// pass the same items to breadcrumbJsonLd.
+export default function Breadcrumbs({ items, className = "" }) {
+    if (!items || items.length < 2) {
+        return null;
+    }
+
+    return (
+        <nav aria-label="Breadcrumb" className={className}>
+            <ol className="flex flex-wrap items-center gap-1 text-sm text-slate-600 dark:text-slate-300">
+                {items.map((item, index) => {
+                    const current = index === items.length - 1;
+                    return (
+                        <li key={item.path} className="flex items-center gap-1">
+                            {index > 0 && <FiChevronRight className="shrink-0 text-slate-400" aria-hidden="true" />}
+                            {current
+                                ? <span aria-current="page" className="text-slate-800 dark:text-slate-100">{item.name}</span>
+                                : <Link href={item.path} className="text-teal-700 dark:text-teal-300 hover:text-teal-600 dark:hover:text-teal-200">{item.name}</Link>}
+                        </li>
+                    );
+                })}
+            </ol>
+        </nav>
+    )
+}
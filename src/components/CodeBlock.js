@@ -0,0 +1,76 @@
+'use client'
+
+import React, { useRef, useState } from 'react'
+import { FiCheck, FiCopy } from 'react-icons/fi'
+
+const LANGUAGE_NAMES = {
+    kotlin: "Kotlin",
+    kt: "Kotlin",
+    kts: "Kotlin",
+    java: "Java",
+    dart: "Dart",
+    swift: "Swift",
+    xml: "XML",
+    json: "JSON",
+    groovy: "Gradle",
+    gradle: "Gradle",
+    bash: "Shell",
+    sh: "Shell",
+    shell: "Shell",
+    yaml: "YAML",
+    yml: "YAML",
+};
+
+export function languageName(language) {
+    return LANGUAGE_NAMES[language] ?? language;
+}
+
+function CopyButton({ getText }) {
+    const [copied, setCopied] = useState(false);
+
+    const onClick = async () => {
+        try {
+            await navigator.clipboard.writeText(getText());
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        }
+        catch (error) {
+            // clipboard not available
+        }
+    }
+
+    return (
+        <button
+            type="button"
+            onClick={onClick}
+            className="code-copy inline-flex items-center gap-1 rounded px-2 py-1 text-xs focus:outline-none focus-visible:ring-2 focus-visible:ring-teal-400"
+            aria-label={copied ? "Code copied" : "Copy code"}
+        >
+            {copied ? <FiCheck /> : <FiCopy />}
+            <span>{copied ? "Copied" : "Copy"}</span>
+        </button>
+    )
+}
+
+// Fenced code block (highlighted by rehypeCodeBlocks) with a caption showing
+// the filename and language, and a copy button. Inside a CodeGroup the tabs
+// already name the block, so only the copy button is shown.
+export default function CodeBlock({ children, ...props }) {
+    const preRef = useRef(null);
+    const language = props["data-language"];
+    const title = props["data-title"];
+    const inGroup = props["data-grouped"] === "true";
+
+    return (
+        <figure className={`not-prose code-block overflow-hidden ${inGroup ? "rounded-b-lg rounded-tr-lg" : "my-6 rounded-lg"}`}>
+            <figcaption className="flex items-center gap-2 px-4 py-1.5 text-xs">
+                {!inGroup && title && <span className="code-title font-mono">{title}</span>}
+                {!inGroup && language && <span className="uppercase tracking-wide">{languageName(language)}</span>}
+                <span className="ml-auto">
+                    <CopyButton getText={() => preRef.current?.innerText.replace(/\n$/, "") ?? ""} />
+                </span>
+            </figcaption>
+            <pre ref={preRef} {...props}>{children}</pre>
+        </figure>
+    )
+}
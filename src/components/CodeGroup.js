@@ -0,0 +1,56 @@
+'use client'
+
+import React, { useId, useState } from 'react'
+
+// Tabs over consecutive code blocks, e.g. the same example in Kotlin and Java
+// (grouped by rehypeCodeGroups from the `tab` fence meta).
+export default function CodeGroup({ tabs, children }) {
+    const [active, setActive] = useState(0);
+    const id = useId();
+    const panels = React.Children.toArray(children);
+
+    const onKeyDown = (event) => {
+        const step = { ArrowRight: 1, ArrowLeft: -1 }[event.key];
+        if (step) {
+            event.preventDefault();
+            const next = (active + step + tabs.length) % tabs.length;
+            setActive(next);
+            document.getElementById(`${id}-tab-${next}`)?.focus();
+        }
+    }
+
+    return (
+        <div className="not-prose code-group my-6">
+            <div role="tablist" className="flex gap-1 overflow-x-auto" onKeyDown={onKeyDown}>
+                {tabs.map((tab, index) => (
+                    <button
+                        key={index}
+                        id={`${id}-tab-${index}`}
+                        type="button"
+                        role="tab"
+                        aria-selected={index === active}
+                        aria-controls={`${id}-panel-${index}`}
+                        tabIndex={index === active ? 0 : -1}
+                        onClick={() => setActive(index)}
+                        className={`code-tab rounded-t-md px-3 py-1.5 text-sm font-medium ${index === active
+                            ? ""
+                            : "bg-slate-100 dark:bg-slate-800/60 text-slate-600 dark:text-slate-300 hover:text-teal-700 dark:hover:text-teal-300"}`}
+                    >
+                        {tab}
+                    </button>
+                ))}
+            </div>
+            {panels.map((panel, index) => (
+                <div
+                    key={index}
+                    id={`${id}-panel-${index}`}
+                    role="tabpanel"
+                    aria-labelledby={`${id}-tab-${index}`}
+                    hidden={index !== active}
+                >
+                    {panel}
+                </div>
+            ))}
+        </div>
+    )
+}
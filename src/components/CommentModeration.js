@@ -0,0 +1,164 @@
+'use client'
+
+import React, { useState } from 'react'
+import Link from 'next/link'
+import { deleteComment, readRatingSummary, setCommentStatus, useModerationQueue } from '@/lib/feedback'
+import { COMMENT_STATUSES } from '@/lib/feedback/documents'
+import { formatDate } from '@/lib/blog'
+import AdminGate from './AdminGate'
+
+const STATUS_LABELS = { pending: "Waiting", approved: "Approved", hidden: "Hidden" };
+const ACTION_CLASS = "rounded-md border border-slate-300 dark:border-slate-600 px-3 py-1 text-sm text-slate-700 dark:text-slate-200 hover:border-teal-700 dark:hover:border-teal-400 disabled:opacity-60";
+const MESSAGE_CLASS = "text-slate-600 dark:text-slate-300";
+
+function QueueItem({ comment, onError }) {
+    const [busy, setBusy] = useState(false);
+
+    const run = (action, message) => {
+        setBusy(true);
+        action().catch(() => {
+            onError(message);
+            setBusy(false);
+        });
+    };
+
+    return (
+        <li className="py-4">
+            <p className="text-sm text-slate-600 dark:text-slate-300">
+                <span className="font-semibold text-slate-800 dark:text-slate-100">{comment.author}</span>
+                {comment.parentId ? " replied on " : " on "}
+                <Link href={`/${comment.subject}/${comment.topic}`} className="text-teal-700 dark:text-teal-300 hover:underline">
+                    {comment.subject}/{comment.topic}
+                </Link>
+                {formatDate(comment.createdAt) && ` · ${formatDate(comment.createdAt)}`}
+            </p>
+            <p className="mt-1 whitespace-pre-line break-words text-slate-700 dark:text-slate-200">{comment.text}</p>
+            <div className="mt-2 flex gap-2">
+                {comment.status !== "approved" && (
+                    <button type="button" disabled={busy} className={ACTION_CLASS}
+                        onClick={() => run(() => setCommentStatus(comment, "approved"), "Couldn't approve the comment.")}>
+                        Approve
+                    </button>
+                )}
+                {comment.status !== "hidden" && (
+                    <button type="button" disabled={busy} className={ACTION_CLASS}
+                        onClick={() => run(() => setCommentStatus(comment, "hidden"), "Couldn't hide the comment.")}>
+                        Hide
+                    </button>
+                )}
+                <button type="button" disabled={busy} className={`${ACTION_CLASS} hover:!border-red-700 hover:text-red-700 dark:hover:text-red-300`}
+                    onClick={() => {
+                        if (window.confirm("Delete this comment for good?")) {
+                            run(() => deleteComment(comment), "Couldn't delete the comment.");
+                        }
+                    }}>
+                    Delete
+                </button>
+            </div>
+        </li>
+    )
+}
+
+function Queue({ status }) {
+    const { comments, error } = useModerationQueue(status);
+    const [actionError, setActionError] = useState(null);
+
+    if (comments === undefined) {
+        return <p className={MESSAGE_CLASS}>Loading…</p>;
+    }
+    return (
+        <>
+            {(error || actionError) && <p role="alert" className="text-red-700 dark:text-red-300">{error || actionError}</p>}
+            {comments.length === 0 && !error && <p className={MESSAGE_CLASS}>No {STATUS_LABELS[status].toLowerCase()} comments.</p>}
+            <ul className="divide-y divide-slate-200 dark:divide-slate-700">
+                {comments.map((comment) => (
+                    <QueueItem key={`${comment.subject}:${comment.topic}:${comment.id}`} comment={comment} onError={setActionError} />
+                ))}
+            </ul>
+        </>
+    )
+}
+
+// "Was this helpful?" answers per topic, loaded on request as it reads every
+// rating.
+function Ratings() {
+    const [ratings, setRatings] = useState(null);
+    const [state, setState] = useState(null);
+
+    const load = () => {
+        setState("loading");
+        readRatingSummary()
+            .then((summary) => {
+                setRatings(summary);
+                setState(null);
+            })
+            .catch(() => setState("failed"));
+    };
+
+    return (
+        <section aria-labelledby="ratings" className="mt-10">
+            <h2 id="ratings" className="text-xl font-semibold text-slate-800 dark:text-slate-100">Was this helpful?</h2>
+            {!ratings && (
+                <button type="button" onClick={load} disabled={state === "loading"} className={`mt-2 ${ACTION_CLASS}`}>
+                    Show answers per topic
+                </button>
+            )}
+            {state === "failed" && <p role="alert" className="mt-2 text-red-700 dark:text-red-300">Couldn&apos;t load the answers.</p>}
+            {ratings?.length === 0 && <p className={`mt-2 ${MESSAGE_CLASS}`}>No answers yet.</p>}
+            {ratings?.length > 0 && (
+                <table className="mt-2 w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-slate-600 dark:text-slate-300">
+                            <th className="py-1">Topic</th>
+                            <th className="py-1">Yes</th>
+                            <th className="py-1">No</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {ratings.map((rating) => (
+                            <tr key={rating.key} className="border-t border-slate-200 dark:border-slate-700">
+                                <td className="py-1">
+                                    <Link href={`/${rating.key.replace(":", "/")}`} className="text-teal-700 dark:text-teal-300 hover:underline">
+                                        {rating.key.replace(":", "/")}
+                                    </Link>
+                                </td>
+                                <td className="py-1">{rating.helpful}</td>
+                                <td className="py-1">{rating.notHelpful}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </section>
+    )
+}
+
+// Moderation queue of reader comments across all topics, for accounts with
+// the `admin` claim.
+export default function CommentModeration() {
+    const [status, setStatus] = useState("pending");
+
+    return (
+        <AdminGate action="moderate comments">
+            <div className="not-prose">
+                <div role="group" aria-label="Comment status" className="mb-4 inline-flex rounded-md border border-slate-200 dark:border-slate-700 overflow-hidden">
+                    {COMMENT_STATUSES.map((option) => (
+                        <button
+                            key={option}
+                            type="button"
+                            aria-pressed={option === status}
+                            onClick={() => setStatus(option)}
+                            className={`px-4 py-1.5 text-sm ${option === status
+                                ? "bg-teal-700 text-white"
+                                : "text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-800"}`}
+                        >
+                            {STATUS_LABELS[option]}
+                        </button>
+                    ))}
+                </div>
+                <Queue key={status} status={status} />
+                <Ratings />
+            </div>
+        </AdminGate>
+    )
+}
@@ -0,0 +1,138 @@
+'use client'
+
+import React, { useEffect, useRef, useState } from 'react'
+import { FiX } from 'react-icons/fi'
+import { onConsentPreferencesOpen, saveConsent, useConsent } from '@/lib/consent'
+import { useFocusTrap } from '@/lib/focus-trap'
+
+const PURPOSES = [
+    {
+        id: "ads",
+        name: "Ads",
+        description: "Ads from Google AdSense, which keep the tutorials free. When off no ad scripts are loaded.",
+    },
+    {
+        id: "personalizedAds",
+        name: "Personalised ads",
+        description: "Ads based on your interests. When off ads are chosen from the page you're reading.",
+        requires: "ads",
+    },
+    {
+        id: "analytics",
+        name: "Analytics",
+        description: "Anonymous statistics about which pages are read, so we know what to improve.",
+    },
+];
+
+// Consent banner for visitors who haven't chosen yet in regions that require
+// it, and the preferences dialog anyone can open with openConsentPreferences().
+export default function ConsentManager() {
+    const consent = useConsent();
+    const [open, setOpen] = useState(false);
+    const [choices, setChoices] = useState({});
+    const dialogRef = useRef(null);
+
+    useEffect(() => onConsentPreferencesOpen(() => setOpen(true)), []);
+
+    useEffect(() => {
+        if (open && consent) {
+            setChoices({ ads: consent.ads, personalizedAds: consent.personalizedAds, analytics: consent.analytics });
+        }
+    }, [open, consent]);
+
+    useFocusTrap(dialogRef, open, () => setOpen(false));
+
+    if (!consent) {
+        return null;
+    }
+
+    const save = (next) => {
+        // Ads already on the page were requested with the old setting, and a
+        // loaded ad script only goes away with the page.
+        const reload = consent.ads && (next.ads !== true || consent.personalizedAds !== next.personalizedAds);
+        saveConsent(next);
+        setOpen(false);
+        if (reload) {
+            window.location.reload();
+        }
+    };
+    const acceptAll = () => save({ ads: true, personalizedAds: true, analytics: true });
+    const rejectAll = () => save({ ads: false, personalizedAds: false, analytics: false });
+
+    return (
+        <>
+            {consent.required && !consent.decided && !open && (
+                <div
+                    className="fixed inset-x-0 bottom-0 z-50 border-t border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 p-4 shadow-[0_-2px_8px_rgba(0,0,0,0.08)]"
+                    role="region"
+                    aria-label="Cookie consent"
+                >
+                    <div className="mx-auto flex max-w-4xl flex-col gap-3 md:flex-row md:items-center">
+                        <p className="text-sm text-slate-700 dark:text-slate-200">
+                            With your permission we use cookies to show ads, to personalise them and to measure how the site is used.
+                            You can change your choice at any time from Privacy settings in the menu.
+                        </p>
+                        <div className="flex shrink-0 flex-wrap gap-2">
+                            <button type="button" onClick={() => setOpen(true)} className="rounded-md px-3 py-2 text-sm text-teal-700 dark:text-teal-300 hover:bg-teal-50 dark:hover:bg-slate-800">
+                                Preferences
+                            </button>
+                            <button type="button" onClick={rejectAll} className="rounded-md border border-teal-700 dark:border-teal-400 px-3 py-2 text-sm text-teal-700 dark:text-teal-300 hover:bg-teal-50 dark:hover:bg-slate-800">
+                                Reject all
+                            </button>
+                            <button type="button" onClick={acceptAll} className="rounded-md bg-teal-700 px-3 py-2 text-sm text-white hover:bg-teal-800">
+                                Accept all
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+            {open && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={() => setOpen(false)}>
+                    <div
+                        ref={dialogRef}
+                        className="w-full max-w-md rounded-lg bg-white dark:bg-slate-900 p-6 shadow-xl outline-none"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="consent-title"
+                        tabIndex={-1}
+                        onClick={(event) => event.stopPropagation()}
+                    >
+                        <div className="flex items-start">
+                            <h2 id="consent-title" className="text-lg font-semibold text-slate-900 dark:text-slate-100">Privacy settings</h2>
+                            <button type="button" onClick={() => setOpen(false)} className="ml-auto text-slate-500 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-100" aria-label="Close">
+                                <FiX />
+                            </button>
+                        </div>
+                        <ul className="mt-4 flex flex-col gap-4">
+                            {PURPOSES.map((purpose) => (
+                                <li key={purpose.id}>
+                                    <label className="flex gap-3">
+                                        <input
+                                            type="checkbox"
+                                            className="mt-1 accent-teal-700"
+                                            checked={choices[purpose.id] === true}
+                                            disabled={purpose.requires && choices[purpose.requires] !== true}
+                                            onChange={(event) => setChoices({ ...choices, [purpose.id]: event.target.checked })}
+                                        />
+                                        <span>
+                                            <span className="block font-medium text-slate-900 dark:text-slate-100">{purpose.name}</span>
+                                            <span className="block text-sm text-slate-600 dark:text-slate-300">{purpose.description}</span>
+                                        </span>
+                                    </label>
+                                </li>
+                            ))}
+                        </ul>
+                        <div className="mt-6 flex flex-wrap justify-end gap-2">
+                            <button type="button" onClick={rejectAll} className="rounded-md border border-teal-700 dark:border-teal-400 px-3 py-2 text-sm text-teal-700 dark:text-teal-300 hover:bg-teal-50 dark:hover:bg-slate-800">
+                                Reject all
+                            </button>
+                            <button type="button" onClick={() => save(choices)} className="rounded-md bg-teal-700 px-3 py-2 text-sm text-white hover:bg-teal-800">
+                                Save choices
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    )
+}
@@ -0,0 +1,23 @@
+'use client'
+
+import React, { useDeferredValue, useMemo } from 'react'
+import MarkdownContent from './MarkdownContent'
+import { prepareContent } from '@/lib/markdown'
+import { adPolicyFor } from '@/lib/ads'
+
+// A topic body rendered like TutorialPage renders it: the same chunks, heading
+// ids and in-article ad breaks, with the ads drawn as placeholders. Rendering
+// lags behind typing in long topics rather than holding it up.
+export default function ContentPreview({ subject, topic }) {
+    const deferred = useDeferredValue(topic);
+    const chunks = useMemo(
+        () => prepareContent(deferred.content ?? "", { adPolicy: adPolicyFor(subject, deferred) }).chunks,
+        [subject, deferred],
+    );
+
+    return (
+        <div className="prose dark:prose-invert max-w-none reader">
+            <MarkdownContent chunks={chunks} subject={subject.id} topic={deferred.url} adPreview />
+        </div>
+    )
+}
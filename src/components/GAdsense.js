@@ -1,7 +1,18 @@
+'use client'
+
 import Script from 'next/script';
+import { useConsent } from '@/lib/consent';
+import { AD_PREVIEW } from '@/lib/ads';
 
 
+// Loaded once the visitor's consent allows ads, see src/lib/consent.js, and
+// never in ad preview mode.
 const GoogleAdsenseScript = () => {
+    const consent = useConsent();
+    if (AD_PREVIEW || !consent?.ads) {
+      return null;
+    }
+
     return (
       <Script
       async src={`https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=${process.env.NEXT_PUBLIC_GOOGLE_CLIENT_ID}`}
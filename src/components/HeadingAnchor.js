@@ -0,0 +1,37 @@
+'use client'
+
+import React, { useState } from 'react'
+import { FiCheck, FiLink } from 'react-icons/fi'
+
+// Link to a heading that also copies the heading's URL to the clipboard.
+export default function HeadingAnchor({ id }) {
+    const [copied, setCopied] = useState(false);
+
+    const onClick = async (event) => {
+        event.preventDefault();
+        const url = `${window.location.origin}${window.location.pathname}#${id}`;
+        window.history.replaceState(null, "", `#${id}`);
+        document.getElementById(id)?.scrollIntoView({ behavior: "smooth" });
+
+        try {
+            await navigator.clipboard.writeText(url);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        }
+        catch (error) {
+            // clipboard not available, the hash is still updated
+        }
+    }
+
+    return (
+        <a
+            href={`#${id}`}
+            onClick={onClick}
+            className="not-prose ml-2 inline-flex align-middle text-base text-slate-400 opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-teal-700 dark:hover:text-teal-300 transition-opacity"
+            aria-label={copied ? "Link copied" : "Copy link to this section"}
+            title={copied ? "Link copied" : "Copy link to this section"}
+        >
+            {copied ? <FiCheck /> : <FiLink />}
+        </a>
+    )
+}
@@ -0,0 +1,11 @@
+// Renders search result segments ({ text, highlight }) with matches marked.
+export default function HighlightedText({ segments }) {
+    return (
+        <>
+            {segments.map((segment, index) => segment.highlight
+                ? <mark key={index} className="bg-teal-100 dark:bg-teal-900 text-inherit rounded-sm">{segment.text}</mark>
+                : <span key={index}>{segment.text}</span>
+            )}
+        </>
+    )
+}
@@ -0,0 +1,45 @@
+'use client'
+
+import React, { useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { FiX } from 'react-icons/fi'
+import { useFocusTrap } from '@/lib/focus-trap'
+
+// Wraps a content image so clicking it shows the original file full screen.
+// Escape, the close button or a click anywhere closes it again. The overlay is
+// rendered into <body>, images can sit inside a paragraph.
+export default function ImageLightbox({ src, alt, children }) {
+    const [open, setOpen] = useState(false);
+    const ref = useRef(null);
+    const close = () => setOpen(false);
+    useFocusTrap(ref, open, close);
+
+    return (
+        <>
+            <button
+                type="button"
+                className="block mx-auto cursor-zoom-in"
+                onClick={() => setOpen(true)}
+                aria-label={alt ? `Enlarge image: ${alt}` : "Enlarge image"}
+            >
+                {children}
+            </button>
+            {open && createPortal(
+                <div
+                    ref={ref}
+                    role="dialog"
+                    aria-modal="true"
+                    aria-label={alt || "Image"}
+                    className="not-prose fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4 cursor-zoom-out"
+                    onClick={close}
+                >
+                    <img src={src} alt={alt} className="max-h-full max-w-full object-contain" />
+                    <button type="button" onClick={close} className="absolute top-4 right-4 text-3xl text-white/80 hover:text-white" aria-label="Close image">
+                        <FiX />
+                    </button>
+                </div>,
+                document.body,
+            )}
+        </>
+    )
+}
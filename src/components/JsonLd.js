@@ -0,0 +1,9 @@
+// Structured data for search engines. "<" is escaped so content can't close the script tag.
+export default function JsonLd({ data }) {
+    return (
+        <script
+            type="application/ld+json"
+            dangerouslySetInnerHTML={{ __html: JSON.stringify(data).replace(/</g, "\\u003c") }}
+        />
+    )
+}
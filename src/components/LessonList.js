@@ -0,0 +1,55 @@
+'use client'
+
+import Link from 'next/link'
+import { usePathname } from 'next/navigation'
+import { FiCheckCircle } from 'react-icons/fi'
+import { useCompletedLessons } from '@/lib/progress';
+import { summarizeQuizScores, useQuizScores } from '@/lib/quiz-scores';
+
+// Lessons of a subject in order, the current one highlighted, completed ones
+// ticked and best quiz scores shown. Used by the sidebar and the mobile drawer.
+export default function LessonList({ subjectDetails, onNavigate }) {
+    const pathname = usePathname();
+    const completedLessons = useCompletedLessons(subjectDetails.id);
+    const quizScores = useQuizScores(subjectDetails.id);
+    const quizSummary = summarizeQuizScores(quizScores);
+
+    return (
+        <>
+            {quizSummary.total > 0 && (
+                <p className="px-6 pb-2 text-xs text-white/70">
+                    Quizzes: {quizSummary.score} of {quizSummary.total} right
+                    in {quizSummary.topics} {quizSummary.topics === 1 ? "lesson" : "lessons"}
+                </p>
+            )}
+            <ul>
+                {subjectDetails.content.map((lesson) => {
+                    const route = "/" + subjectDetails.id + "/" + lesson.url;
+                    const current = pathname === route;
+                    const completed = completedLessons.includes(lesson.url);
+                    const quiz = quizScores[lesson.url];
+                    return (
+                        <li key={lesson.url}>
+                            <Link
+                                href={route}
+                                onClick={onNavigate}
+                                aria-current={current ? "page" : undefined}
+                                className={`flex gap-1 [&>*]:my-auto text-md pl-6 pr-4 py-3 border-l-4 ${current
+                                    ? "border-white text-white font-semibold bg-white/10"
+                                    : "border-transparent text-white/80 hover:text-white"}`}
+                            >
+                                <span>{lesson.title}</span>
+                                {completed && <FiCheckCircle className="shrink-0 ml-1 text-teal-200" title="Completed" />}
+                                {quiz && (
+                                    <span className="shrink-0 ml-auto rounded-full bg-white/15 px-2 text-xs text-white/90" title={`Best quiz score: ${quiz.score} of ${quiz.total}`}>
+                                        {quiz.score}/{quiz.total}
+                                    </span>
+                                )}
+                            </Link>
+                        </li>
+                    );
+                })}
+            </ul>
+        </>
+    )
+}
@@ -0,0 +1,62 @@
+import Link from 'next/link'
+import { FiArrowLeft, FiArrowRight } from 'react-icons/fi'
+
+// Position of a topic within its subject's ordered `content` list.
+function getLessonPosition(subjectDetails, topic) {
+    const topics = subjectDetails.content;
+    const index = topics.findIndex((data) => data.url === topic);
+
+    return {
+        number: index + 1,
+        total: topics.length,
+        previous: index > 0 ? topics[index - 1] : null,
+        next: index >= 0 && index < topics.length - 1 ? topics[index + 1] : null,
+    };
+}
+
+// "Lesson N of M" shown above a topic.
+export function LessonIndicator({ subjectDetails, topic }) {
+    const { number, total } = getLessonPosition(subjectDetails, topic);
+    if (number === 0) {
+        return null;
+    }
+
+    return (
+        <p className="not-prose text-sm text-slate-600 dark:text-slate-300 mb-4">
+            <Link href={"/" + subjectDetails.id} className="text-teal-700 dark:text-teal-300 hover:text-teal-600 dark:hover:text-teal-200">
+                {subjectDetails.name}
+            </Link>
+            {` · Lesson ${number} of ${total}`}
+        </p>
+    )
+}
+
+// Previous/next lesson links shown at the bottom of a topic.
+export default function LessonNavigation({ subjectDetails, topic }) {
+    const { number, total, previous, next } = getLessonPosition(subjectDetails, topic);
+    if (number === 0) {
+        return null;
+    }
+
+    const linkClass = "flex flex-col gap-1 p-4 border border-slate-200 dark:border-slate-700 rounded-lg shadow-sm hover:shadow-md hover:border-teal-600 transition-all";
+
+    return (
+        <nav aria-label="Lesson navigation" className="not-prose my-9">
+            <p className="text-sm text-slate-600 dark:text-slate-300 text-center mb-4">Lesson {number} of {total}</p>
+            <div className="grid gap-4 sm:grid-cols-2">
+                {previous ? (
+                    <Link href={"/" + subjectDetails.id + "/" + previous.url} rel="prev" className={linkClass}>
+                        <span className="flex items-center gap-1 text-sm text-slate-600 dark:text-slate-300"><FiArrowLeft /> Previous</span>
+                        <span className="text-teal-700 dark:text-teal-300 font-semibold">{previous.title}</span>
+                    </Link>
+                ) : <div />}
+                {next && (
+                    <Link href={"/" + subjectDetails.id + "/" + next.url} rel="next" className={`${linkClass} sm:text-right`}>
+                        <span className="flex items-center gap-1 text-sm text-slate-600 dark:text-slate-300 sm:justify-end">Next <FiArrowRight /></span>
+                        <span className="text-teal-700 dark:text-teal-300 font-semibold">{next.title}</span>
+                    </Link>
+                )}
+            </div>
+        </nav>
+    )
+}
@@ -0,0 +1,75 @@
+'use client'
+
+import React, { useEffect, useState } from 'react'
+import Link from 'next/link'
+import { NOTE_MAX_LENGTH, saveNote, useAccount, useNote } from '@/lib/account'
+import { useSignIn } from './AccountMenu'
+
+// The signed-in reader's private note on a topic, listed on /learning.
+export default function LessonNotes({ subject, topic, title }) {
+    const { ready, user } = useAccount();
+    const note = useNote(subject, topic);
+    const [startSignIn, signInError] = useSignIn();
+    const [text, setText] = useState("");
+    const [status, setStatus] = useState(null);
+
+    // the saved note, once loaded and whenever it changes on another device
+    const savedText = note ? note.text : "";
+    useEffect(() => setText(savedText), [savedText]);
+
+    if (!ready) {
+        return null;
+    }
+
+    const save = (event) => {
+        event.preventDefault();
+        setStatus("saving");
+        saveNote(subject, topic, title, text)
+            .then(() => setStatus("saved"))
+            .catch(() => setStatus("failed"));
+    };
+
+    return (
+        <section aria-labelledby="lesson-notes" className="not-prose my-8 rounded-lg border border-slate-200 dark:border-slate-700 p-4">
+            <h2 id="lesson-notes" className="text-lg font-semibold text-slate-800 dark:text-slate-100">Your notes</h2>
+            {!user ? (
+                <p className="mt-2 text-sm text-slate-600 dark:text-slate-300">
+                    <button type="button" onClick={startSignIn} className="text-teal-700 dark:text-teal-300 hover:underline">Sign in</button>
+                    {" "}to keep private notes on this lesson and find them on every device.
+                    {signInError && <span role="alert" className="block text-red-700 dark:text-red-300">{signInError}</span>}
+                </p>
+            ) : (
+                <form onSubmit={save} className="mt-2">
+                    <label htmlFor="lesson-notes-text" className="sr-only">Notes on {title}</label>
+                    <textarea
+                        id="lesson-notes-text"
+                        value={text}
+                        onChange={(event) => {
+                            setText(event.target.value);
+                            setStatus(null);
+                        }}
+                        maxLength={NOTE_MAX_LENGTH}
+                        rows={4}
+                        disabled={note === undefined}
+                        placeholder="Only you can see these notes"
+                        className="w-full rounded-md border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 px-3 py-2 text-slate-800 dark:text-slate-100 focus:outline-none focus:border-teal-700 dark:focus:border-teal-400"
+                    />
+                    <div className="mt-2 flex items-center gap-3 text-sm">
+                        <button
+                            type="submit"
+                            disabled={note === undefined || status === "saving" || text === savedText}
+                            className="rounded-md bg-teal-700 py-1.5 px-4 text-white hover:bg-teal-600 disabled:opacity-60"
+                        >
+                            Save
+                        </button>
+                        <span role="status" className="text-slate-600 dark:text-slate-300">
+                            {status === "saved" && (text ? "Saved" : "Note deleted")}
+                            {status === "failed" && <span className="text-red-700 dark:text-red-300">Couldn&apos;t save the note.</span>}
+                        </span>
+                        <Link href="/learning" className="ml-auto text-teal-700 dark:text-teal-300 hover:underline">All notes</Link>
+                    </div>
+                </form>
+            )}
+        </section>
+    )
+}
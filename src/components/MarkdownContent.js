@@ -0,0 +1,67 @@
+import Markdown from 'react-markdown'
+import { AdSlot } from "@/components/AdUnit";
+import HeadingAnchor from "@/components/HeadingAnchor";
+import CodeBlock from "@/components/CodeBlock";
+import CodeGroup from "@/components/CodeGroup";
+import MarkdownImage from "@/components/MarkdownImage";
+import QuizBlock from "@/components/QuizBlock";
+import { TOC_DEPTHS, rehypeCodeBlocks, rehypeCodeGroups, rehypeHeadingIds, remarkPlugins } from "@/lib/markdown";
+import { rehypeFigures } from "@/lib/markdown/images";
+import { rehypeQuizzes } from "@/lib/markdown/quiz";
+
+// Heading with a stable id (set by rehypeHeadingIds) and a copyable anchor link.
+function heading(Tag, depth) {
+    return function Heading({ node, id, children, ...props }) {
+        return (
+            <Tag id={id} className="group scroll-mt-24" {...props}>
+                {children}
+                {id && TOC_DEPTHS.includes(depth) && <HeadingAnchor id={id} />}
+            </Tag>
+        )
+    }
+}
+
+const components = {
+    h1: heading("h1", 1),
+    h2: heading("h2", 2),
+    h3: heading("h3", 3),
+    h4: heading("h4", 4),
+    h5: heading("h5", 5),
+    h6: heading("h6", 6),
+    img: ({ src, alt, "data-priority": priority }) => (
+        <MarkdownImage src={src} alt={alt} priority={priority === "true"} />
+    ),
+    figcaption: ({ node, ...props }) => <figcaption className="text-center" {...props} />,
+    // node isn't passed on to the client components, it would end up in the page payload
+    pre: ({ node, ...props }) => <CodeBlock {...props} />,
+    "code-group": ({ node, children, ...props }) => (
+        <CodeGroup tabs={JSON.parse(props["data-tabs"])}>{children}</CodeGroup>
+    ),
+};
+
+// Renders the chunks made by prepareContent, with an in-article ad where planned
+// (as placeholders with `adPreview`). `subject` and `topic` are the ids quiz
+// scores are kept under.
+export default function MarkdownContent({ chunks, subject, topic, adPreview }) {
+    const contentWithAds = [];
+    const withQuizzes = {
+        ...components,
+        "quiz-block": ({ node, ...props }) => (
+            <QuizBlock quiz={JSON.parse(props["data-quiz"])} subject={subject} topic={topic} />
+        ),
+    };
+
+    chunks.forEach((chunk, index) => {
+        contentWithAds.push(<Markdown key={`p-${index}`} remarkPlugins={remarkPlugins}
+            rehypePlugins={[[rehypeHeadingIds, { ids: chunk.headings.map((heading) => heading.id) }], rehypeQuizzes, rehypeCodeBlocks, rehypeCodeGroups, [rehypeFigures, { eager: index === 0 }]]}
+            components={withQuizzes}>{chunk.markdown}</Markdown>);
+
+        if (chunk.adAfter) {
+            const next = chunks[index + 1].headings[0];
+            contentWithAds.push(<AdSlot key={`ad-${index}`} name="article-body" preview={adPreview}
+                position={`in-article ${index + 1} of ${chunks.length - 1}${next ? `, before "${next.text}"` : ""}`} />);
+        }
+    });
+
+    return contentWithAds;
+}
@@ -0,0 +1,27 @@
+import Image from 'next/image'
+import ImageLightbox from './ImageLightbox';
+import { IMAGE_SIZES, imageInfo } from '@/lib/markdown/images';
+
+// Markdown image: a sized, responsive next/image with a blur placeholder when
+// `npm run images` recorded it, a plain lazy <img> otherwise. `priority` is set
+// for the first image of a page, which is likely above the fold.
+export default function MarkdownImage({ src, alt = "", priority = false }) {
+    const info = imageInfo(src);
+
+    const image = info
+        ? <Image
+            className="mx-auto my-0"
+            src={info.src}
+            alt={alt}
+            width={info.width}
+            height={info.height}
+            sizes={IMAGE_SIZES}
+            placeholder={info.blurDataURL ? "blur" : "empty"}
+            blurDataURL={info.blurDataURL}
+            priority={priority}
+            unoptimized={info.src.endsWith(".svg")} // vector images aren't resized
+        />
+        : <img className="mx-auto my-0" src={src} alt={alt} loading={priority ? "eager" : "lazy"} decoding="async" />;
+
+    return <ImageLightbox src={info?.src ?? src} alt={alt}>{image}</ImageLightbox>;
+}
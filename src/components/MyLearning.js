@@ -0,0 +1,173 @@
+'use client'
+
+import React, { useEffect, useState } from 'react'
+import Link from 'next/link'
+import { FiTrash2 } from 'react-icons/fi'
+import { setBookmark, useAccount, useBookmarks, useNotes } from '@/lib/account'
+import { getAllCompletedLessons, onProgressChange } from '@/lib/progress'
+import { formatDate } from '@/lib/blog'
+import { useSignIn } from './AccountMenu'
+
+const HEADING_CLASS = "text-xl font-semibold text-slate-800 dark:text-slate-100";
+const EMPTY_CLASS = "mt-2 text-slate-600 dark:text-slate-300";
+
+function topicHref(entry) {
+    return `/${entry.subject}/${entry.topic}`;
+}
+
+// Completed lessons of every subject, kept in sync with localStorage.
+function useAllCompletedLessons() {
+    const [progress, setProgress] = useState({});
+
+    useEffect(() => {
+        const update = () => setProgress(getAllCompletedLessons());
+        update();
+        return onProgressChange(update);
+    }, []);
+
+    return progress;
+}
+
+// Subjects with at least one completed lesson, and the first lesson still to do.
+function Progress({ subjects, local }) {
+    const progress = useAllCompletedLessons();
+    const started = subjects
+        .map((subject) => {
+            const completed = progress[subject.id] ?? [];
+            const done = subject.content.filter((lesson) => completed.includes(lesson.url)).length;
+            const next = subject.content.find((lesson) => !completed.includes(lesson.url));
+            return { subject, done, next };
+        })
+        .filter(({ done }) => done > 0);
+
+    return (
+        <section aria-labelledby="learning-progress" className="not-prose mb-10">
+            <h2 id="learning-progress" className={HEADING_CLASS}>Progress</h2>
+            {local && <p className={EMPTY_CLASS}>Lessons you finished in this browser. Sign in to see them on every device.</p>}
+            {started.length === 0 ? (
+                <p className={EMPTY_CLASS}>Lessons you read to the end are ticked off here.</p>
+            ) : (
+                <ul className="mt-4 grid gap-4 md:grid-cols-2">
+                    {started.map(({ subject, done, next }) => (
+                        <li key={subject.id} className="rounded-lg border border-slate-200 dark:border-slate-700 p-4">
+                            <Link href={subject.base_url} className="font-semibold text-slate-800 dark:text-slate-100 hover:text-teal-700 dark:hover:text-teal-300">
+                                {subject.name}
+                            </Link>
+                            <p className="text-sm text-slate-600 dark:text-slate-300">{done} of {subject.content.length} lessons</p>
+                            <div
+                                className="mt-2 h-2 rounded-full bg-slate-200 dark:bg-slate-700"
+                                role="progressbar"
+                                aria-label={`${subject.name} progress`}
+                                aria-valuemin={0}
+                                aria-valuemax={subject.content.length}
+                                aria-valuenow={done}
+                            >
+                                <div className="h-full rounded-full bg-teal-600" style={{ width: `${(done / subject.content.length) * 100}%` }} />
+                            </div>
+                            {next && (
+                                <Link href={`/${subject.id}/${next.url}`} className="mt-3 inline-block text-sm text-teal-700 dark:text-teal-300 hover:underline">
+                                    Continue: {next.title}
+                                </Link>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    )
+}
+
+function Bookmarks() {
+    const bookmarks = useBookmarks();
+    const [error, setError] = useState(null);
+
+    return (
+        <section aria-labelledby="learning-bookmarks" className="not-prose mb-10">
+            <h2 id="learning-bookmarks" className={HEADING_CLASS}>Bookmarks</h2>
+            {error && <p role="alert" className="mt-2 text-sm text-red-700 dark:text-red-300">{error}</p>}
+            {bookmarks === undefined && <p className={EMPTY_CLASS}>Loading…</p>}
+            {bookmarks?.length === 0 && <p className={EMPTY_CLASS}>Bookmark a lesson or post to find it here.</p>}
+            {bookmarks?.length > 0 && (
+                <ul className="mt-2 divide-y divide-slate-200 dark:divide-slate-700">
+                    {bookmarks.map((bookmark) => (
+                        <li key={bookmark.id} className="flex items-center gap-2 py-2">
+                            <Link href={topicHref(bookmark)} className="text-slate-800 dark:text-slate-100 hover:text-teal-700 dark:hover:text-teal-300">
+                                {bookmark.title}
+                            </Link>
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    setError(null);
+                                    setBookmark(bookmark.subject, bookmark.topic, bookmark.title, false)
+                                        .catch(() => setError("Couldn't remove the bookmark."));
+                                }}
+                                className="ml-auto p-1 text-slate-500 hover:text-red-700 dark:text-slate-400 dark:hover:text-red-300"
+                                aria-label={`Remove bookmark ${bookmark.title}`}
+                            >
+                                <FiTrash2 />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    )
+}
+
+function Notes() {
+    const notes = useNotes();
+
+    return (
+        <section aria-labelledby="learning-notes" className="not-prose mb-10">
+            <h2 id="learning-notes" className={HEADING_CLASS}>Notes</h2>
+            {notes === undefined && <p className={EMPTY_CLASS}>Loading…</p>}
+            {notes?.length === 0 && <p className={EMPTY_CLASS}>Notes you keep under a lesson or post show up here.</p>}
+            {notes?.length > 0 && (
+                <ul className="mt-2 space-y-4">
+                    {notes.map((note) => (
+                        <li key={note.id} className="rounded-lg border border-slate-200 dark:border-slate-700 p-4">
+                            <Link href={topicHref(note)} className="font-semibold text-slate-800 dark:text-slate-100 hover:text-teal-700 dark:hover:text-teal-300">
+                                {note.title}
+                            </Link>
+                            {formatDate(note.updatedAt) && (
+                                <p className="text-xs text-slate-500 dark:text-slate-400">Edited {formatDate(note.updatedAt)}</p>
+                            )}
+                            <p className="mt-2 whitespace-pre-line line-clamp-6 text-slate-700 dark:text-slate-200">{note.text}</p>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    )
+}
+
+// Progress through the tutorials, then the signed-in reader's bookmarks and
+// notes.
+//   subjects  listSubjects() without the blog
+export default function MyLearning({ subjects }) {
+    const { ready, user } = useAccount();
+    const [startSignIn, error] = useSignIn();
+
+    return (
+        <>
+            {ready && !user && (
+                <div className="not-prose mb-8 rounded-lg bg-teal-50 dark:bg-slate-800 p-4">
+                    <p className="text-slate-700 dark:text-slate-200">
+                        Sign in to bookmark lessons, keep notes and carry your progress between devices.
+                    </p>
+                    <button
+                        type="button"
+                        onClick={startSignIn}
+                        className="mt-3 rounded-md bg-teal-700 py-2 px-4 text-sm text-white shadow-md hover:bg-teal-600"
+                    >
+                        Sign in with Google
+                    </button>
+                    {error && <p role="alert" className="mt-2 text-sm text-red-700 dark:text-red-300">{error}</p>}
+                </div>
+            )}
+            <Progress subjects={subjects} local={ready && !user} />
+            {user && <Bookmarks />}
+            {user && <Notes />}
+        </>
+    )
+}
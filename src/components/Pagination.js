@@ -0,0 +1,22 @@
+import Link from 'next/link'
+
+// Previous/next links and page numbers of a listing. `href(page)` is the path
+// of a page, page 1 being the listing itself.
+export default function Pagination({ page, pageCount, href }) {
+    if (pageCount <= 1) {
+        return null;
+    }
+
+    const linkClass = "rounded-md px-3 py-1.5 border border-slate-200 dark:border-slate-700 text-teal-700 dark:text-teal-300 hover:border-teal-600 hover:text-teal-600 dark:hover:text-teal-200";
+    const pages = Array.from({ length: pageCount }, (_, index) => index + 1);
+
+    return (
+        <nav aria-label="Pagination" className="not-prose flex flex-wrap items-center gap-2 my-8 text-sm">
+            {page > 1 && <Link href={href(page - 1)} rel="prev" className={linkClass}>← Newer</Link>}
+            {pages.map((number) => (number === page
+                ? <span key={number} aria-current="page" className="rounded-md px-3 py-1.5 bg-teal-700 text-white">{number}</span>
+                : <Link key={number} href={href(number)} className={linkClass}>{number}</Link>))}
+            {page < pageCount && <Link href={href(page + 1)} rel="next" className={linkClass}>Older →</Link>}
+        </nav>
+    )
+}
@@ -0,0 +1,31 @@
+import { formatDate } from '@/lib/blog';
+
+// "By <author> · <date> · Updated <date> · <n> min read" under a blog post's
+// title or on its card; parts that aren't known are left out.
+export default function PostByline({ author, publishedAt, updatedAt, minutes, className = "" }) {
+    const published = formatDate(publishedAt);
+    const updated = formatDate(updatedAt);
+
+    const parts = [];
+    if (author) {
+        parts.push(<span key="author">By <span className="font-medium text-slate-800 dark:text-slate-100">{author}</span></span>);
+    }
+    if (published) {
+        parts.push(<time key="published" dateTime={new Date(publishedAt).toISOString()}>{published}</time>);
+    }
+    if (updated && updated !== published) {
+        parts.push(<span key="updated">Updated <time dateTime={new Date(updatedAt).toISOString()}>{updated}</time></span>);
+    }
+    if (minutes) {
+        parts.push(<span key="minutes">{minutes} min read</span>);
+    }
+    if (parts.length === 0) {
+        return null;
+    }
+
+    return (
+        <p className={`not-prose text-sm text-slate-600 dark:text-slate-300 ${className}`}>
+            {parts.flatMap((part, index) => (index > 0 ? [" · ", part] : [part]))}
+        </p>
+    )
+}
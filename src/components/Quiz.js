@@ -0,0 +1,120 @@
+'use client'
+
+import React, { useEffect, useState } from 'react'
+import { FiCheckCircle, FiXCircle } from 'react-icons/fi'
+import { getQuizResult, saveQuizResult } from '@/lib/quiz-scores'
+
+function isCorrect(question, value) {
+    if (typeof value !== "string") {
+        return false;
+    }
+    if (question.options) {
+        return question.answers[0] === value;
+    }
+    const normalize = (text) => {
+        const trimmed = text.trim().replace(/\s+/g, " ");
+        return question.caseSensitive ? trimmed : trimmed.toLowerCase();
+    };
+    return question.answers.some((answer) => normalize(answer) === normalize(value));
+}
+
+function CorrectAnswer({ question }) {
+    const option = question.options?.find((entry) => entry.value === question.answers[0]);
+    return option ? option.label : <code>{question.answers[0]}</code>;
+}
+
+// Questions of a quiz fence (see lib/markdown/quiz.js), rendered by QuizBlock
+// with their Markdown already turned into elements. Checking the answers
+// stores the score for the lesson's entry in the sidebar, under the `subject`
+// and `topic` whose content the quiz is in.
+export default function Quiz({ id, questions, subject, topic }) {
+    const [values, setValues] = useState({});
+    const [checked, setChecked] = useState(false);
+    const [previous, setPrevious] = useState(null);
+
+    useEffect(() => setPrevious(getQuizResult(subject, topic, id)), [subject, topic, id]);
+
+    const results = questions.map((question, index) => isCorrect(question, values[index]));
+    const score = results.filter(Boolean).length;
+
+    const setValue = (index, value) => setValues({ ...values, [index]: value });
+
+    const onSubmit = (event) => {
+        event.preventDefault();
+        setChecked(true);
+        saveQuizResult(subject, topic, id, score, questions.length);
+        setPrevious(getQuizResult(subject, topic, id));
+    };
+
+    const onReset = () => {
+        setValues({});
+        setChecked(false);
+    };
+
+    const buttonClass = "rounded-md bg-teal-700 py-2 px-4 text-sm text-white shadow-md hover:bg-teal-600 hover:shadow-lg disabled:opacity-50 disabled:shadow-none";
+
+    return (
+        <form onSubmit={onSubmit} aria-label="Quiz" className="not-prose my-8 p-4 rounded-lg border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800/50">
+            <p className="text-xs font-semibold uppercase tracking-wide text-teal-700 dark:text-teal-300">Check your understanding</p>
+            {questions.map((question, index) => {
+                const name = `${id}-${index}`;
+                return (
+                    <fieldset key={name} className="mt-4">
+                        <legend className="font-medium text-slate-800 dark:text-slate-100">
+                            {questions.length > 1 && `${index + 1}. `}{question.prompt}
+                        </legend>
+                        {question.options
+                            ? question.options.map((option) => (
+                                <label key={option.value} className="flex items-start gap-2 mt-2 text-slate-700 dark:text-slate-200">
+                                    <input
+                                        type="radio"
+                                        name={name}
+                                        value={option.value}
+                                        checked={values[index] === option.value}
+                                        disabled={checked}
+                                        onChange={() => setValue(index, option.value)}
+                                        className="mt-1 accent-teal-700"
+                                    />
+                                    <span>{option.label}</span>
+                                </label>
+                            ))
+                            : (
+                                <input
+                                    type="text"
+                                    aria-label={`Answer to question ${index + 1}`}
+                                    value={values[index] ?? ""}
+                                    disabled={checked}
+                                    onChange={(event) => setValue(index, event.target.value)}
+                                    autoComplete="off"
+                                    spellCheck={false}
+                                    className="mt-2 w-full max-w-sm rounded-md border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-900 px-3 py-1.5 font-mono text-sm"
+                                />
+                            )}
+                        {checked && (
+                            <div className={`mt-3 text-sm ${results[index] ? "text-teal-700 dark:text-teal-300" : "text-red-700 dark:text-red-300"}`}>
+                                <p className="flex items-center gap-1 font-medium">
+                                    {results[index]
+                                        ? <><FiCheckCircle aria-hidden="true" /> Correct</>
+                                        : <><FiXCircle aria-hidden="true" /> Not quite, the answer is&nbsp;<CorrectAnswer question={question} /></>}
+                                </p>
+                                {question.explanation && (
+                                    <div className="mt-1 prose prose-sm dark:prose-invert max-w-none">{question.explanation}</div>
+                                )}
+                            </div>
+                        )}
+                    </fieldset>
+                );
+            })}
+            <div className="mt-6 flex flex-wrap items-center gap-4">
+                {checked
+                    ? <button type="button" onClick={onReset} className={buttonClass}>Try again</button>
+                    : <button type="submit" className={buttonClass} disabled={Object.keys(values).length === 0}>Check answers</button>}
+                <p aria-live="polite" className="text-sm text-slate-600 dark:text-slate-300">
+                    {checked
+                        ? `You got ${score} of ${questions.length} right.`
+                        : previous && `Last time ${previous.score} of ${previous.total}, best ${previous.best}.`}
+                </p>
+            </div>
+        </form>
+    )
+}
@@ -0,0 +1,25 @@
+import Markdown from 'react-markdown'
+import Quiz from './Quiz';
+import { remarkPlugins } from '@/lib/markdown';
+
+// Inline Markdown (prompts and options) without the paragraph around it.
+const inline = {
+    p: ({ children }) => <>{children}</>,
+};
+
+// Renders a <quiz-block> made by rehypeQuizzes: the question Markdown is
+// rendered here on the server and handed to the interactive Quiz.
+export default function QuizBlock({ quiz, subject, topic }) {
+    const questions = quiz.questions.map((question) => ({
+        prompt: <Markdown remarkPlugins={remarkPlugins} components={inline}>{question.prompt}</Markdown>,
+        options: question.options?.map((option) => ({
+            value: option,
+            label: <Markdown remarkPlugins={remarkPlugins} components={inline}>{option}</Markdown>,
+        })),
+        answers: question.answers,
+        caseSensitive: question.caseSensitive,
+        explanation: question.explanation && <Markdown remarkPlugins={remarkPlugins}>{question.explanation}</Markdown>,
+    }));
+
+    return <Quiz id={quiz.id} questions={questions} subject={subject} topic={topic} />;
+}
@@ -0,0 +1,52 @@
+'use client'
+
+import React, { useEffect, useState } from 'react'
+import { markLessonComplete } from '@/lib/progress';
+
+// Reading progress bar shown under the fixed 60px menu bar. Scrolling down to
+// the end of the lesson, marked by an element with data-lesson-end, marks it as
+// completed; a page with nothing to scroll isn't taken as read.
+export default function ReadingProgress({ subject, topic }) {
+    const [progress, setProgress] = useState(0);
+
+    useEffect(() => {
+        let atEnd = false;
+        const update = () => {
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            setProgress(scrollable > 0 ? Math.min(window.scrollY / scrollable, 1) : 1);
+
+            if (atEnd && window.scrollY > 0) {
+                markLessonComplete(subject, topic);
+            }
+        };
+        update();
+
+        const end = document.querySelector("[data-lesson-end]");
+        const observer = end && new IntersectionObserver(([entry]) => {
+            atEnd = entry.isIntersecting;
+            update();
+        });
+        observer?.observe(end);
+
+        window.addEventListener("scroll", update, { passive: true });
+        window.addEventListener("resize", update);
+        return () => {
+            observer?.disconnect();
+            window.removeEventListener("scroll", update);
+            window.removeEventListener("resize", update);
+        };
+    }, [subject, topic]);
+
+    return (
+        <div
+            className="z-20 fixed top-[60px] left-0 right-0 h-1 bg-teal-700/20"
+            role="progressbar"
+            aria-label="Reading progress"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(progress * 100)}
+        >
+            <div className="h-full bg-teal-400" style={{ width: `${progress * 100}%` }} />
+        </div>
+    )
+}
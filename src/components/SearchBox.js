@@ -0,0 +1,170 @@
+'use client'
+
+import React, { useEffect, useId, useRef, useState } from 'react'
+import { useRouter } from 'next/navigation'
+import { FiSearch } from 'react-icons/fi'
+import HighlightedText from './HighlightedText';
+
+const DEBOUNCE_MS = 200;
+
+// Search box for the menu bars: suggestions while typing, arrow keys to move
+// through them, Enter to open one (or the full /search page), Escape to close.
+export default function SearchBox({ className = "" }) {
+    const router = useRouter();
+    const listId = useId();
+    const inputRef = useRef(null);
+
+    const [query, setQuery] = useState("");
+    const [results, setResults] = useState([]);
+    const [isOpen, setIsOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
+
+    useEffect(() => {
+        const trimmed = query.trim();
+        if (!trimmed) {
+            setResults([]);
+            return;
+        }
+
+        const controller = new AbortController();
+        const timeout = setTimeout(async () => {
+            try {
+                const response = await fetch(`/api/search?q=${encodeURIComponent(trimmed)}`, { signal: controller.signal });
+                const data = await response.json();
+                setResults(data.results ?? []);
+                setActiveIndex(-1);
+            }
+            catch (error) {
+                if (error.name !== "AbortError") {
+                    setResults([]);
+                }
+            }
+        }, DEBOUNCE_MS);
+
+        return () => {
+            clearTimeout(timeout);
+            controller.abort();
+        };
+    }, [query]);
+
+    // "/" focuses the search box from anywhere on the page
+    useEffect(() => {
+        const onKeyDown = (event) => {
+            const target = event.target;
+            const isTyping = target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+            if (event.key === "/" && !isTyping) {
+                event.preventDefault();
+                inputRef.current?.focus();
+            }
+        };
+        window.addEventListener("keydown", onKeyDown);
+        return () => window.removeEventListener("keydown", onKeyDown);
+    }, []);
+
+    const close = () => {
+        setIsOpen(false);
+        setActiveIndex(-1);
+    }
+
+    const open = (href) => {
+        close();
+        inputRef.current?.blur();
+        router.push(href);
+    }
+
+    const onKeyDown = (event) => {
+        switch (event.key) {
+            case "ArrowDown":
+                event.preventDefault();
+                setIsOpen(true);
+                setActiveIndex(old => (old + 1) % Math.max(results.length, 1));
+                break;
+            case "ArrowUp":
+                event.preventDefault();
+                setActiveIndex(old => (old <= 0 ? results.length - 1 : old - 1));
+                break;
+            case "Escape":
+                close();
+                break;
+            default:
+                break;
+        }
+    }
+
+    const onSubmit = (event) => {
+        event.preventDefault();
+        if (activeIndex >= 0 && results[activeIndex]) {
+            open(results[activeIndex].href);
+        }
+        else if (query.trim()) {
+            open(`/search?q=${encodeURIComponent(query.trim())}`);
+        }
+    }
+
+    const showResults = isOpen && query.trim() !== "";
+
+    return (
+        <form role="search" action="/search" onSubmit={onSubmit} className={`relative ${className}`}>
+            <label htmlFor={`${listId}-input`} className="sr-only">Search tutorials and blogs</label>
+            <div className="flex items-center gap-2 rounded-md bg-white/10 focus-within:bg-white dark:focus-within:bg-slate-900 px-3 py-1.5 text-white focus-within:text-slate-800 dark:focus-within:text-slate-100 transition-colors">
+                <FiSearch className="shrink-0" aria-hidden="true" />
+                <input
+                    ref={inputRef}
+                    id={`${listId}-input`}
+                    name="q"
+                    type="search"
+                    autoComplete="off"
+                    placeholder="Search"
+                    className="w-full bg-transparent outline-none placeholder:text-white/70 focus:placeholder:text-slate-400"
+                    value={query}
+                    onChange={(event) => {
+                        setQuery(event.target.value);
+                        setIsOpen(true);
+                    }}
+                    onFocus={() => setIsOpen(true)}
+                    onBlur={() => setTimeout(close, 150)}
+                    onKeyDown={onKeyDown}
+                    role="combobox"
+                    aria-expanded={showResults}
+                    aria-controls={listId}
+                    aria-autocomplete="list"
+                    aria-activedescendant={activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+                />
+            </div>
+            {showResults && (
+                <ul
+                    id={listId}
+                    role="listbox"
+                    className="absolute right-0 top-10 z-30 w-[min(28rem,90vw)] max-h-[70vh] overflow-auto py-2 bg-white dark:bg-slate-900 rounded-md shadow-lg text-slate-800 dark:text-slate-100"
+                >
+                    {results.map((result, index) => (
+                        <li
+                            key={result.id}
+                            id={`${listId}-${index}`}
+                            role="option"
+                            aria-selected={index === activeIndex}
+                            className={`px-4 py-2 cursor-pointer ${index === activeIndex ? "bg-teal-50 dark:bg-slate-800" : "hover:bg-slate-50 dark:hover:bg-slate-800/60"}`}
+                            onMouseDown={(event) => event.preventDefault()}
+                            onMouseEnter={() => setActiveIndex(index)}
+                            onClick={() => open(result.href)}
+                        >
+                            <div className="text-xs text-teal-700 dark:text-teal-300">{result.subject}</div>
+                            <div className="font-semibold"><HighlightedText segments={result.titleSegments} /></div>
+                            <div className="text-sm text-slate-600 dark:text-slate-300 line-clamp-2"><HighlightedText segments={result.snippet} /></div>
+                        </li>
+                    ))}
+                    <li
+                        id={`${listId}-all`}
+                        role="option"
+                        aria-selected={false}
+                        className="px-4 pt-2 text-sm text-teal-700 dark:text-teal-300 hover:text-teal-600 dark:hover:text-teal-200 cursor-pointer border-t border-slate-100 dark:border-slate-700"
+                        onMouseDown={(event) => event.preventDefault()}
+                        onClick={() => open(`/search?q=${encodeURIComponent(query.trim())}`)}
+                    >
+                        {results.length > 0 ? "See all results" : "No quick matches, search everything"}
+                    </li>
+                </ul>
+            )}
+        </form>
+    )
+}
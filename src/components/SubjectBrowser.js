@@ -0,0 +1,64 @@
+'use client'
+
+import React, { useEffect, useState } from 'react'
+import Link from 'next/link'
+import { FiMessageSquare } from 'react-icons/fi'
+import { listSubjectsForEditing } from '@/lib/content/editor'
+import AdminGate from './AdminGate'
+
+const MESSAGE_CLASS = "text-slate-600 dark:text-slate-300";
+
+function Subjects() {
+    const [subjects, setSubjects] = useState(undefined);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        listSubjectsForEditing()
+            .then(setSubjects)
+            .catch(() => {
+                setSubjects([]);
+                setError("Couldn't load the subjects.");
+            });
+    }, []);
+
+    if (subjects === undefined) {
+        return <p className={MESSAGE_CLASS}>Loading…</p>;
+    }
+    return (
+        <>
+            {error && <p role="alert" className="text-red-700 dark:text-red-300">{error}</p>}
+            {subjects.length === 0 && !error && <p className={MESSAGE_CLASS}>No subjects in Firestore yet.</p>}
+            <ul className="grid gap-4 md:grid-cols-2 xl:grid-cols-3">
+                {subjects.map((subject) => (
+                    <li key={subject.id}>
+                        <Link
+                            href={`/admin/content/${subject.id}`}
+                            className="block rounded-lg border border-slate-200 dark:border-slate-700 p-4 hover:border-teal-700 dark:hover:border-teal-400"
+                        >
+                            <span className="font-semibold text-slate-800 dark:text-slate-100">{subject.name ?? subject.id}</span>
+                            <span className="block text-sm text-slate-600 dark:text-slate-300">{subject.content.length} topics</span>
+                        </Link>
+                    </li>
+                ))}
+            </ul>
+        </>
+    )
+}
+
+// The subjects of the `tutorial` collection, each opening its topic list, and
+// the other admin pages.
+export default function SubjectBrowser() {
+    return (
+        <AdminGate action="edit content">
+            <div className="not-prose">
+                <Subjects />
+                <Link
+                    href="/admin/comments"
+                    className="mt-8 inline-flex items-center gap-2 text-sm text-teal-700 dark:text-teal-300 hover:underline"
+                >
+                    <FiMessageSquare aria-hidden="true" />Moderate comments
+                </Link>
+            </div>
+        </AdminGate>
+    )
+}
@@ -0,0 +1,99 @@
+'use client'
+
+import React, { useId, useRef, useState } from 'react'
+import Link from 'next/link'
+import { usePathname } from 'next/navigation'
+import { FiChevronDown } from 'react-icons/fi'
+import { openConsentPreferences } from '@/lib/consent'
+import { useFocusTrap } from '@/lib/focus-trap'
+
+// "Tutorials" menu button listing the subjects. Arrow keys, Home and End move
+// between items, Tab stays inside while it's open and Escape closes it.
+export default function SubjectsMenu({ subjects }) {
+    const pathname = usePathname();
+    const menuId = useId();
+    const menuRef = useRef(null);
+    const [isOpen, setIsOpen] = useState(false);
+
+    const close = () => setIsOpen(false);
+    useFocusTrap(menuRef, isOpen, close);
+
+    const items = subjects.filter((subject) => subject.id !== "blogs");
+
+    const onKeyDown = (event) => {
+        const elements = [...menuRef.current.querySelectorAll('[role="menuitem"]')];
+        const index = elements.indexOf(document.activeElement);
+        const next = {
+            ArrowDown: (index + 1) % elements.length,
+            ArrowUp: (index - 1 + elements.length) % elements.length,
+            Home: 0,
+            End: elements.length - 1,
+        }[event.key];
+        if (next !== undefined) {
+            event.preventDefault();
+            elements[next].focus();
+        }
+    }
+
+    const onButtonKeyDown = (event) => {
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+            event.preventDefault();
+            setIsOpen(true);
+        }
+    }
+
+    const itemClass = "px-4 py-1.5 text-left text-teal-700 dark:text-teal-300 hover:text-teal-800 dark:hover:text-teal-200 hover:bg-slate-50 dark:hover:bg-slate-800 focus:bg-slate-100 dark:focus:bg-slate-800 focus:outline-none";
+
+    return (
+        <div className="relative">
+            <button
+                type="button"
+                className="flex items-center gap-1 rounded-md px-2 py-2 text-white/70 hover:text-white"
+                aria-haspopup="menu"
+                aria-expanded={isOpen}
+                aria-controls={menuId}
+                onClick={() => setIsOpen(!isOpen)}
+                onKeyDown={onButtonKeyDown}
+            >
+                Tutorials <FiChevronDown aria-hidden="true" />
+            </button>
+            {isOpen && (
+                <>
+                    <div className="fixed inset-0 z-20" onClick={close} />
+                    <div
+                        ref={menuRef}
+                        id={menuId}
+                        role="menu"
+                        aria-label="Tutorials"
+                        className="absolute right-0 top-11 z-30 w-48 flex flex-col py-2 bg-white dark:bg-slate-900 rounded-md shadow-lg dark:border dark:border-slate-700"
+                        onKeyDown={onKeyDown}
+                    >
+                        {items.map((subject) => (
+                            <Link
+                                key={subject.id}
+                                role="menuitem"
+                                href={subject.base_url}
+                                aria-current={pathname.split("/")[1] === subject.id ? "true" : undefined}
+                                className={`${itemClass} aria-[current=true]:font-semibold`}
+                                onClick={close}
+                            >
+                                {subject.name}
+                            </Link>
+                        ))}
+                        <button
+                            type="button"
+                            role="menuitem"
+                            className={`${itemClass} mt-2 pt-2 border-t border-slate-200 dark:border-slate-700 text-sm`}
+                            onClick={() => {
+                                close();
+                                openConsentPreferences();
+                            }}
+                        >
+                            Privacy settings
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    )
+}
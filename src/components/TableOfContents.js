@@ -0,0 +1,96 @@
+'use client'
+
+import React, { useEffect, useMemo, useState } from 'react'
+
+// Id of the heading currently at the top of the viewport.
+function useActiveHeading(ids) {
+    const [activeId, setActiveId] = useState(ids[0]);
+
+    useEffect(() => {
+        const elements = ids.map((id) => document.getElementById(id)).filter(Boolean);
+        if (elements.length === 0) {
+            return;
+        }
+
+        const visible = new Set();
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+                if (entry.isIntersecting) {
+                    visible.add(entry.target.id);
+                }
+                else {
+                    visible.delete(entry.target.id);
+                }
+            });
+
+            // first visible heading, or the last one scrolled past
+            const current = elements.find((element) => visible.has(element.id))
+                ?? [...elements].reverse().find((element) => element.getBoundingClientRect().top < 0);
+            if (current) {
+                setActiveId(current.id);
+            }
+        }, { rootMargin: "-60px 0px -60% 0px" }); // below the fixed menu bar, top part of the screen
+
+        elements.forEach((element) => observer.observe(element));
+        return () => observer.disconnect();
+    }, [ids]);
+
+    return activeId;
+}
+
+function TocList({ headings, activeId, onNavigate }) {
+    const minDepth = Math.min(...headings.map((heading) => heading.depth));
+
+    return (
+        <ul className="space-y-1 text-sm">
+            {headings.map((heading) => (
+                <li key={heading.id} style={{ paddingLeft: `${(heading.depth - minDepth) * 0.75}rem` }}>
+                    <a
+                        href={`#${heading.id}`}
+                        onClick={onNavigate}
+                        aria-current={heading.id === activeId ? "location" : undefined}
+                        className={`block py-0.5 border-l-2 pl-2 ${heading.id === activeId
+                            ? "border-teal-700 dark:border-teal-400 text-teal-700 dark:text-teal-300 font-medium"
+                            : "border-transparent text-slate-600 dark:text-slate-300 hover:text-teal-700 dark:hover:text-teal-300"}`}
+                    >
+                        {heading.text}
+                    </a>
+                </li>
+            ))}
+        </ul>
+    )
+}
+
+// Table of contents (entries from tableOfContents in lib/markdown): a fixed
+// right rail on wide screens and a collapsible block above the content
+// otherwise. Pages showing it leave room for the rail with xl:mr-72.
+export default function TableOfContents({ headings }) {
+    // keyed on the ids themselves so a new props array for the same page doesn't re-observe
+    const idList = headings.map((heading) => heading.id).join(" ");
+    const ids = useMemo(() => (idList ? idList.split(" ") : []), [idList]);
+    const activeId = useActiveHeading(ids);
+    const [isOpen, setIsOpen] = useState(false);
+
+    if (headings.length === 0) {
+        return null;
+    }
+
+    return (
+        <>
+            <nav aria-label="On this page" className="hidden xl:block fixed top-24 right-6 bottom-6 w-60 overflow-auto">
+                <p className="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400">On this page</p>
+                <TocList headings={headings} activeId={activeId} />
+            </nav>
+            <details
+                className="not-prose xl:hidden mb-6 rounded-lg border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800/60 px-4 py-2"
+                open={isOpen}
+                onToggle={(event) => setIsOpen(event.currentTarget.open)}
+            >
+                <summary className="cursor-pointer text-sm font-semibold text-slate-700 dark:text-slate-200">On this page</summary>
+                <nav aria-label="On this page" className="mt-2">
+                    <TocList headings={headings} activeId={activeId} onNavigate={() => setIsOpen(false)} />
+                </nav>
+            </details>
+        </>
+    )
+}
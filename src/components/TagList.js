@@ -0,0 +1,23 @@
+import Link from 'next/link'
+
+// A blog post's tags, each linking to its archive at /blogs/tag/<slug>.
+export default function TagList({ tags, className = "" }) {
+    if (!tags || tags.length === 0) {
+        return null;
+    }
+
+    return (
+        <ul className={`not-prose flex flex-wrap gap-2 list-none p-0 ${className}`} aria-label="Tags">
+            {tags.map((tag) => (
+                <li key={tag.slug}>
+                    <Link
+                        href={`/blogs/tag/${tag.slug}`}
+                        className="inline-block rounded-full border border-slate-200 dark:border-slate-700 px-3 py-0.5 text-xs text-teal-700 dark:text-teal-300 hover:border-teal-600 hover:text-teal-600 dark:hover:text-teal-200"
+                    >
+                        #{tag.name}
+                    </Link>
+                </li>
+            ))}
+        </ul>
+    )
+}
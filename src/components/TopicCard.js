@@ -0,0 +1,36 @@
+import Link from 'next/link'
+import Markdown from 'react-markdown'
+import remarkGfm from "remark-gfm";
+import TagList from './TagList';
+
+// Card used for blog and topic listings: title, short markdown description and a link.
+// Blog posts add their tags, [{ name, slug }].
+export default function TopicCard({ title, shortDesc, href, label = "Read more", eyebrow, tags }) {
+    return (
+        <div className="relative flex flex-col my-6 bg-white dark:bg-slate-900 shadow-sm border border-slate-200 dark:border-slate-700 rounded-lg">
+            <div className="p-4">
+                {eyebrow && (
+                    <p className="mt-0 mb-1 text-sm font-medium text-teal-700 dark:text-teal-300">{eyebrow}</p>
+                )}
+                <h5 className="mb-2 text-slate-800 dark:text-slate-100 text-xl font-semibold">
+                    {title}
+                </h5>
+                {shortDesc && (
+                    <div className="text-slate-600 dark:text-slate-300 leading-normal font-light">
+                        <Markdown remarkPlugins={[remarkGfm]}>
+                            {shortDesc}
+                        </Markdown>
+                    </div>
+                )}
+                <TagList tags={tags} className="mt-3" />
+
+                <Link
+                    href={href}
+                    className="rounded-md bg-teal-700 py-2 px-4 mt-6 border border-transparent text-center text-sm text-white transition-all shadow-md hover:shadow-lg focus:bg-teal-600 focus:shadow-none active:bg-teal-600 hover:bg-teal-600 active:shadow-none disabled:pointer-events-none disabled:opacity-50 disabled:shadow-none"
+                    type="button">
+                    {label}
+                </Link>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,279 @@
+'use client'
+
+import React, { useDeferredValue, useEffect, useMemo, useState } from 'react'
+import Link from 'next/link'
+import ContentPreview from './ContentPreview'
+import AdminGate from './AdminGate'
+import { discardDraft, editableTopic, publishTopic, readTopicForEditing, saveDraft } from '@/lib/content/editor'
+import { withTopicEntry } from '@/lib/content/documents'
+import { DESCRIPTION_TAG_MAX, DESCRIPTION_TAG_MIN, TITLE_TAG_MAX, validateTopic, validateTopicList } from '@/lib/content/validate'
+import { BLOG_SUBJECT, formatDate } from '@/lib/blog'
+
+const BUTTON_CLASS = "rounded-md bg-teal-700 py-1.5 px-4 text-sm text-white hover:bg-teal-600 disabled:opacity-60";
+const SECONDARY_BUTTON_CLASS = "rounded-md border border-slate-300 dark:border-slate-600 py-1.5 px-4 text-sm text-slate-700 dark:text-slate-200 hover:border-teal-700 dark:hover:border-teal-400 disabled:opacity-60";
+const INPUT_CLASS = "mt-1 w-full rounded-md border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 px-3 py-1.5 text-slate-800 dark:text-slate-100 focus:outline-none focus:border-teal-700 dark:focus:border-teal-400";
+const LABEL_CLASS = "block text-sm font-semibold text-slate-700 dark:text-slate-200";
+const MESSAGE_CLASS = "text-slate-600 dark:text-slate-300";
+
+const STATUS_MESSAGES = {
+    saving: "Saving…",
+    saved: "Draft saved.",
+    publishing: "Publishing…",
+    published: "Published, the site is updated.",
+    stale: "Published. The site couldn't be refreshed, it shows the changes within the hour.",
+    discarded: "Draft discarded.",
+};
+
+function emptyTopic(url) {
+    return { title: "", url, titleTag: "", descriptionTag: "", keywords: "", shortDesc: "", content: "" };
+}
+
+function sameFields(a, b) {
+    return JSON.stringify(Object.entries(a).sort()) === JSON.stringify(Object.entries(b).sort());
+}
+
+// Character count of a search field against what search results show.
+function Count({ value, min = 0, max }) {
+    const length = value?.length ?? 0;
+    const outside = length > 0 && (length < min || length > max);
+    return (
+        <span className={`font-normal ${outside ? "text-amber-700 dark:text-amber-300" : "text-slate-500 dark:text-slate-400"}`}>
+            {" "}{length}/{min ? `${min}-` : ""}{max}
+        </span>
+    )
+}
+
+function TextField({ id, label, value, onChange, multiline = false, hint, children }) {
+    const Input = multiline ? "textarea" : "input";
+    return (
+        <div>
+            <label htmlFor={id} className={LABEL_CLASS}>{label}{children}</label>
+            <Input id={id} value={value ?? ""} onChange={(event) => onChange(event.target.value)} rows={multiline ? 3 : undefined} className={INPUT_CLASS} />
+            {hint && <p className="mt-1 text-xs text-slate-500 dark:text-slate-400">{hint}</p>}
+        </div>
+    )
+}
+
+// Tags as the comma separated text being typed, handed on as a list.
+function TagsField({ tags, onChange }) {
+    const [text, setText] = useState((tags ?? []).join(", "));
+    return (
+        <TextField id="topic-tags" label="Tags" value={text} hint="Comma separated, e.g. Kotlin, Jetpack Compose"
+            onChange={(value) => {
+                setText(value);
+                const list = value.split(",").map((tag) => tag.trim()).filter(Boolean);
+                onChange(list.length > 0 ? list : undefined);
+            }} />
+    )
+}
+
+// How the topic shows up in search results.
+function SearchSnippet({ subjectId, topic }) {
+    return (
+        <div className="rounded-md border border-slate-200 dark:border-slate-700 p-3">
+            <p className="text-xs text-slate-500 dark:text-slate-400">Search result</p>
+            <p className="truncate text-lg text-blue-800 dark:text-blue-300">{topic.titleTag || topic.title}</p>
+            <p className="text-xs text-green-800 dark:text-green-300">droidbiz.in › {subjectId} › {topic.url}</p>
+            <p className="line-clamp-2 text-sm text-slate-600 dark:text-slate-300">{topic.descriptionTag}</p>
+        </div>
+    )
+}
+
+function Issues({ issues }) {
+    if (issues.length === 0) {
+        return <p className="text-sm text-teal-700 dark:text-teal-300">Ready to publish.</p>;
+    }
+    return (
+        <ul className="space-y-1 text-sm">
+            {issues.map((issue, index) => (
+                <li key={index} className={issue.level === "error" ? "text-red-700 dark:text-red-300" : "text-amber-700 dark:text-amber-300"}>
+                    {issue.level}: {issue.message}
+                </li>
+            ))}
+        </ul>
+    )
+}
+
+function Editor({ subjectId, url }) {
+    const [loaded, setLoaded] = useState(undefined);
+    const [topic, setTopic] = useState(null);
+    // what the topic was when last loaded or saved, to tell unsaved edits
+    const [saved, setSaved] = useState(null);
+    const [status, setStatus] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        readTopicForEditing(subjectId, url)
+            .then((result) => {
+                const start = editableTopic(result.draft ?? result.published ?? emptyTopic(url));
+                setLoaded(result);
+                setTopic(start);
+                setSaved(start);
+            })
+            .catch(() => setLoaded(null));
+    }, [subjectId, url]);
+
+    const dirty = Boolean(topic && saved) && !sameFields(topic, saved);
+
+    useEffect(() => {
+        if (!dirty) {
+            return;
+        }
+        const onBeforeUnload = (event) => {
+            event.preventDefault();
+            event.returnValue = "";
+        };
+        window.addEventListener("beforeunload", onBeforeUnload);
+        return () => window.removeEventListener("beforeunload", onBeforeUnload);
+    }, [dirty]);
+
+    // checked as the content CLI checks topic files, a little behind typing
+    const checked = useDeferredValue(topic);
+    const issues = useMemo(() => {
+        if (!checked || !loaded?.subject) {
+            return [];
+        }
+        return [
+            ...validateTopic(checked, url),
+            ...validateTopicList(withTopicEntry(loaded.subject.content ?? [], checked), subjectId),
+        ];
+    }, [checked, loaded, url, subjectId]);
+
+    if (loaded === undefined) {
+        return <p className={MESSAGE_CLASS}>Loading…</p>;
+    }
+    if (loaded === null) {
+        return <p role="alert" className="text-red-700 dark:text-red-300">Couldn&apos;t load the topic.</p>;
+    }
+    if (!loaded.subject) {
+        return <p className={MESSAGE_CLASS}>There is no subject &quot;{subjectId}&quot; in Firestore, publish it with the content CLI first.</p>;
+    }
+
+    const { subject, published, draft } = loaded;
+    const blog = subjectId === BLOG_SUBJECT;
+    const busy = status === "saving" || status === "publishing";
+    const hasErrors = issues.some((issue) => issue.level === "error");
+    // optional fields are left out rather than stored empty
+    const set = (field) => (value) => setTopic((current) => {
+        const { [field]: previous, ...rest } = current;
+        return value === undefined ? rest : { ...rest, [field]: value };
+    });
+
+    const run = (action, pending, done, message) => {
+        setStatus(pending);
+        setError(null);
+        action()
+            .then((result) => setStatus(typeof done === "function" ? done(result) : done))
+            .catch(() => {
+                setStatus(null);
+                setError(message);
+            });
+    };
+
+    const save = () => run(async () => {
+        await saveDraft(subjectId, topic);
+        setSaved(topic);
+        setLoaded({ ...loaded, draft: { ...topic, savedAt: new Date().toISOString() } });
+    }, "saving", "saved", "Couldn't save the draft.");
+
+    const publish = () => run(async () => {
+        const result = await publishTopic(subjectId, topic);
+        setSaved(topic);
+        setLoaded({ ...loaded, published: topic, draft: null });
+        return result;
+    }, "publishing", ({ revalidated }) => (revalidated ? "published" : "stale"), "Couldn't publish the topic.");
+
+    const discard = () => {
+        if (!window.confirm(published ? "Discard the draft and go back to the published topic?" : "Discard this draft for good?")) {
+            return;
+        }
+        run(async () => {
+            await discardDraft(subjectId, url);
+            const start = editableTopic(published ?? emptyTopic(url));
+            setTopic(start);
+            setSaved(start);
+            setLoaded({ ...loaded, draft: null });
+        }, "saving", "discarded", "Couldn't discard the draft.");
+    };
+
+    return (
+        <>
+            <p className={`text-sm ${MESSAGE_CLASS}`}>
+                <Link href={`/admin/content/${subjectId}`} className="text-teal-700 dark:text-teal-300 hover:underline">{subject.name ?? subjectId}</Link>
+                {published ? <> · <Link href={`/${subjectId}/${url}`} className="text-teal-700 dark:text-teal-300 hover:underline">View published</Link></> : " · Not published yet"}
+                {draft?.savedAt && ` · Draft saved ${formatDate(draft.savedAt)}${draft.savedBy ? ` by ${draft.savedBy}` : ""}`}
+            </p>
+
+            <div className="sticky top-[60px] z-10 my-4 flex flex-wrap items-center gap-3 bg-white dark:bg-slate-900 py-2">
+                <button type="button" onClick={save} disabled={!dirty || busy} className={SECONDARY_BUTTON_CLASS}>Save draft</button>
+                <button type="button" onClick={publish} disabled={hasErrors || busy || (!dirty && !draft && Boolean(published))} className={BUTTON_CLASS}
+                    title={hasErrors ? "Fix the errors first" : undefined}>
+                    Publish
+                </button>
+                {draft && <button type="button" onClick={discard} disabled={busy} className={SECONDARY_BUTTON_CLASS}>Discard draft</button>}
+                <span role="status" className={`text-sm ${MESSAGE_CLASS}`}>
+                    {dirty && !busy && "Unsaved changes. "}
+                    {STATUS_MESSAGES[status]}
+                    {error && <span className="text-red-700 dark:text-red-300">{error}</span>}
+                </span>
+            </div>
+
+            <div className="grid gap-8 lg:grid-cols-2">
+                <div className="min-w-0 space-y-4">
+                    <TextField id="topic-title" label="Title" value={topic.title} onChange={set("title")} hint="Shown in the lesson list and navigation." />
+                    <TextField id="topic-title-tag" label="Title tag" value={topic.titleTag} onChange={set("titleTag")}>
+                        <Count value={topic.titleTag} max={TITLE_TAG_MAX} />
+                    </TextField>
+                    <TextField id="topic-description-tag" label="Description tag" value={topic.descriptionTag} onChange={set("descriptionTag")} multiline>
+                        <Count value={topic.descriptionTag} min={DESCRIPTION_TAG_MIN} max={DESCRIPTION_TAG_MAX} />
+                    </TextField>
+                    <TextField id="topic-keywords" label="Keywords" value={topic.keywords} onChange={set("keywords")} hint="Comma separated." />
+                    <TextField id="topic-short-desc" label="Short description" value={topic.shortDesc} onChange={set("shortDesc")} multiline
+                        hint="Markdown, shown on the subject page." />
+                    <TextField id="topic-image" label="Image" value={topic.image} onChange={(value) => set("image")(value || undefined)}
+                        hint="For sharing; the first image of the body when empty." />
+                    {blog && (
+                        <>
+                            <TextField id="topic-author" label="Author" value={topic.author} onChange={(value) => set("author")(value || undefined)} />
+                            <TagsField tags={topic.tags} onChange={set("tags")} />
+                        </>
+                    )}
+                    <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-200">
+                        <input type="checkbox" checked={topic.ads !== false} onChange={(event) => set("ads")(event.target.checked ? undefined : false)} />
+                        Show ads
+                    </label>
+                    <SearchSnippet subjectId={subjectId} topic={topic} />
+                    <div>
+                        <label htmlFor="topic-content" className={LABEL_CLASS}>Content</label>
+                        <textarea
+                            id="topic-content"
+                            value={topic.content}
+                            onChange={(event) => set("content")(event.target.value)}
+                            spellCheck={false}
+                            rows={30}
+                            className={`${INPUT_CLASS} font-mono text-sm`}
+                        />
+                        <p className="mt-1 text-xs text-slate-500 dark:text-slate-400">
+                            Markdown. Put show-adsense-ad on its own line to place an in-article ad.
+                        </p>
+                    </div>
+                    <Issues issues={issues} />
+                </div>
+                <div className="min-w-0 border-t lg:border-t-0 lg:border-l border-slate-200 dark:border-slate-700 pt-4 lg:pt-0 lg:pl-8">
+                    <p className="mb-2 text-xs uppercase tracking-wide text-slate-500 dark:text-slate-400">Preview</p>
+                    <ContentPreview subject={subject} topic={topic} />
+                </div>
+            </div>
+        </>
+    )
+}
+
+// Split-pane editor of one topic: its fields and Markdown next to a live
+// preview. Edits are kept as a draft until published.
+export default function TopicEditor({ subjectId, url }) {
+    return (
+        <AdminGate action="edit content">
+            <Editor subjectId={subjectId} url={url} />
+        </AdminGate>
+    )
+}
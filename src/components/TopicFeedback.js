@@ -0,0 +1,239 @@
+'use client'
+
+import React, { useEffect, useState } from 'react'
+import { FiThumbsDown, FiThumbsUp } from 'react-icons/fi'
+import { isCancelledSignIn, signIn, useAccount } from '@/lib/account'
+import { CommentRateLimitError, postComment, rateTopic, useRating } from '@/lib/feedback'
+import { COMMENT_MAX_LENGTH } from '@/lib/feedback/documents'
+import { formatDate } from '@/lib/blog'
+import { useSignIn } from './AccountMenu'
+
+const BUTTON_CLASS = "rounded-md bg-teal-700 py-1.5 px-4 text-sm text-white hover:bg-teal-600 disabled:opacity-60";
+const LINK_BUTTON_CLASS = "text-sm text-teal-700 dark:text-teal-300 hover:underline";
+
+function commentError(error) {
+    if (error instanceof CommentRateLimitError) {
+        return `You can comment again in ${error.seconds} seconds.`;
+    }
+    return "Couldn't post the comment, please try again.";
+}
+
+// "Was this helpful?" with one vote per reader; signed-out readers sign in
+// first and their vote is recorded right after.
+function HelpfulRating({ subject, topic }) {
+    const { ready, user } = useAccount();
+    const rating = useRating(subject, topic);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const rate = async (helpful) => {
+        setSaving(true);
+        setError(null);
+        try {
+            if (!user) {
+                await signIn();
+            }
+            await rateTopic(subject, topic, helpful);
+        }
+        catch (reason) {
+            if (!isCancelledSignIn(reason)) {
+                setError("Couldn't save your answer.");
+            }
+        }
+        finally {
+            setSaving(false);
+        }
+    };
+
+    const options = [[true, "Yes", FiThumbsUp], [false, "No", FiThumbsDown]];
+
+    return (
+        <div className="flex flex-wrap items-center gap-3">
+            <p className="font-semibold text-slate-800 dark:text-slate-100">Was this helpful?</p>
+            {options.map(([value, label, Icon]) => (
+                <button
+                    key={label}
+                    type="button"
+                    onClick={() => rate(value)}
+                    disabled={!ready || saving}
+                    aria-pressed={rating === value}
+                    className={`inline-flex items-center gap-1 rounded-md border px-3 py-1 text-sm disabled:opacity-60 ${rating === value
+                        ? "border-teal-700 bg-teal-700 text-white"
+                        : "border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-200 hover:border-teal-700 dark:hover:border-teal-400"}`}
+                >
+                    <Icon aria-hidden="true" />{label}
+                </button>
+            ))}
+            <span role="status" className="text-sm text-slate-600 dark:text-slate-300">
+                {rating !== null && rating !== undefined && "Thanks for letting us know."}
+                {error && <span className="text-red-700 dark:text-red-300">{error}</span>}
+            </span>
+        </div>
+    )
+}
+
+function CommentForm({ subject, topic, parentId = null, label, onDone }) {
+    const [text, setText] = useState("");
+    const [status, setStatus] = useState(null);
+    const [error, setError] = useState(null);
+    const id = `comment-${parentId ?? "new"}`;
+
+    const submit = (event) => {
+        event.preventDefault();
+        setStatus("posting");
+        setError(null);
+        postComment(subject, topic, text, parentId)
+            .then(() => {
+                setText("");
+                setStatus("posted");
+                onDone?.();
+            })
+            .catch((reason) => {
+                setStatus(null);
+                setError(commentError(reason));
+            });
+    };
+
+    return (
+        <form onSubmit={submit} className="mt-3">
+            <label htmlFor={id} className="sr-only">{label}</label>
+            <textarea
+                id={id}
+                value={text}
+                onChange={(event) => setText(event.target.value)}
+                maxLength={COMMENT_MAX_LENGTH}
+                rows={3}
+                placeholder={label}
+                className="w-full rounded-md border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 px-3 py-2 text-slate-800 dark:text-slate-100 focus:outline-none focus:border-teal-700 dark:focus:border-teal-400"
+            />
+            <div className="mt-2 flex flex-wrap items-center gap-3">
+                <button type="submit" disabled={!text.trim() || status === "posting"} className={BUTTON_CLASS}>
+                    Post
+                </button>
+                <span role="status" className="text-sm text-slate-600 dark:text-slate-300">
+                    {status === "posted" && "Thanks! Your comment appears once a moderator approves it."}
+                    {error && <span className="text-red-700 dark:text-red-300">{error}</span>}
+                </span>
+            </div>
+        </form>
+    )
+}
+
+function Comment({ comment }) {
+    return (
+        <div className="flex gap-3">
+            {comment.photoURL
+                ? <img src={comment.photoURL} alt="" width={32} height={32} referrerPolicy="no-referrer" className="h-8 w-8 shrink-0 rounded-full" />
+                : (
+                    <span className="flex h-8 w-8 shrink-0 items-center justify-center rounded-full bg-teal-700 text-sm font-semibold text-white">
+                        {comment.author.charAt(0).toUpperCase()}
+                    </span>
+                )}
+            <div className="min-w-0">
+                <p className="text-sm">
+                    <span className="font-semibold text-slate-800 dark:text-slate-100">{comment.author}</span>
+                    {formatDate(comment.createdAt) && (
+                        <time dateTime={comment.createdAt} className="ml-2 text-slate-500 dark:text-slate-400">{formatDate(comment.createdAt)}</time>
+                    )}
+                </p>
+                <p className="mt-1 whitespace-pre-line break-words text-slate-700 dark:text-slate-200">{comment.text}</p>
+            </div>
+        </div>
+    )
+}
+
+function Thread({ thread, subject, topic, signedIn, onSignIn }) {
+    const [replying, setReplying] = useState(false);
+
+    return (
+        <li className="py-4">
+            <Comment comment={thread} />
+            {thread.replies.length > 0 && (
+                <ul className="mt-3 ml-11 space-y-3 border-l-2 border-slate-200 dark:border-slate-700 pl-4">
+                    {thread.replies.map((reply) => (
+                        <li key={reply.id}><Comment comment={reply} /></li>
+                    ))}
+                </ul>
+            )}
+            <div className="ml-11 mt-2">
+                {replying
+                    ? <CommentForm subject={subject} topic={topic} parentId={thread.id} label={`Reply to ${thread.author}`} />
+                    : (
+                        <button type="button" onClick={() => (signedIn ? setReplying(true) : onSignIn())} className={LINK_BUTTON_CLASS}>
+                            Reply
+                        </button>
+                    )}
+            </div>
+        </li>
+    )
+}
+
+// Approved comments of a topic, { threads, error }; threads is undefined
+// while loading.
+function useComments(subject, topic) {
+    const [comments, setComments] = useState({ threads: undefined, error: null });
+
+    useEffect(() => {
+        const controller = new AbortController();
+        fetch(`/api/comments?subject=${encodeURIComponent(subject)}&topic=${encodeURIComponent(topic)}`, { signal: controller.signal })
+            .then((response) => (response.ok ? response.json() : Promise.reject(new Error(response.statusText))))
+            .then((data) => setComments({ threads: data.threads, error: null }))
+            .catch((error) => {
+                if (error.name !== "AbortError") {
+                    setComments({ threads: [], error: "Comments can't be loaded right now." });
+                }
+            });
+        return () => controller.abort();
+    }, [subject, topic]);
+
+    return comments;
+}
+
+// Rating and threaded comments under a tutorial or blog post. Anyone can read
+// approved comments; rating, commenting and replying need an account. New
+// comments wait for an admin in /admin/comments.
+export default function TopicFeedback({ subject, topic }) {
+    const { ready, user } = useAccount();
+    const { threads, error } = useComments(subject, topic);
+    const [startSignIn, signInError] = useSignIn();
+    const count = (threads ?? []).reduce((sum, thread) => sum + 1 + thread.replies.length, 0);
+
+    return (
+        <section aria-labelledby="topic-comments" className="not-prose my-10 border-t border-slate-200 dark:border-slate-700 pt-6">
+            <HelpfulRating subject={subject} topic={topic} />
+
+            <h2 id="topic-comments" className="mt-8 text-xl font-semibold text-slate-800 dark:text-slate-100">
+                Comments{count > 0 ? ` (${count})` : ""}
+            </h2>
+            <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">
+                Spotted a mistake in a code snippet, or stuck on a step? Let us know.
+            </p>
+
+            {ready && (user
+                ? <CommentForm subject={subject} topic={topic} label="Write a comment" />
+                : (
+                    <p className="mt-3 text-sm text-slate-600 dark:text-slate-300">
+                        <button type="button" onClick={startSignIn} className={LINK_BUTTON_CLASS}>Sign in</button> to comment.
+                        {signInError && <span role="alert" className="block text-red-700 dark:text-red-300">{signInError}</span>}
+                    </p>
+                ))}
+
+            {threads === undefined && <p className="mt-4 text-sm text-slate-600 dark:text-slate-300">Loading comments…</p>}
+            {error && <p className="mt-4 text-sm text-slate-600 dark:text-slate-300">{error}</p>}
+            {threads?.length > 0 && (
+                <ul className="mt-4 divide-y divide-slate-200 dark:divide-slate-700">
+                    {threads.map((thread) => (
+                        <Thread
+                            key={thread.id}
+                            thread={thread}
+                            subject={subject}
+                            topic={topic}
+                            signedIn={Boolean(user)}
+                            onSignIn={startSignIn}
+                        />
+                    ))}
+                </ul>
+            )}
+        </section>
+    )
+}
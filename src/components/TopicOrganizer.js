@@ -0,0 +1,166 @@
+'use client'
+
+import React, { useEffect, useState } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/navigation'
+import { FiArrowDown, FiArrowUp } from 'react-icons/fi'
+import { readSubjectForEditing, saveTopicOrder } from '@/lib/content/editor'
+import AdminGate from './AdminGate'
+
+const SLUG = /^[\w-]+$/;
+
+const BUTTON_CLASS = "rounded-md bg-teal-700 py-1.5 px-4 text-sm text-white hover:bg-teal-600 disabled:opacity-60";
+const ICON_BUTTON_CLASS = "rounded-md p-1.5 text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-30";
+const MESSAGE_CLASS = "text-slate-600 dark:text-slate-300";
+
+function moved(list, index, step) {
+    const next = [...list];
+    [next[index], next[index + step]] = [next[index + step], next[index]];
+    return next;
+}
+
+// Starts a topic that isn't in the subject yet; it is added at the end of the
+// list when first published.
+function NewTopic({ subjectId, taken }) {
+    const router = useRouter();
+    const [url, setUrl] = useState("");
+    const error = !url ? null
+        : !SLUG.test(url) ? "Only letters, digits, _ and -"
+        : taken.includes(url) ? "There is a topic with this url"
+        : null;
+
+    return (
+        <form
+            onSubmit={(event) => {
+                event.preventDefault();
+                router.push(`/admin/content/${subjectId}/${url}`);
+            }}
+            className="mt-8"
+        >
+            <label htmlFor="new-topic" className="block font-semibold text-slate-800 dark:text-slate-100">New topic</label>
+            <div className="mt-2 flex flex-wrap items-center gap-3">
+                <span className="text-sm text-slate-600 dark:text-slate-300">/{subjectId}/</span>
+                <input
+                    id="new-topic"
+                    value={url}
+                    onChange={(event) => setUrl(event.target.value.trim())}
+                    placeholder="topic-url"
+                    className="rounded-md border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 px-3 py-1.5 text-slate-800 dark:text-slate-100 focus:outline-none focus:border-teal-700 dark:focus:border-teal-400"
+                />
+                <button type="submit" disabled={!url || Boolean(error)} className={BUTTON_CLASS}>Write</button>
+                {error && <span className="text-sm text-red-700 dark:text-red-300">{error}</span>}
+            </div>
+        </form>
+    )
+}
+
+function Topics({ subjectId }) {
+    const [state, setState] = useState({ subject: undefined, drafts: {}, error: null });
+    const [order, setOrder] = useState([]);
+    const [saving, setSaving] = useState(null);
+
+    useEffect(() => {
+        readSubjectForEditing(subjectId)
+            .then(({ subject, drafts }) => {
+                setState({ subject, drafts, error: null });
+                setOrder(subject?.content ?? []);
+            })
+            .catch(() => setState({ subject: null, drafts: {}, error: "Couldn't load the subject." }));
+    }, [subjectId]);
+
+    const { subject, drafts, error } = state;
+    if (subject === undefined) {
+        return <p className={MESSAGE_CLASS}>Loading…</p>;
+    }
+    if (!subject) {
+        return <p role="alert" className={error ? "text-red-700 dark:text-red-300" : MESSAGE_CLASS}>{error ?? `There is no subject "${subjectId}" in Firestore.`}</p>;
+    }
+
+    const reordered = order.some((topic, index) => topic.url !== subject.content[index].url);
+    // drafts of topics that were never published
+    const unpublished = Object.keys(drafts).filter((url) => !subject.content.some((topic) => topic.url === url));
+
+    const save = () => {
+        setSaving("saving");
+        saveTopicOrder(subjectId, order.map((topic) => topic.url))
+            .then(({ revalidated }) => {
+                setState({ ...state, subject: { ...subject, content: order } });
+                setSaving(revalidated ? "saved" : "stale");
+            })
+            .catch(() => setSaving("failed"));
+    };
+
+    return (
+        <>
+            <p className={`text-sm ${MESSAGE_CLASS}`}>
+                Topics in the order readers go through them.{" "}
+                <Link href={`/${subjectId}`} className="text-teal-700 dark:text-teal-300 hover:underline">View the subject</Link>
+            </p>
+            <ol className="mt-4 divide-y divide-slate-200 dark:divide-slate-700">
+                {order.map((topic, index) => (
+                    <li key={topic.url} className="flex items-center gap-2 py-2">
+                        <span className="w-8 text-right text-sm text-slate-500 dark:text-slate-400">{index + 1}.</span>
+                        <Link href={`/admin/content/${subjectId}/${topic.url}`} className="text-slate-800 dark:text-slate-100 hover:text-teal-700 dark:hover:text-teal-300">
+                            {topic.title}
+                        </Link>
+                        {drafts[topic.url] && <span className="rounded bg-amber-100 dark:bg-amber-900 px-1.5 text-xs text-amber-800 dark:text-amber-200">Draft</span>}
+                        <span className="ml-auto flex">
+                            <button type="button" disabled={index === 0} onClick={() => setOrder(moved(order, index, -1))}
+                                className={ICON_BUTTON_CLASS} aria-label={`Move ${topic.title} up`}>
+                                <FiArrowUp />
+                            </button>
+                            <button type="button" disabled={index === order.length - 1} onClick={() => setOrder(moved(order, index, 1))}
+                                className={ICON_BUTTON_CLASS} aria-label={`Move ${topic.title} down`}>
+                                <FiArrowDown />
+                            </button>
+                        </span>
+                    </li>
+                ))}
+            </ol>
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+                <button type="button" onClick={save} disabled={!reordered || saving === "saving"} className={BUTTON_CLASS}>
+                    Save order
+                </button>
+                {reordered && (
+                    <button type="button" onClick={() => setOrder(subject.content)} className="text-sm text-teal-700 dark:text-teal-300 hover:underline">
+                        Undo
+                    </button>
+                )}
+                <span role="status" className={`text-sm ${MESSAGE_CLASS}`}>
+                    {saving === "saved" && "Saved, the site is updated."}
+                    {saving === "stale" && "Saved. The site couldn't be refreshed, it shows the new order within the hour."}
+                    {saving === "failed" && <span className="text-red-700 dark:text-red-300">Couldn&apos;t save the order.</span>}
+                </span>
+            </div>
+
+            {unpublished.length > 0 && (
+                <>
+                    <h2 className="mt-8 text-xl font-semibold text-slate-800 dark:text-slate-100">Unpublished drafts</h2>
+                    <ul className="mt-2 space-y-1">
+                        {unpublished.map((url) => (
+                            <li key={url}>
+                                <Link href={`/admin/content/${subjectId}/${url}`} className="text-slate-800 dark:text-slate-100 hover:text-teal-700 dark:hover:text-teal-300">
+                                    {drafts[url].title || url}
+                                </Link>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+
+            <NewTopic subjectId={subjectId} taken={[...subject.content.map((topic) => topic.url), ...unpublished]} />
+        </>
+    )
+}
+
+// The topics of one subject, to reorder them, open one in the editor or start
+// a new one.
+export default function TopicOrganizer({ subjectId }) {
+    return (
+        <AdminGate action="edit content">
+            <div className="not-prose">
+                <Topics subjectId={subjectId} />
+            </div>
+        </AdminGate>
+    )
+}
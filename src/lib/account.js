@@ -0,0 +1,303 @@
+import { useEffect, useState } from 'react'
+import { getAllCompletedLessons, mergeCompletedLessons, onProgressChange } from './progress'
+
+// Optional reader accounts: signing in with Google keeps bookmarks and notes,
+// and syncs completed lessons between devices. Everything is stored in
+// Firestore under the reader's uid, guarded by firestore.rules:
+//   users/{uid}                  { completed: { [subjectId]: [topicUrl, ...] } }
+//   users/{uid}/bookmarks/{key}  { subject, topic, title, createdAt }
+//   users/{uid}/notes/{key}      { subject, topic, title, text, updatedAt }
+// key being "<subjectId>:<topicUrl>". Readers who never signed in on this
+// browser don't load Firebase at all.
+export const USERS_COLLECTION = "users";
+export const BOOKMARKS_COLLECTION = "bookmarks";
+export const NOTES_COLLECTION = "notes";
+
+// Longest note, firestore.rules refuses longer ones.
+export const NOTE_MAX_LENGTH = 5000;
+
+// Set while someone is signed in, so Firebase is loaded on the next visit.
+const SIGNED_IN_KEY = "droidbiz:signed-in";
+// Fired on window when the reader signs in or out.
+const CHANGE_EVENT = "droidbiz:account-change";
+
+let account = { ready: false, user: null };
+let firebase = null;
+let stopSync = null;
+
+function setAccount(next) {
+    account = next;
+    window.dispatchEvent(new Event(CHANGE_EVENT));
+}
+
+function rememberSignedIn(signedIn) {
+    try {
+        if (signedIn) {
+            window.localStorage.setItem(SIGNED_IN_KEY, "1");
+        }
+        else {
+            window.localStorage.removeItem(SIGNED_IN_KEY);
+        }
+    }
+    catch (error) {
+        // storage disabled, Firebase is loaded when signing in again
+    }
+}
+
+function wasSignedIn() {
+    try {
+        return window.localStorage.getItem(SIGNED_IN_KEY) === "1";
+    }
+    catch (error) {
+        return false;
+    }
+}
+
+// admin: whether the account has the `admin` custom claim, which lets it
+// moderate comments (see firestore.rules).
+async function toUser(user) {
+    const token = await user.getIdTokenResult().catch(() => null);
+    return {
+        uid: user.uid,
+        name: user.displayName || user.email || "Reader",
+        email: user.email,
+        photoURL: user.photoURL,
+        admin: token?.claims.admin === true,
+    };
+}
+
+// Firebase Auth and Firestore, loaded once: { authSdk, sdk, auth, db }.
+export function loadFirebase() {
+    if (!firebase) {
+        firebase = Promise.all([
+            import("firebase/auth"),
+            import("firebase/firestore"),
+            import("./firebase/auth.js"),
+            import("./firebase/firebase.js"),
+        ]).then(([authSdk, sdk, { auth }, { db }]) => {
+            const services = { authSdk, sdk, auth, db };
+            authSdk.onAuthStateChanged(auth, async (user) => {
+                stopSync?.();
+                stopSync = user ? syncProgress(services, user.uid) : null;
+                rememberSignedIn(Boolean(user));
+                const next = user ? await toUser(user) : null;
+                if (auth.currentUser?.uid === user?.uid) { // not signed out or in again meanwhile
+                    setAccount({ ready: true, user: next });
+                }
+            });
+            return services;
+        });
+        // a failed load is tried again on the next call, e.g. signing in
+        firebase.catch(() => {
+            firebase = null;
+        });
+    }
+    return firebase;
+}
+
+function startAccount() {
+    if (account.ready || firebase) {
+        return;
+    }
+    if (wasSignedIn()) {
+        loadFirebase().catch((error) => {
+            console.warn(`couldn't load reader accounts: ${error.message}`);
+            setAccount({ ready: true, user: null });
+        });
+    }
+    else {
+        setAccount({ ready: true, user: null });
+    }
+}
+
+// Keeps users/{uid}.completed and this browser's completed lessons the same:
+// lessons completed on other devices are added here, lessons completed here
+// (also before signing in) are added to the account. Returns a function
+// stopping it.
+function syncProgress({ sdk, db }, uid) {
+    const ref = sdk.doc(db, USERS_COLLECTION, uid);
+    let remote = null;
+
+    const upload = () => {
+        if (!remote) {
+            return; // until the account's lessons are known
+        }
+        const missing = Object.entries(getAllCompletedLessons())
+            .map(([subject, urls]) => [subject, urls.filter((url) => !(remote[subject] ?? []).includes(url))])
+            .filter(([, urls]) => urls.length > 0);
+        if (missing.length === 0) {
+            return;
+        }
+
+        missing.forEach(([subject, urls]) => {
+            remote[subject] = [...(remote[subject] ?? []), ...urls];
+        });
+        sdk.setDoc(ref, {
+            completed: Object.fromEntries(missing.map(([subject, urls]) => [subject, sdk.arrayUnion(...urls)])),
+        }, { merge: true }).catch((error) => console.warn(`couldn't sync completed lessons: ${error.message}`));
+    };
+
+    const stopSnapshot = sdk.onSnapshot(ref, (snapshot) => {
+        remote = structuredClone(snapshot.data()?.completed ?? {});
+        mergeCompletedLessons(remote);
+        upload();
+    }, (error) => console.warn(`couldn't sync completed lessons: ${error.message}`));
+    const stopListening = onProgressChange(upload);
+
+    return () => {
+        stopSnapshot();
+        stopListening();
+    };
+}
+
+// Whether signIn failed only because the reader closed the sign-in window.
+export function isCancelledSignIn(error) {
+    return ["auth/popup-closed-by-user", "auth/cancelled-popup-request"].includes(error?.code);
+}
+
+export async function signIn() {
+    const { authSdk, auth } = await loadFirebase();
+    await authSdk.signInWithPopup(auth, new authSdk.GoogleAuthProvider());
+}
+
+// Lessons completed while signed in stay ticked in this browser.
+export async function signOut() {
+    const { authSdk, auth } = await loadFirebase();
+    await authSdk.signOut(auth);
+}
+
+// { ready, user }: ready once it's known whether someone is signed in, user
+// being { uid, name, email, photoURL, admin } or null.
+export function useAccount() {
+    // signed out until mounted, as the page was rendered on the server
+    const [state, setState] = useState({ ready: false, user: null });
+
+    useEffect(() => {
+        const update = () => setState(account);
+        update();
+        window.addEventListener(CHANGE_EVENT, update);
+        startAccount();
+        return () => window.removeEventListener(CHANGE_EVENT, update);
+    }, []);
+
+    return state;
+}
+
+export function topicKey(subject, topic) {
+    return `${subject}:${topic}`;
+}
+
+// Firestore timestamps as ISO strings; pending server timestamps are estimated.
+function toEntry(snapshot) {
+    const data = snapshot.data({ serverTimestamps: "estimate" });
+    return Object.fromEntries(Object.entries({ ...data, id: snapshot.id }).map(([name, value]) => [
+        name,
+        typeof value?.toDate === "function" ? value.toDate().toISOString() : value,
+    ]));
+}
+
+// What subscribe(firebase, uid, setValue, fail) reports for the signed-in
+// reader's `name`, live: undefined until it's known, null when nobody is signed
+// in and `failed` when it couldn't be loaded.
+function useReaderData(name, subscribe, failed, dependencies) {
+    const { ready, user } = useAccount();
+    const uid = user?.uid;
+    const [value, setValue] = useState(undefined);
+
+    useEffect(() => {
+        if (!uid) {
+            setValue(ready ? null : undefined);
+            return;
+        }
+
+        let stop = null;
+        let cancelled = false;
+        const fail = (error) => {
+            console.warn(`couldn't load ${name}: ${error.message}`);
+            if (!cancelled) {
+                setValue(failed);
+            }
+        };
+        setValue(undefined);
+        loadFirebase()
+            .then((services) => {
+                if (!cancelled) {
+                    stop = subscribe(services, uid, setValue, fail);
+                }
+            })
+            .catch(fail);
+        return () => {
+            cancelled = true;
+            stop?.();
+        };
+    }, [ready, uid, name, ...dependencies]);
+
+    return value;
+}
+
+function useReaderCollection(name, orderBy) {
+    return useReaderData(name, ({ sdk, db }, uid, setValue, fail) => sdk.onSnapshot(
+        sdk.query(sdk.collection(db, USERS_COLLECTION, uid, name), sdk.orderBy(orderBy, "desc")),
+        (snapshot) => setValue(snapshot.docs.map(toEntry)),
+        fail,
+    ), [], [orderBy]);
+}
+
+function useReaderDocument(name, subject, topic) {
+    return useReaderData(name, ({ sdk, db }, uid, setValue, fail) => sdk.onSnapshot(
+        sdk.doc(db, USERS_COLLECTION, uid, name, topicKey(subject, topic)),
+        (snapshot) => setValue(snapshot.exists() ? toEntry(snapshot) : false),
+        fail,
+    ), false, [subject, topic]);
+}
+
+async function readerDocument(name, subject, topic) {
+    const services = await loadFirebase();
+    const uid = services.auth.currentUser?.uid;
+    if (!uid) {
+        throw new Error("Sign in first");
+    }
+    return { ...services, ref: services.sdk.doc(services.db, USERS_COLLECTION, uid, name, topicKey(subject, topic)) };
+}
+
+// Bookmarks, newest first; undefined while loading, null when signed out.
+export function useBookmarks() {
+    return useReaderCollection(BOOKMARKS_COLLECTION, "createdAt");
+}
+
+// The bookmark of a topic, false when there's none.
+export function useBookmark(subject, topic) {
+    return useReaderDocument(BOOKMARKS_COLLECTION, subject, topic);
+}
+
+export async function setBookmark(subject, topic, title, bookmarked) {
+    const { sdk, ref } = await readerDocument(BOOKMARKS_COLLECTION, subject, topic);
+    if (bookmarked) {
+        await sdk.setDoc(ref, { subject, topic, title, createdAt: sdk.serverTimestamp() });
+    }
+    else {
+        await sdk.deleteDoc(ref);
+    }
+}
+
+// Notes, most recently edited first; undefined while loading, null when
+// signed out.
+export function useNotes() {
+    return useReaderCollection(NOTES_COLLECTION, "updatedAt");
+}
+
+// The note on a topic, false when there's none.
+export function useNote(subject, topic) {
+    return useReaderDocument(NOTES_COLLECTION, subject, topic);
+}
+
+// Saving an empty note deletes it.
+export async function saveNote(subject, topic, title, text) {
+    const { sdk, ref } = await readerDocument(NOTES_COLLECTION, subject, topic);
+    if (text.trim()) {
+        await sdk.setDoc(ref, { subject, topic, title, text: text.slice(0, NOTE_MAX_LENGTH), updatedAt: sdk.serverTimestamp() });
+    }
+    else {
+        await sdk.deleteDoc(ref);
+    }
+}
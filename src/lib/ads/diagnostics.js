@@ -0,0 +1,69 @@
+import { countWords } from "./placement.js";
+
+// Checks the ads rendered in `document` against `policy` (see DEFAULT_AD_POLICY),
+// for the preview mode overlay: { counts: { [name]: n }, issues: [message] }.
+// Slots are found by their data-ad-name wrapper, placeholders carry their slot
+// id in data-ad-slot-id.
+export function inspectAdPlacements(document, policy) {
+    const slots = [...document.querySelectorAll("[data-ad-name]")];
+    const counts = {};
+    const issues = [];
+
+    slots.forEach((element) => {
+        const name = element.dataset.adName;
+        counts[name] = (counts[name] ?? 0) + 1;
+        if (element.querySelector('[data-ad-slot-id=""]')) {
+            issues.push(`${name}: no slot id configured, it won't be shown live`);
+        }
+    });
+
+    // In-article ads, per content block, in page order.
+    const containers = new Map();
+    slots
+        .filter((element) => element.dataset.adFormat === "in-article")
+        .forEach((element) => {
+            const container = element.closest(".prose") ?? document.body;
+            containers.set(container, [...(containers.get(container) ?? []), element]);
+        });
+
+    const wordsBetween = (container, from, to) => {
+        const range = document.createRange();
+        if (from) {
+            range.setStartAfter(from);
+        }
+        else {
+            range.setStart(container, 0);
+        }
+        if (to) {
+            range.setEndBefore(to);
+        }
+        else {
+            range.setEnd(container, container.childNodes.length);
+        }
+        return countWords(range.toString());
+    };
+
+    containers.forEach((ads, container) => {
+        const bodyAds = ads.filter((element) => element.dataset.adName === "article-body");
+        if (bodyAds.length > policy.maxAds) {
+            issues.push(`${bodyAds.length} ads inside the content, the policy allows ${policy.maxAds}`);
+        }
+
+        ads.forEach((element, index) => {
+            const name = element.dataset.adName;
+            const label = `${name} #${ads.slice(0, index + 1).filter((ad) => ad.dataset.adName === name).length}`;
+            const before = wordsBetween(container, ads[index - 1], element);
+            if (before === 0) {
+                issues.push(`${label}: stacked right after ${index > 0 ? "another ad" : "the start of the content"}`);
+            }
+            else if (name === "article-body" && before < policy.minWords) {
+                issues.push(`${label}: ${before} words since the ${index > 0 ? "previous ad" : "start"}, the policy wants ${policy.minWords}`);
+            }
+            if (name === "article-body" && wordsBetween(container, element, ads[index + 1]) === 0) {
+                issues.push(`${label}: no content after it`);
+            }
+        });
+    });
+
+    return { counts, issues };
+}
@@ -0,0 +1,64 @@
+// Ad slots and where they may appear. Pages ask for a slot by name
+// (<AdSlot name="article-end" />); the AdSense slot ids live only here.
+
+// "preview" renders every slot as a labeled placeholder and loads no AdSense
+// script, so layouts can be reviewed without real impressions; "live" serves
+// ads. Defaults to preview outside production builds and on Vercel previews.
+export const AD_MODE = process.env.NEXT_PUBLIC_AD_MODE
+    || (process.env.NODE_ENV === "production" && process.env.NEXT_PUBLIC_VERCEL_ENV !== "preview" ? "live" : "preview");
+export const AD_PREVIEW = AD_MODE === "preview";
+
+// Slot ids can be changed per deployment without a code change.
+const IN_ARTICLE_SLOT = process.env.NEXT_PUBLIC_AD_SLOT_IN_ARTICLE || "3534351170";
+
+// How each format is shown. `attributes` go on the AdSense <ins> element.
+export const AD_FORMATS = {
+    "in-article": {
+        className: "not-prose my-8 p-2 lg:w-3/4 mx-auto",
+        attributes: { "data-ad-format": "auto", "data-full-width-responsive": "true" },
+    },
+    sidebar: {
+        className: "px-4 py-6",
+        attributes: { "data-ad-format": "vertical" },
+    },
+    anchor: {
+        className: "",
+        attributes: { "data-ad-format": "horizontal", "data-full-width-responsive": "true" },
+    },
+};
+
+// Named slots and where pages put them. A slot without an id (e.g. its env
+// variable unset) isn't rendered, except as a placeholder in preview mode.
+export const AD_SLOTS = {
+    "article-body": { format: "in-article", slot: IN_ARTICLE_SLOT, position: "between sections of the content" },
+    "article-end": { format: "in-article", slot: IN_ARTICLE_SLOT, position: "after the content" },
+    "listing-end": { format: "in-article", slot: IN_ARTICLE_SLOT, position: "after the topic list" },
+    sidebar: { format: "sidebar", slot: process.env.NEXT_PUBLIC_AD_SLOT_SIDEBAR, position: "below the lesson list" },
+    anchor: { format: "anchor", slot: process.env.NEXT_PUBLIC_AD_SLOT_ANCHOR, position: "pinned to the bottom of the window" },
+};
+
+export function getAdSlot(name, preview = AD_PREVIEW) {
+    const config = AD_SLOTS[name];
+    if (!config || (!config.slot && !preview)) {
+        return null;
+    }
+    return { name, ...config, ...AD_FORMATS[config.format] };
+}
+
+// Where "article-body" ads go inside content, see planAdBreaks.
+export const DEFAULT_AD_POLICY = {
+    everyHeadings: 3,   // at least this many sections between two ads
+    minWords: 250,      // words before the first ad and between two ads
+    maxAds: 3,
+};
+
+// Pages, subjects or topics opt out with `ads: false` (front matter or
+// subject fields). Returns the in-content policy, or null for no ads at all.
+export function adPolicyFor(...documents) {
+    if (documents.some((document) => document?.ads === false)) {
+        return null;
+    }
+    return DEFAULT_AD_POLICY;
+}
+
+export { planAdBreaks } from "./placement.js";
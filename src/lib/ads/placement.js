@@ -0,0 +1,46 @@
+export function countWords(text) {
+    return (text.match(/[\p{L}\p{N}]+/gu) ?? []).length;
+}
+
+// Offsets in `source` (markdown, with its mdast `tree`) where in-article ads
+// go. Editors' ad markers (`markers`, offsets where one was removed) are used
+// when present, otherwise section headings. Either way an ad needs
+// `policy.minWords` words since the previous one, automatic ads also
+// `policy.everyHeadings` sections, and there's never one after the final
+// section. Sections start at the page's top level of headings below the
+// title, whichever level the page uses for them.
+export function planAdBreaks(source, tree, markers, policy) {
+    const explicit = markers.length > 0;
+    const headings = tree.children.filter((node) => node.type === "heading" && node.depth > 1);
+    const depth = Math.min(...headings.map((node) => node.depth));
+    const candidates = explicit
+        ? markers
+        : headings
+            .filter((node) => node.depth === depth)
+            .map((node) => node.position.start.offset);
+
+    const breaks = [];
+    let previous = 0;
+    let sections = 0;
+    for (const offset of candidates) {
+        if (breaks.length >= policy.maxAds) {
+            break;
+        }
+
+        const words = countWords(source.slice(previous, offset));
+        if (words === 0) {
+            continue; // nothing since the start or the previous ad
+        }
+        if (countWords(source.slice(offset)) === 0) {
+            break; // after the final section
+        }
+
+        sections++;
+        if ((explicit || sections >= policy.everyHeadings) && words >= policy.minWords) {
+            breaks.push(offset);
+            previous = offset;
+            sections = 0;
+        }
+    }
+    return breaks;
+}
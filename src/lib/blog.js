@@ -0,0 +1,116 @@
+import { countWords } from "./ads/placement.js";
+
+// Blog posts are the topics of the "blogs" subject. Their front matter can add
+// `author` and `tags` (a list of names); publishing stamps `publishedAt` and
+// `updatedAt`.
+export const BLOG_SUBJECT = "blogs";
+
+export const POSTS_PER_PAGE = 10;
+
+// Posts shown on the home page, the rest are under /blogs.
+export const LATEST_POSTS = 5;
+
+// Listing routes next to /blogs/[blog]; a post with one of these urls would be
+// hidden behind them.
+export const RESERVED_BLOG_URLS = ["page", "tag"];
+
+const WORDS_PER_MINUTE = 200;
+
+const dateFormat = new Intl.DateTimeFormat("en", { dateStyle: "medium", timeZone: "UTC" });
+
+function toTime(value) {
+    const time = value ? new Date(value).getTime() : NaN;
+    return Number.isNaN(time) ? null : time;
+}
+
+// When a post went out; content written before publishing stamped dates only
+// has the time it last changed.
+export function postDate(post) {
+    return post.publishedAt ?? post.updatedAt ?? null;
+}
+
+export function formatDate(value) {
+    const time = toTime(value);
+    return time === null ? null : dateFormat.format(time);
+}
+
+// The posts of the blog subject that have a page of their own, in publishing
+// order; posts with a reserved url can't be reached and are left out.
+export function listPosts(blogDetails) {
+    return (blogDetails?.content ?? []).filter((post) => !RESERVED_BLOG_URLS.includes(post.url));
+}
+
+// Newest first; undated posts keep their order at the end.
+export function sortPosts(posts) {
+    return posts
+        .map((post, index) => ({ post, index, time: toTime(postDate(post)) }))
+        .sort((a, b) => (b.time ?? -Infinity) - (a.time ?? -Infinity) || a.index - b.index)
+        .map(({ post }) => post);
+}
+
+// The author named in a post's front matter, else the blog's own `author`.
+export function postAuthor(post, blogDetails) {
+    return post.author ?? blogDetails?.author ?? null;
+}
+
+export function tagSlug(tag) {
+    return String(tag).trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+// A post's tags as { name, slug }, dropping ones without a usable slug.
+export function postTags(post) {
+    return (Array.isArray(post.tags) ? post.tags : [])
+        .map((name) => ({ name: String(name).trim(), slug: tagSlug(name) }))
+        .filter((tag) => tag.slug);
+}
+
+// Every tag used by `posts` as { name, slug, count }, most used first. A tag
+// spelled differently across posts takes the first spelling seen.
+export function listTags(posts) {
+    const tags = new Map();
+    for (const post of posts) {
+        for (const tag of postTags(post)) {
+            const entry = tags.get(tag.slug) ?? { ...tag, count: 0 };
+            entry.count++;
+            tags.set(tag.slug, entry);
+        }
+    }
+    return [...tags.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+export function postsWithTag(posts, slug) {
+    return posts.filter((post) => postTags(post).some((tag) => tag.slug === slug));
+}
+
+export function pageCount(items, perPage = POSTS_PER_PAGE) {
+    return Math.max(1, Math.ceil(items.length / perPage));
+}
+
+// Items on page `page` (from 1) as { items, page, pageCount }, or null when
+// there's no such page.
+export function paginate(items, page, perPage = POSTS_PER_PAGE) {
+    const count = pageCount(items, perPage);
+    if (!Number.isInteger(page) || page < 1 || page > count) {
+        return null;
+    }
+    return {
+        items: items.slice((page - 1) * perPage, page * perPage),
+        page,
+        pageCount: count,
+    };
+}
+
+// Path of a listing page, page 1 being /blogs itself.
+export function blogPageHref(page) {
+    return page === 1 ? "/blogs" : `/blogs/page/${page}`;
+}
+
+// Route param of a listing page: "2" is page 2, "02" or "x" no page at all.
+export function parsePage(param) {
+    return /^[1-9]\d*$/.test(param) ? Number(param) : null;
+}
+
+// Minutes to read a Markdown body, at least one.
+export function readingTime(markdown = "") {
+    return Math.max(1, Math.round(countWords(markdown) / WORDS_PER_MINUTE));
+}
@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react'
+
+// Visitors' privacy choices, kept per browser in localStorage as
+// { version, ads, personalizedAds, analytics, updatedAt }. Visitors from regions
+// that require consent (see middleware.js) get no ad or analytics scripts until
+// they've made a choice; everyone else starts with everything allowed and can
+// change it from the preferences dialog.
+const STORAGE_KEY = "droidbiz:consent";
+// Fired on window so every mounted component sees changes made in this tab,
+// the "storage" event covers other tabs.
+const CHANGE_EVENT = "droidbiz:consent-change";
+const OPEN_EVENT = "droidbiz:consent-open";
+
+// Bumped when the purposes change, so everyone is asked again.
+const CONSENT_VERSION = 2;
+
+// Set by middleware.js: "eu" for the EEA, UK and Switzerland, "other" elsewhere.
+// Without it (e.g. the country isn't known) consent is required.
+export const CONSENT_REGION_COOKIE = "droidbiz-consent-region";
+
+export const CONSENT_PURPOSES = ["ads", "personalizedAds", "analytics"];
+
+function readRegion() {
+    const cookie = document.cookie
+        .split("; ")
+        .find((entry) => entry.startsWith(`${CONSENT_REGION_COOKIE}=`));
+    return cookie?.split("=")[1];
+}
+
+function readChoices() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return stored?.version === CONSENT_VERSION ? stored : null;
+    }
+    catch (error) {
+        return null;
+    }
+}
+
+// The consent state of this visitor:
+//   required          whether the visitor's region needs consent first
+//   decided           whether the visitor made a choice
+//   ads               whether ad scripts may load; "Reject all" turns it off
+//   personalizedAds   whether ads may be personalised, otherwise they're requested
+//                     as non-personalised (never without `ads`)
+//   analytics         whether analytics may load
+export function getConsent() {
+    const required = readRegion() !== "other";
+    const choices = readChoices();
+    if (choices) {
+        return {
+            required,
+            decided: true,
+            ads: choices.ads === true,
+            personalizedAds: choices.ads === true && choices.personalizedAds === true,
+            analytics: choices.analytics === true,
+        };
+    }
+    return {
+        required,
+        decided: false,
+        ads: !required,
+        personalizedAds: !required,
+        analytics: !required,
+    };
+}
+
+// Whether `purpose` (one of CONSENT_PURPOSES) is allowed, for code
+// outside React such as analytics snippets.
+export function hasConsent(purpose) {
+    return getConsent()[purpose] === true;
+}
+
+// Stores the visitor's choice, e.g. { ads: true, personalizedAds: false, analytics: true }.
+export function saveConsent(choices) {
+    const stored = { version: CONSENT_VERSION, updatedAt: new Date().toISOString() };
+    CONSENT_PURPOSES.forEach((purpose) => {
+        stored[purpose] = choices[purpose] === true;
+    });
+
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    }
+    catch (error) {
+        // storage disabled, the choice only lasts until the page is left
+    }
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: stored }));
+}
+
+export function openConsentPreferences() {
+    window.dispatchEvent(new Event(OPEN_EVENT));
+}
+
+export function onConsentPreferencesOpen(listener) {
+    window.addEventListener(OPEN_EVENT, listener);
+    return () => window.removeEventListener(OPEN_EVENT, listener);
+}
+
+// getConsent() kept in sync with changes, null until it's known in the browser.
+export function useConsent() {
+    const [consent, setConsent] = useState(null);
+
+    useEffect(() => {
+        let choices;
+        const update = (event) => {
+            const next = getConsent();
+            // Without storage the choice only comes with the event.
+            choices = event?.detail ?? choices;
+            if (!next.decided && choices) {
+                next.decided = true;
+                CONSENT_PURPOSES.forEach((purpose) => {
+                    next[purpose] = choices[purpose];
+                });
+                next.personalizedAds = next.ads && next.personalizedAds;
+            }
+            setConsent(next);
+        };
+        update();
+
+        window.addEventListener(CHANGE_EVENT, update);
+        window.addEventListener("storage", update);
+        return () => {
+            window.removeEventListener(CHANGE_EVENT, update);
+            window.removeEventListener("storage", update);
+        };
+    }, []);
+
+    return consent;
+}
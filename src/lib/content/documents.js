@@ -0,0 +1,58 @@
+import { CONTENT_FORMAT } from "./format.js";
+import { toTopicSummary } from "./summary.js";
+
+// Firestore layout read by the Firestore repository and written by the
+// content CLI and the admin editor:
+//   tutorial/{subject}                 subject fields, `content` lists its topics in order
+//   tutorial/{subject}/topics/{url}    per-topic document holding the body
+//   tutorial/{subject}/drafts/{url}    unpublished edits from the admin editor
+//   tutorial_index/subjects            `subjects` array of body-less subject summaries
+export const TUTORIAL_COLLECTION = "tutorial";
+export const TOPICS_COLLECTION = "topics";
+export const DRAFTS_COLLECTION = "drafts";
+export const INDEX_COLLECTION = "tutorial_index";
+export const INDEX_DOCUMENT = "subjects";
+
+// Set when a topic is published, not edited in the topic files.
+export const PUBLISH_FIELDS = ["updatedAt", "publishedAt"];
+
+// tutorial/{subject}/topics/{url}: the topic fields and Markdown body.
+export function toTopicDocument(topic) {
+    const { format, ...fields } = topic;
+    return {
+        ...fields,
+        content: topic.content ?? "",
+        format: CONTENT_FORMAT,
+    };
+}
+
+// tutorial/{subject}: the subject fields with its topics, in order, as
+// summaries. The bodies live in the topic documents.
+export function toSubjectDocument(subject, topics) {
+    const { id, content, format, ...fields } = subject;
+    return {
+        ...fields,
+        format: CONTENT_FORMAT,
+        content: topics.map((topic) => toTopicSummary(toTopicDocument(topic))),
+    };
+}
+
+// A subject's `content` with one topic's entry replaced, or added at the end
+// for a new topic.
+export function withTopicEntry(content, entry) {
+    const position = content.findIndex((topic) => topic.url === entry.url);
+    return position === -1
+        ? [...content, entry]
+        : content.map((topic, index) => (index === position ? entry : topic));
+}
+
+// tutorial_index/subjects `subjects` with a subject's entry replaced or added,
+// from the subject document as stored.
+export function withIndexEntry(subjects, id, subject) {
+    const { content, ...fields } = subject;
+    const entry = { ...fields, content: (content ?? []).map(toTopicSummary), id };
+    const position = subjects.findIndex((other) => other.id === id);
+    return position === -1
+        ? [...subjects, entry]
+        : subjects.map((other, index) => (index === position ? entry : other));
+}
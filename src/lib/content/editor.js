@@ -0,0 +1,189 @@
+import { loadFirebase } from "../account.js";
+import { toPlainData } from "../firebase/plain-data.js";
+import { decodeSubject, decodeTopic } from "./format.js";
+import {
+    DRAFTS_COLLECTION, INDEX_COLLECTION, INDEX_DOCUMENT, PUBLISH_FIELDS, TOPICS_COLLECTION, TUTORIAL_COLLECTION,
+    toTopicDocument, withIndexEntry, withTopicEntry,
+} from "./documents.js";
+import { toTopicSummary } from "./summary.js";
+
+// Reads and writes of the admin editor (/admin), made in the browser by the
+// signed-in admin; firestore.rules refuses them to everyone else. Publishing
+// writes what `npm run content -- publish <subject> <topic>` writes.
+
+// Kept on a draft next to the topic fields.
+const DRAFT_FIELDS = ["savedAt", "savedBy"];
+
+async function adminServices() {
+    const services = await loadFirebase();
+    const user = services.auth.currentUser;
+    if (!user) {
+        throw new Error("Sign in first");
+    }
+    return { ...services, user };
+}
+
+// The fields an editor works on: everything but the format and timestamps.
+export function editableTopic(topic) {
+    return Object.fromEntries(Object.entries(topic)
+        .filter(([field]) => field !== "format" && !PUBLISH_FIELDS.includes(field) && !DRAFT_FIELDS.includes(field)));
+}
+
+function sameTopic(a, b) {
+    const [left, right] = [toTopicDocument(editableTopic(a)), toTopicDocument(editableTopic(b))];
+    const fields = new Set([...Object.keys(left), ...Object.keys(right)]);
+    return [...fields].every((field) => JSON.stringify(left[field]) === JSON.stringify(right[field]));
+}
+
+// Every subject in the `tutorial` collection, decoded, by name.
+export async function listSubjectsForEditing() {
+    const { sdk, db } = await adminServices();
+    const snapshot = await sdk.getDocs(sdk.collection(db, TUTORIAL_COLLECTION));
+    return snapshot.docs
+        .map((doc) => decodeSubject({ ...toPlainData(doc.data()), id: doc.id }))
+        .sort((a, b) => (a.name ?? a.id).localeCompare(b.name ?? b.id));
+}
+
+// { subject, drafts }: the decoded subject, null when it doesn't exist, and
+// its drafts by topic url.
+export async function readSubjectForEditing(subjectId) {
+    const { sdk, db } = await adminServices();
+    const [subjectSnap, draftsSnap] = await Promise.all([
+        sdk.getDoc(sdk.doc(db, TUTORIAL_COLLECTION, subjectId)),
+        sdk.getDocs(sdk.collection(db, TUTORIAL_COLLECTION, subjectId, DRAFTS_COLLECTION)),
+    ]);
+    return {
+        subject: subjectSnap.exists() ? decodeSubject({ ...toPlainData(subjectSnap.data()), id: subjectId }) : null,
+        drafts: Object.fromEntries(draftsSnap.docs.map((doc) => [doc.id, toPlainData(doc.data())])),
+    };
+}
+
+// { subject, published, draft } of one topic. published is its topic
+// document, or its entry in the subject's `content` for topics without one;
+// both it and draft are null when there is none.
+export async function readTopicForEditing(subjectId, url) {
+    const { sdk, db } = await adminServices();
+    const [subjectSnap, topicSnap, draftSnap] = await Promise.all([
+        sdk.getDoc(sdk.doc(db, TUTORIAL_COLLECTION, subjectId)),
+        sdk.getDoc(sdk.doc(db, TUTORIAL_COLLECTION, subjectId, TOPICS_COLLECTION, url)),
+        sdk.getDoc(sdk.doc(db, TUTORIAL_COLLECTION, subjectId, DRAFTS_COLLECTION, url)),
+    ]);
+    const subject = subjectSnap.exists() ? decodeSubject({ ...toPlainData(subjectSnap.data()), id: subjectId }) : null;
+    const published = topicSnap.exists()
+        ? decodeTopic(toPlainData(topicSnap.data()), subjectId)
+        : (subject?.content ?? []).find((topic) => topic.url === url) ?? null;
+    return {
+        subject,
+        published,
+        draft: draftSnap.exists() ? toPlainData(draftSnap.data()) : null,
+    };
+}
+
+export async function saveDraft(subjectId, topic) {
+    const { sdk, db, user } = await adminServices();
+    await sdk.setDoc(sdk.doc(db, TUTORIAL_COLLECTION, subjectId, DRAFTS_COLLECTION, topic.url), {
+        ...toTopicDocument(editableTopic(topic)),
+        savedAt: sdk.serverTimestamp(),
+        savedBy: user.email ?? user.uid,
+    });
+}
+
+export async function discardDraft(subjectId, url) {
+    const { sdk, db } = await adminServices();
+    await sdk.deleteDoc(sdk.doc(db, TUTORIAL_COLLECTION, subjectId, DRAFTS_COLLECTION, url));
+}
+
+// Refreshes the subject's pages like the content CLI does, with the admin's ID
+// token instead of REVALIDATE_SECRET. false when the site couldn't be reached:
+// the pages still pick the change up once their cache expires.
+async function revalidate(user, subjectId) {
+    try {
+        const response = await fetch("/api/revalidate", {
+            method: "POST",
+            headers: { "Authorization": `Bearer ${await user.getIdToken()}`, "Content-Type": "application/json" },
+            body: JSON.stringify({ subject: subjectId }),
+        });
+        return response.ok;
+    }
+    catch (error) {
+        return false;
+    }
+}
+
+// Reads the subject and index documents in `transaction`, so a concurrent
+// publish or reorder makes it retry instead of being overwritten. Throws when
+// the subject doesn't exist.
+async function readSubjectAndIndex({ sdk, db }, transaction, subjectId) {
+    const [subjectSnap, indexSnap] = await Promise.all([
+        transaction.get(sdk.doc(db, TUTORIAL_COLLECTION, subjectId)),
+        transaction.get(sdk.doc(db, INDEX_COLLECTION, INDEX_DOCUMENT)),
+    ]);
+    if (!subjectSnap.exists()) {
+        throw new Error(`${subjectId} isn't in Firestore yet, publish the whole subject with the content CLI first`);
+    }
+    return { subject: subjectSnap.data(), index: indexSnap.exists() ? indexSnap.data() : null };
+}
+
+// Writes the subject's `content` and, when the subject index exists, the
+// subject's entry in it; creating the index with one subject would hide the
+// others from navigation.
+function writeSubjectContent({ sdk, db }, transaction, subjectId, { subject, index }, content) {
+    transaction.set(sdk.doc(db, TUTORIAL_COLLECTION, subjectId), { content }, { merge: true });
+    if (index) {
+        transaction.set(sdk.doc(db, INDEX_COLLECTION, INDEX_DOCUMENT), {
+            subjects: withIndexEntry(index.subjects ?? [], subjectId, { ...subject, content }),
+        });
+    }
+}
+
+// Publishes a topic of an existing subject: its topic document, its entry in
+// the subject's `content` (added at the end for a new topic) and the subject
+// index, in one transaction that also removes the draft. updatedAt only moves
+// when something changed. Resolves to { revalidated }.
+export async function publishTopic(subjectId, topic) {
+    const services = await adminServices();
+    const { sdk, db, user } = services;
+    const topicRef = sdk.doc(db, TUTORIAL_COLLECTION, subjectId, TOPICS_COLLECTION, topic.url);
+
+    await sdk.runTransaction(db, async (transaction) => {
+        const documents = await readSubjectAndIndex(services, transaction, subjectId);
+        const topicSnap = await transaction.get(topicRef);
+        const { subject } = documents;
+        const current = topicSnap.exists()
+            ? topicSnap.data()
+            : (subject.content ?? []).find((entry) => entry.url === topic.url) ?? null;
+        const changed = !current || !sameTopic(decodeTopic(current, subjectId, current.format ?? subject.format), topic);
+        const now = sdk.Timestamp.now();
+        const document = {
+            ...toTopicDocument(editableTopic(topic)),
+            updatedAt: changed ? now : (current.updatedAt ?? now),
+            publishedAt: current?.publishedAt ?? now,
+        };
+
+        transaction.set(topicRef, document);
+        writeSubjectContent(services, transaction, subjectId, documents,
+            withTopicEntry(subject.content ?? [], toTopicSummary(document)));
+        transaction.delete(sdk.doc(db, TUTORIAL_COLLECTION, subjectId, DRAFTS_COLLECTION, topic.url));
+    });
+
+    return { revalidated: await revalidate(user, subjectId) };
+}
+
+// Puts the subject's topics in the order of `urls`; topics missing from it
+// (e.g. published meanwhile) keep their order after the others. Resolves to
+// { revalidated }.
+export async function saveTopicOrder(subjectId, urls) {
+    const services = await adminServices();
+    const position = (topic) => {
+        const index = urls.indexOf(topic.url);
+        return index === -1 ? urls.length : index;
+    };
+
+    await services.sdk.runTransaction(services.db, async (transaction) => {
+        const documents = await readSubjectAndIndex(services, transaction, subjectId);
+        const content = [...(documents.subject.content ?? [])].sort((a, b) => position(a) - position(b));
+        writeSubjectContent(services, transaction, subjectId, documents, content);
+    });
+
+    return { revalidated: await revalidate(services.user, subjectId) };
+}
@@ -0,0 +1,10 @@
+// Thrown by the content repository when its backend cannot be read (Firestore
+// unreachable, missing content directory, malformed index.json...). Missing
+// subjects and topics are not errors: readers return null for those so pages
+// can respond with notFound().
+export class ContentUnavailableError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = "ContentUnavailableError";
+    }
+}
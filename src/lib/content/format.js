@@ -0,0 +1,106 @@
+import { parse, stringify } from "yaml";
+
+// Content documents are versioned with a `format` field:
+//   1  legacy, markdown stored with "/n" for new lines and "/t" for tabs
+//      (documents without a `format` field are format 1)
+//   2  plain Markdown; topic files carry their fields as front matter
+//
+// Repositories decode whatever they read to the current format, so pages only
+// ever see plain Markdown.
+export const LEGACY_FORMAT = 1;
+export const CONTENT_FORMAT = 2;
+
+// Topic fields kept in the front matter of a topic file, in this order.
+export const FRONT_MATTER_FIELDS = ["title", "url", "titleTag", "descriptionTag", "keywords", "shortDesc"];
+
+const FRONT_MATTER = /^---\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+// What the pages used to replace "/t" with, which differed per field.
+export const LEGACY_TABS = {
+    topic: " ",
+    blog: " \t",
+    shortDesc: " \t",
+    description: " ",
+};
+
+export function isLegacyFormat(document) {
+    return (document?.format ?? LEGACY_FORMAT) < CONTENT_FORMAT;
+}
+
+// Exactly how format 1 text used to be rendered: every "/n" a hard line break.
+export function decodeLegacy(text, tab = LEGACY_TABS.topic) {
+    return text.replaceAll("/n", "  \n").replaceAll("/t", tab);
+}
+
+export function legacyBodyTab(subjectId) {
+    return subjectId === "blogs" ? LEGACY_TABS.blog : LEGACY_TABS.topic;
+}
+
+// Decodes a topic read from a document of the given format.
+export function decodeTopic(topic, subjectId, format = topic.format) {
+    if (!isLegacyFormat({ format })) {
+        return { ...topic, format: CONTENT_FORMAT };
+    }
+
+    const decoded = { ...topic, format: CONTENT_FORMAT };
+    if (typeof topic.content === "string") {
+        decoded.content = decodeLegacy(topic.content, legacyBodyTab(subjectId));
+    }
+    if (typeof topic.shortDesc === "string") {
+        decoded.shortDesc = decodeLegacy(topic.shortDesc, LEGACY_TABS.shortDesc);
+    }
+    return decoded;
+}
+
+// Decodes a subject and its inline topics; both share the subject's format.
+export function decodeSubject(subject) {
+    const legacy = isLegacyFormat(subject);
+    return {
+        ...subject,
+        description: legacy && typeof subject.description === "string"
+            ? decodeLegacy(subject.description, LEGACY_TABS.description)
+            : subject.description,
+        content: (subject.content || []).map((topic) => decodeTopic(topic, subject.id, topic.format ?? subject.format)),
+        format: CONTENT_FORMAT,
+    };
+}
+
+// Splits a topic file into its front matter and Markdown body. Files without
+// front matter are legacy bodies: { data: { format: 1 }, content }.
+export function parseDocument(source) {
+    const match = FRONT_MATTER.exec(source);
+    if (!match) {
+        return {
+            data: { format: LEGACY_FORMAT },
+            content: source,
+        };
+    }
+
+    const data = parse(match[1] ?? "") ?? {};
+    return {
+        data: {
+            ...data,
+            format: data.format ?? CONTENT_FORMAT,
+        },
+        content: source.slice(match[0].length),
+    };
+}
+
+// Inverse of parseDocument: front matter fields first, in FRONT_MATTER_FIELDS
+// order, then any other fields, then the body.
+export function stringifyDocument(data, content) {
+    const { format, ...fields } = data;
+    const ordered = { format: format ?? CONTENT_FORMAT };
+    for (const field of FRONT_MATTER_FIELDS) {
+        if (fields[field] !== undefined) {
+            ordered[field] = fields[field];
+        }
+    }
+    for (const [field, value] of Object.entries(fields)) {
+        if (!(field in ordered) && value !== undefined) {
+            ordered[field] = value;
+        }
+    }
+
+    return `---\n${stringify(ordered, { lineWidth: 0 })}---\n${content}`;
+}
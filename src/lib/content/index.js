@@ -0,0 +1,104 @@
+import { cache } from "react";
+import { unstable_cache } from "next/cache";
+import { ContentUnavailableError } from "./errors";
+import { CONTENT_REVALIDATE_SECONDS, SUBJECTS_TAG, subjectTag, topicTag, topicsTag } from "./tags";
+
+export { ContentUnavailableError };
+
+// Content repository used by every page. The backend is picked with
+// CONTENT_SOURCE: "firestore" (default) reads the `tutorial` collection, while
+// "local" reads subjects from CONTENT_DIR (default md_content/) so the site can
+// run without Firebase credentials.
+//
+// Every backend implements:
+//   listSubjects()          -> summaries of all subjects, topics without bodies
+//   getSubject(id)          -> one subject summary, or null
+//   getTopic(subject, url)  -> one topic including its body, or null
+//   listTopics(subject)     -> every topic of a subject including bodies, in order
+//
+// Backend failures are rethrown as ContentUnavailableError.
+//
+// The exported readers keep their results in the Next.js data cache, tagged
+// per subject and per topic (see tags.js) so publishing can refresh them, and
+// are wrapped in React's cache so a page and its generateMetadata share the
+// same reads within one request.
+
+let repositoryPromise;
+
+async function loadRepository() {
+    if (process.env.CONTENT_SOURCE === "local") {
+        const { createLocalRepository } = await import("./local");
+        return createLocalRepository(process.env.CONTENT_DIR || "md_content");
+    }
+
+    // Imported lazily so Firebase is never initialised for local content.
+    const { createFirestoreRepository } = await import("@/lib/firebase/firestore");
+    return createFirestoreRepository();
+}
+
+export function getContentRepository() {
+    if (!repositoryPromise) {
+        repositoryPromise = loadRepository().catch((error) => {
+            repositoryPromise = undefined; // retry on the next request
+            throw error;
+        });
+    }
+    return repositoryPromise;
+}
+
+// Runs a repository call, turning backend failures into ContentUnavailableError.
+async function read(description, call) {
+    try {
+        const repository = await getContentRepository();
+        return await call(repository);
+    }
+    catch (error) {
+        console.error(`Error reading ${description}: `, error);
+        throw new ContentUnavailableError(`Failed to read ${description}`, { cause: error });
+    }
+}
+
+// Failures aren't cached, the next request tries the backend again.
+function cached(call, keyParts, tags) {
+    return unstable_cache(call, keyParts, { tags, revalidate: CONTENT_REVALIDATE_SECONDS })();
+}
+
+export const listSubjects = cache(() => cached(
+    () => read("subjects", (repository) => repository.listSubjects()),
+    ["subjects"],
+    [SUBJECTS_TAG],
+));
+
+export const getSubject = cache((id) => cached(
+    () => read(`subject "${id}"`, (repository) => repository.getSubject(id)),
+    ["subject", id],
+    [subjectTag(id)],
+));
+
+export const getTopic = cache((subject, url) => cached(
+    () => read(`topic "${subject}/${url}"`, (repository) => repository.getTopic(subject, url)),
+    ["topic", subject, url],
+    [subjectTag(subject), topicTag(subject, url)],
+));
+
+export const listTopics = cache((subject) => cached(
+    () => read(`topics of "${subject}"`, (repository) => repository.listTopics(subject)),
+    ["topics", subject],
+    [subjectTag(subject), topicsTag(subject)],
+));
+
+// For generateStaticParams: the params `build` makes from the content, or none
+// when the backend can't be read at build time. Those pages then render on
+// their first request instead.
+export async function staticParams(build) {
+    try {
+        return await build();
+    }
+    catch (error) {
+        if (!(error instanceof ContentUnavailableError)) {
+            throw error;
+        }
+        console.warn("Content unavailable at build time, pages will render on demand");
+        return [];
+    }
+}
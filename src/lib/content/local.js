@@ -0,0 +1,110 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { decodeSubject, decodeTopic, parseDocument } from "./format";
+import { toSubjectSummary } from "./summary";
+
+// Subject ids and topic urls come straight from route params, so only plain
+// slugs are allowed to reach the filesystem.
+const SLUG = /^[\w-]+$/;
+
+async function readFileIfExists(file) {
+    try {
+        return await fs.readFile(file, "utf8");
+    }
+    catch (error) {
+        if (error.code === "ENOENT") {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Reads subjects from a directory laid out as <subject>/index.json for the
+// subject fields and topic order, plus one <topic url>.md file per topic: front
+// matter with the topic fields followed by the Markdown body (see format.js).
+// Format 1 subjects list the topic fields in index.json instead and their .md
+// files hold only the encoded body.
+export function createLocalRepository(directory) {
+    const root = path.resolve(process.cwd(), directory);
+
+    // A topic list entry is the topic url, or the topic fields for format 1.
+    async function readTopic(subject, entry) {
+        const fields = typeof entry === "string" ? { url: entry } : entry;
+        if (!SLUG.test(fields.url)) {
+            return null;
+        }
+
+        const source = await readFileIfExists(path.join(root, subject.id, `${fields.url}.md`));
+        const { data, content } = parseDocument(source ?? "");
+        return withTimestamp(subject.id, {
+            ...decodeTopic(fields, subject.id, fields.format ?? subject.format),
+            ...decodeTopic({ ...data, content }, subject.id),
+            url: fields.url,
+        });
+    }
+
+    // Last change of a topic: `updatedAt` from its fields, else the file's mtime.
+    async function withTimestamp(subjectId, topic) {
+        if (topic.updatedAt) {
+            return topic;
+        }
+
+        try {
+            const stats = await fs.stat(path.join(root, subjectId, `${topic.url}.md`));
+            return {
+                ...topic,
+                updatedAt: stats.mtime.toISOString(),
+            };
+        }
+        catch (error) {
+            return topic;
+        }
+    }
+
+    // The subject with every topic including its body.
+    async function readSubject(id) {
+        if (!SLUG.test(id)) {
+            return null;
+        }
+
+        const index = await readFileIfExists(path.join(root, id, "index.json"));
+        if (index === null) {
+            return null;
+        }
+
+        const subject = { ...JSON.parse(index), id };
+        const topics = await Promise.all((subject.content || []).map((entry) => readTopic(subject, entry)));
+        return {
+            ...decodeSubject({ ...subject, content: [] }),
+            content: topics.filter(Boolean),
+        };
+    }
+
+    async function getSubject(id) {
+        const subject = await readSubject(id);
+        return subject && toSubjectSummary(subject);
+    }
+
+    return {
+        async listSubjects() {
+            const entries = await fs.readdir(root, { withFileTypes: true });
+            const subjects = await Promise.all(entries
+                .filter((entry) => entry.isDirectory())
+                .map((entry) => getSubject(entry.name)));
+
+            return subjects.filter(Boolean);
+        },
+
+        getSubject,
+
+        async getTopic(subjectId, url) {
+            const subject = await readSubject(subjectId);
+            return (subject?.content ?? []).find((topic) => topic.url === url) ?? null;
+        },
+
+        async listTopics(subjectId) {
+            const subject = await readSubject(subjectId);
+            return subject ? subject.content : [];
+        },
+    };
+}
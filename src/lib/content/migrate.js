@@ -0,0 +1,171 @@
+import { unified } from "unified";
+import remarkParse from "remark-parse";
+import remarkGfm from "remark-gfm";
+import { toString } from "mdast-util-to-string";
+import { visit } from "unist-util-visit";
+import { CONTENT_FORMAT, LEGACY_TABS, decodeLegacy, isLegacyFormat, legacyBodyTab } from "./format.js";
+
+// Converts format 1 documents (see format.js) to plain Markdown. A conversion
+// is only used when it keeps all text, code and link targets of the legacy
+// decoding the pages rendered, otherwise the legacy decoding is kept as is.
+
+const parser = unified().use(remarkParse).use(remarkGfm);
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+// "/n" or "/t" right after a URL, e.g. "https://example.com/news", which the
+// legacy encoding can't tell apart from a line break.
+const SUSPICIOUS_TOKEN = /https?:\/\/[^\s)\]]*?\/[nt]/g;
+
+// Lines starting a block of their own, which need no line break before them.
+const BLOCK_START = /^ {0,3}(#{1,6}\s|[-*+]\s|\d+[.)]\s|>|\||`{3}|~{3}|-{3,}\s*$|\*{3,}\s*$)/;
+
+// Line breaks only where a paragraph continues on the next line, tabs kept as
+// real tabs inside code, no trailing whitespace or repeated blank lines.
+function tidy(text, tab) {
+    // [line, separator] pairs; only "/n" was rendered as a hard line break.
+    // Hand edited files put "/n" at the start of real lines, that's one break.
+    const parts = text.replace(/\r?\n\/n/g, "/n").split(/(\/n|\r?\n)/);
+    const lines = [];
+    for (let index = 0; index < parts.length; index += 2) {
+        lines.push({ text: parts[index], hardBreak: parts[index + 1] === "/n" });
+    }
+
+    const result = [];
+    let fence = null;
+    lines.forEach((line, index) => {
+        const marker = FENCE.exec(line.text.replaceAll("/t", " "));
+        if (fence) {
+            if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) {
+                fence = null;
+                result.push(line.text.replaceAll("/t", tab).trimEnd());
+            }
+            else {
+                result.push(line.text.replaceAll("/t", "\t").trimEnd());
+            }
+            return;
+        }
+        if (marker) {
+            fence = marker[1];
+            result.push(line.text.replaceAll("/t", tab).trimEnd());
+            return;
+        }
+
+        const decoded = line.text.replaceAll("/t", tab).trimEnd();
+        if (!decoded && !result.at(-1)) {
+            return; // one blank line is enough
+        }
+        const next = lines[index + 1]?.text.replaceAll("/t", tab) ?? "";
+        const continues = line.hardBreak && decoded.trim() && !BLOCK_START.test(decoded)
+            && next.trim() && !BLOCK_START.test(next);
+        result.push(continues ? `${decoded}  ` : decoded);
+    });
+
+    return result.join("\n");
+}
+
+// Everything a reader could lose: the text without whitespace or table syntax
+// (a broken table renders its pipes as text), and link and image targets.
+function contentOf(tree) {
+    const targets = [];
+    visit(tree, (node) => {
+        if (node.url) {
+            targets.push(node.url, node.alt ?? "");
+        }
+    });
+    return JSON.stringify([toString(tree).replace(/[\s|]+|:?-{3,}:?/g, ""), targets]);
+}
+
+// Markdown tree without positions; code compared line by line without
+// trailing whitespace, with tabs rendered the legacy way.
+function normalizedTree(tree, tab) {
+    return JSON.stringify(tree, (key, value) => {
+        if (key === "position") {
+            return undefined;
+        }
+        if (value && value.type === "code") {
+            return {
+                ...value,
+                value: value.value.replaceAll("\t", tab).split("\n").map((line) => line.trimEnd()).join("\n"),
+            };
+        }
+        return value;
+    });
+}
+
+// Converts one legacy string: { markdown, warnings }.
+export function migrateText(text, tab) {
+    const warnings = [...text.matchAll(SUSPICIOUS_TOKEN)]
+        .map((match) => `"${match[0]}" may be part of a URL rather than a line break or tab`);
+
+    const legacy = decodeLegacy(text, tab);
+    const tidied = tidy(text, tab);
+    const legacyTree = parser.parse(legacy);
+    const tidiedTree = parser.parse(tidied);
+    if (contentOf(tidiedTree) === contentOf(legacyTree)) {
+        if (normalizedTree(tidiedTree, tab) !== normalizedTree(legacyTree, tab)) {
+            warnings.push("same content, but the structure changed (e.g. a table the line breaks used to break), check the page");
+        }
+        return { markdown: tidied, warnings };
+    }
+
+    return {
+        markdown: legacy,
+        warnings: [...warnings, "kept the exact legacy decoding, the tidied Markdown would render differently"],
+    };
+}
+
+function migrateField(value, tab, label, warnings) {
+    if (typeof value !== "string") {
+        return value;
+    }
+
+    const result = migrateText(value, tab);
+    warnings.push(...result.warnings.map((warning) => `${label}: ${warning}`));
+    return result.markdown;
+}
+
+// Migrates a topic stored in a document of the given format:
+// { topic, warnings }. Topics already in the current format are returned as is.
+export function migrateTopic(topic, subjectId, format = topic.format) {
+    if (!isLegacyFormat({ format })) {
+        return { topic, warnings: [] };
+    }
+
+    const warnings = [];
+    const label = `${subjectId}/${topic.url}`;
+    const migrated = { ...topic };
+    if (topic.content !== undefined) {
+        migrated.content = migrateField(topic.content, legacyBodyTab(subjectId), `${label} content`, warnings);
+    }
+    if (topic.shortDesc !== undefined) {
+        migrated.shortDesc = migrateField(topic.shortDesc, LEGACY_TABS.shortDesc, `${label} shortDesc`, warnings);
+    }
+    if (topic.format !== undefined) {
+        migrated.format = CONTENT_FORMAT;
+    }
+    return { topic: migrated, warnings };
+}
+
+// Migrates a subject document and its inline topics: { subject, warnings }.
+export function migrateSubject(subject) {
+    if (!isLegacyFormat(subject)) {
+        return { subject, warnings: [] };
+    }
+
+    const warnings = [];
+    const migrated = {
+        ...subject,
+        description: migrateField(subject.description, LEGACY_TABS.description, `${subject.id} description`, warnings),
+        content: (subject.content || []).map((topic) => {
+            const result = migrateTopic(topic, subject.id, topic.format ?? subject.format);
+            warnings.push(...result.warnings);
+            return result.topic;
+        }),
+        format: CONTENT_FORMAT,
+    };
+    if (subject.description === undefined) {
+        delete migrated.description;
+    }
+    return { subject: migrated, warnings };
+}
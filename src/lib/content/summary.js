@@ -0,0 +1,14 @@
+// Topic bodies are only needed by the page rendering that topic. Navigation
+// (sidebar, dropdown, subject lists) works from these body-less summaries.
+
+export function toTopicSummary(topic) {
+    const { content, ...summary } = topic;
+    return summary;
+}
+
+export function toSubjectSummary(subject) {
+    return {
+        ...subject,
+        content: (subject.content || []).map(toTopicSummary),
+    };
+}
@@ -0,0 +1,42 @@
+// Cache tags of the content reads (see index.js). Publishing refreshes them
+// through /api/revalidate, pages are otherwise regenerated every
+// CONTENT_REVALIDATE_SECONDS.
+export const CONTENT_REVALIDATE_SECONDS = 3600;
+
+export const SUBJECTS_TAG = "subjects";
+
+// Everything read from a subject document: its summary, topics stored inline
+// and the topic list.
+export function subjectTag(subject) {
+    return `subject:${subject}`;
+}
+
+// The bodies of a subject's topics, read together by listTopics.
+export function topicsTag(subject) {
+    return `topics:${subject}`;
+}
+
+export function topicTag(subject, url) {
+    return `topic:${subject}/${url}`;
+}
+
+// Listings of a subject; the latest blog posts are on the home page too.
+function subjectPaths(subject) {
+    return subject === "blogs" ? ["/", "/blogs"] : [`/${subject}`];
+}
+
+// Tags and page paths to refresh once a subject, or one of its topics, was
+// published: { tags, paths }. A subject also changes the subject index. A
+// topic changes all of them too, as its title and summary are kept in the
+// subject's topic list, and its own page.
+export function revalidationTargets(subject, topic) {
+    const targets = {
+        tags: [SUBJECTS_TAG, subjectTag(subject), topicsTag(subject)],
+        paths: subjectPaths(subject),
+    };
+    if (topic) {
+        targets.tags.push(topicTag(subject, topic));
+        targets.paths.push(`/${subject}/${topic}`);
+    }
+    return targets;
+}
@@ -0,0 +1,221 @@
+import { visit } from "unist-util-visit";
+import { FRONT_MATTER_FIELDS, isLegacyFormat } from "./format.js";
+import { prepareContent, parseMarkdown } from "../markdown/index.js";
+import { findQuizzes } from "../markdown/quiz.js";
+import { SITE_URL } from "../site.js";
+import { BLOG_SUBJECT, RESERVED_BLOG_URLS, tagSlug } from "../blog.js";
+
+// Checks run by the content CLI and the admin editor before publishing. Each returns a list of
+// { level: "error" | "warning", message } issues; errors block publishing.
+
+const SLUG = /^[\w-]+$/;
+
+// Search results show about this much of the title and description tags.
+export const TITLE_TAG_MAX = 60;
+export const DESCRIPTION_TAG_MIN = 50;
+export const DESCRIPTION_TAG_MAX = 160;
+
+const SUBJECT_FIELDS = ["name", "base_url", "titleTag", "descriptionTag", "keywords"];
+
+const error = (message) => ({ level: "error", message });
+const warning = (message) => ({ level: "warning", message });
+
+function isBlank(value) {
+    return typeof value !== "string" || value.trim() === "";
+}
+
+// Required fields; keywords can be comma separated text or, in front matter, a
+// list.
+function isMissing(field, value) {
+    return field === "keywords" && Array.isArray(value) ? value.length === 0 : isBlank(value);
+}
+
+function checkSeoFields(fields) {
+    const issues = [];
+    if (!isBlank(fields.titleTag) && fields.titleTag.length > TITLE_TAG_MAX) {
+        issues.push(warning(`titleTag is ${fields.titleTag.length} characters, search results show about ${TITLE_TAG_MAX}`));
+    }
+    if (!isBlank(fields.descriptionTag)) {
+        const length = fields.descriptionTag.length;
+        if (length < DESCRIPTION_TAG_MIN || length > DESCRIPTION_TAG_MAX) {
+            issues.push(warning(`descriptionTag is ${length} characters, aim for ${DESCRIPTION_TAG_MIN}-${DESCRIPTION_TAG_MAX}`));
+        }
+    }
+    if (Array.isArray(fields.keywords)) {
+        if (fields.keywords.some(isBlank)) {
+            issues.push(error("keywords must be text or a list of non-empty text"));
+        }
+    }
+    else if (!isBlank(fields.keywords) && fields.keywords.split(",").some((keyword) => !keyword.trim())) {
+        issues.push(warning("keywords has an empty entry"));
+    }
+    return issues;
+}
+
+// Fields of a subject's index.json.
+export function validateSubject(id, subject) {
+    if (isLegacyFormat(subject)) {
+        return [error("format 1 content, convert it with npm run content:migrate first")];
+    }
+
+    const issues = SUBJECT_FIELDS
+        .filter((field) => isMissing(field, subject[field]))
+        .map((field) => error(`${field} is required`));
+
+    if (!isBlank(subject.base_url) && subject.base_url !== `/${id}`) {
+        issues.push(warning(`base_url is "${subject.base_url}", pages are served from "/${id}"`));
+    }
+    if (isBlank(subject.description)) {
+        issues.push(warning("description is empty, the subject page falls back to descriptionTag"));
+    }
+    if (!Array.isArray(subject.content) || subject.content.some((url) => typeof url !== "string")) {
+        issues.push(error("content must list the topic urls in order"));
+    }
+    return [...issues, ...checkSeoFields(subject)];
+}
+
+// Quiz fences that would be shown as code instead of a quiz, and quizzes
+// sharing an id, whose scores would be mixed up.
+function checkQuizzes(markdown) {
+    const issues = [];
+    const ids = new Set();
+    for (const quiz of findQuizzes(parseMarkdown(markdown))) {
+        quiz.errors.forEach((message) => issues.push(error(`quiz "${quiz.id}": ${message}`)));
+        if (ids.has(quiz.id)) {
+            issues.push(warning(`two quizzes have the id "${quiz.id}", give one an id="..."`));
+        }
+        ids.add(quiz.id);
+    }
+    return issues;
+}
+
+// Front matter and body of one topic file, `url` being its file name.
+export function validateTopic(topic, url) {
+    if (isLegacyFormat(topic)) {
+        return [error("format 1 content, convert it with npm run content:migrate first")];
+    }
+
+    const issues = FRONT_MATTER_FIELDS
+        .filter((field) => isMissing(field, topic[field]))
+        .map((field) => error(`${field} is required`));
+
+    if (!SLUG.test(url)) {
+        issues.push(error("file name must only contain letters, digits, _ and -"));
+    }
+    if (!isBlank(topic.url) && topic.url !== url) {
+        issues.push(error(`url "${topic.url}" doesn't match the file name "${url}"`));
+    }
+    if (isBlank(topic.content)) {
+        issues.push(error("body is empty"));
+    }
+    else {
+        issues.push(...checkQuizzes(topic.content));
+    }
+    if (topic.ads !== undefined && typeof topic.ads !== "boolean") {
+        issues.push(error("ads must be true or false"));
+    }
+    if (topic.author !== undefined && isBlank(topic.author)) {
+        issues.push(error("author must be a name"));
+    }
+    if (topic.tags !== undefined) {
+        if (!Array.isArray(topic.tags) || topic.tags.some((tag) => isBlank(tag) || !tagSlug(tag))) {
+            issues.push(error("tags must be a list of names with letters or digits"));
+        }
+    }
+    return [...issues, ...checkSeoFields(topic)];
+}
+
+// Tags repeated across the topics of a subject compete with each other in search.
+// Blog posts also can't take the urls of the blog listings.
+export function validateTopicList(topics, subjectId) {
+    const issues = [];
+    if (subjectId === BLOG_SUBJECT) {
+        topics
+            .filter((topic) => RESERVED_BLOG_URLS.includes(topic.url))
+            .forEach((topic) => issues.push(error(`${topic.url} is the path of a blog listing, rename the post`)));
+    }
+    for (const field of ["titleTag", "descriptionTag"]) {
+        const seen = new Map();
+        for (const topic of topics) {
+            if (isBlank(topic[field])) {
+                continue;
+            }
+            if (seen.has(topic[field])) {
+                issues.push(warning(`${topic.url} has the same ${field} as ${seen.get(topic[field])}`));
+            }
+            seen.set(topic[field], topic.url);
+        }
+    }
+    return issues;
+}
+
+// Heading ids of a page, as TutorialPage renders them.
+export function headingIds(markdown) {
+    return new Set(prepareContent(markdown).headings.map((heading) => heading.id));
+}
+
+function splitHash(url) {
+    const [path, hash] = url.split("#");
+    return [path.split("?")[0].replace(/(.)\/$/, "$1"), hash];
+}
+
+// Internal links and images of a topic at `path` (e.g. "/flutter/flutter_introduction").
+//   pages         Map of known page paths to their heading ids (Set), or null when unknown
+//   subjects      Set of subject ids available locally
+//   publicFileExists(path) whether public/ has the file
+export function checkLinks(markdown, path, { pages, subjects, publicFileExists }) {
+    const issues = [];
+    const tree = parseMarkdown(markdown);
+    const origin = new URL(SITE_URL).origin;
+
+    visit(tree, ["link", "image", "definition"], (node) => {
+        let url = node.url;
+        if (!url || /^(mailto|tel):/.test(url)) {
+            return;
+        }
+        let target, hash;
+        try {
+            if (/^https?:\/\//.test(url)) {
+                if (new URL(url).origin !== origin) {
+                    return; // external
+                }
+                url = url.slice(origin.length) || "/";
+            }
+
+            const resolved = new URL(url, `${origin}${path}`);
+            [target, hash] = splitHash(decodeURI(resolved.pathname) + resolved.hash);
+        }
+        catch (err) {
+            issues.push(error(`malformed link ${node.url}`));
+            return;
+        }
+
+        if (node.type === "image") {
+            if (!publicFileExists(target)) {
+                issues.push(error(`image ${node.url} not found in public/`));
+            }
+            else if (!target.startsWith("/assets/")) {
+                issues.push(warning(`image ${node.url} is outside public/assets`));
+            }
+            if (isBlank(node.alt)) {
+                issues.push(warning(`image ${node.url} has no alt text`));
+            }
+            return;
+        }
+
+        if (pages.has(target)) {
+            const ids = pages.get(target);
+            if (hash && ids && !ids.has(hash)) {
+                issues.push(error(`link ${node.url}: no heading with id "${hash}"`));
+            }
+        }
+        else if (!publicFileExists(target)) {
+            const subject = target.split("/")[1];
+            issues.push(subjects.has(subject)
+                ? error(`link ${node.url}: no such topic`)
+                : warning(`link ${node.url}: not in local content, check it exists on the site`));
+        }
+    });
+
+    return issues;
+}
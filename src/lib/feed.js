@@ -0,0 +1,259 @@
+import { unified } from "unified";
+import remarkParse from "remark-parse";
+import remarkRehype from "remark-rehype";
+import rehypeStringify from "rehype-stringify";
+import { visit } from "unist-util-visit";
+import { getSubject, getTopic, listSubjects } from "@/lib/content";
+import { AD_MARKER, remarkPlugins } from "@/lib/markdown";
+import { rehypeQuizzes } from "@/lib/markdown/quiz";
+import { FEED_FORMATS, findFirstImage } from "@/lib/metadata";
+import { escapeXml } from "@/lib/sitemap";
+import { BLOG_SUBJECT, listPosts, postAuthor, postDate, postTags, sortPosts } from "@/lib/blog";
+import { SITE_DESCRIPTION, SITE_LOGO, SITE_NAME, SITE_TITLE, absoluteUrl } from "@/lib/site";
+
+// RSS 2.0, Atom and JSON Feed of the newest blog posts and tutorial topics,
+// for the whole site (/feed.xml) or one subject (/kotlin/feed.xml).
+export const FEED_SIZE = 20;
+
+// Entries carry the whole post as HTML ("full") or only its shortDesc
+// ("summary"). FEED_CONTENT sets the default, ?content= picks one per request.
+export const FEED_MODES = ["full", "summary"];
+
+export function feedMode(request) {
+    const requested = new URL(request.url).searchParams.get("content");
+    if (FEED_MODES.includes(requested)) {
+        return requested;
+    }
+    return FEED_MODES.includes(process.env.FEED_CONTENT) ? process.env.FEED_CONTENT : "full";
+}
+
+// Links and images in a page's HTML made absolute against the page's URL, as
+// feed readers show the HTML away from the site.
+function rehypeAbsoluteUrls({ base }) {
+    return (tree) => {
+        visit(tree, "element", (node) => {
+            for (const property of ["href", "src"]) {
+                const value = node.properties?.[property];
+                if (typeof value === "string" && value) {
+                    node.properties[property] = toAbsolute(value, base);
+                }
+            }
+        });
+    };
+}
+
+// Quizzes only work on the site, feeds link to them instead.
+function rehypeQuizLinks({ base }) {
+    return (tree) => {
+        visit(tree, "element", (node) => {
+            if (node.tagName === "quiz-block") {
+                node.tagName = "p";
+                node.properties = {};
+                node.children = [{
+                    type: "element",
+                    tagName: "a",
+                    properties: { href: base },
+                    children: [{ type: "text", value: "Take the quiz on the site" }],
+                }];
+            }
+        });
+    };
+}
+
+function toAbsolute(url, base) {
+    try {
+        return new URL(url, base).toString();
+    }
+    catch (error) {
+        return url;
+    }
+}
+
+// Markdown of a page as HTML, without the ad markers the pages use.
+function renderHtml(markdown, pageUrl) {
+    return String(unified()
+        .use(remarkParse)
+        .use(remarkPlugins)
+        .use(remarkRehype)
+        .use(rehypeQuizzes)
+        .use(rehypeQuizLinks, { base: pageUrl })
+        .use(rehypeAbsoluteUrls, { base: pageUrl })
+        .use(rehypeStringify)
+        .processSync(markdown.split(AD_MARKER).join("")));
+}
+
+function subjectPath(subjectId) {
+    return subjectId === BLOG_SUBJECT ? "/blogs" : `/${subjectId}`;
+}
+
+async function toItem(subject, summary, mode) {
+    const url = absoluteUrl(`/${subject.id}/${summary.url}`);
+    const topic = await getTopic(subject.id, summary.url) ?? summary; // the body, when it's still there
+    const image = topic.image ?? findFirstImage(topic.content);
+    const summaryHtml = topic.shortDesc
+        ? renderHtml(topic.shortDesc, url)
+        : escapeXml(topic.descriptionTag ?? "");
+
+    return {
+        id: url,
+        url: url,
+        title: topic.titleTag ?? topic.title,
+        summary: topic.descriptionTag ?? topic.title,
+        html: mode === "full" && topic.content ? renderHtml(topic.content, url) : summaryHtml,
+        image: image ? toAbsolute(image, url) : undefined,
+        author: postAuthor(topic, subject) ?? SITE_NAME,
+        tags: [
+            ...(subject.id === BLOG_SUBJECT ? [] : [subject.name]),
+            ...postTags(topic).map((tag) => tag.name),
+        ],
+        published: toISODate(postDate(topic)),
+        updated: toISODate(topic.updatedAt ?? postDate(topic)),
+    };
+}
+
+function toISODate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : undefined;
+}
+
+// The feed of a subject, or of the whole site without one; null when there's
+// no such subject.
+export async function getFeed(subjectId, { mode = "full" } = {}) {
+    const subjects = subjectId
+        ? [await getSubject(subjectId)].filter(Boolean)
+        : await listSubjects();
+    if (subjectId && subjects.length === 0) {
+        return null;
+    }
+
+    const bySubject = new Map(subjects.map((subject) => [subject.id, subject]));
+    const topics = subjects.flatMap((subject) => (subject.id === BLOG_SUBJECT ? listPosts(subject) : subject.content)
+        .map((topic) => ({ ...topic, subjectId: subject.id })));
+    const items = await Promise.all(sortPosts(topics)
+        .slice(0, FEED_SIZE)
+        .map(({ subjectId: id, ...topic }) => toItem(bySubject.get(id), topic, mode)));
+
+    const subject = subjectId ? subjects[0] : null;
+    const path = subject ? subjectPath(subject.id) : "";
+    return {
+        title: subject ? `${subject.name} - ${SITE_NAME}` : SITE_TITLE,
+        description: subject?.descriptionTag ?? SITE_DESCRIPTION,
+        homePageUrl: absoluteUrl(path || "/"),
+        feedUrl: (format) => absoluteUrl(`${path}/${FEED_FORMATS[format].file}`),
+        icon: absoluteUrl(SITE_LOGO),
+        updated: items.map((item) => item.updated).filter(Boolean).sort().at(-1) ?? new Date().toISOString(),
+        items,
+    };
+}
+
+// HTML inside XML elements goes in CDATA; "]]>" would end it early.
+function cdata(html) {
+    return `<![CDATA[${html.replaceAll("]]>", "]]]]><![CDATA[>")}]]>`;
+}
+
+export function renderRss(feed, mode) {
+    const items = feed.items.map((item) => [
+        "    <item>",
+        `      <title>${escapeXml(item.title)}</title>`,
+        `      <link>${escapeXml(item.url)}</link>`,
+        `      <guid isPermaLink="true">${escapeXml(item.id)}</guid>`,
+        item.published && `      <pubDate>${new Date(item.published).toUTCString()}</pubDate>`,
+        `      <dc:creator>${escapeXml(item.author)}</dc:creator>`,
+        ...item.tags.map((tag) => `      <category>${escapeXml(tag)}</category>`),
+        `      <description>${escapeXml(item.summary)}</description>`,
+        mode === "full" && `      <content:encoded>${cdata(item.html)}</content:encoded>`,
+        item.image && `      <media:content url="${escapeXml(item.image)}" medium="image" />`,
+        "    </item>",
+    ].filter(Boolean).join("\n"));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homePageUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl("rss"))}" rel="self" type="${FEED_FORMATS.rss.type}" />
+    <image>
+      <url>${escapeXml(feed.icon)}</url>
+      <title>${escapeXml(feed.title)}</title>
+      <link>${escapeXml(feed.homePageUrl)}</link>
+    </image>
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(feed) {
+    const entries = feed.items.map((item) => [
+        "  <entry>",
+        `    <id>${escapeXml(item.id)}</id>`,
+        `    <title>${escapeXml(item.title)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />`,
+        item.published && `    <published>${item.published}</published>`,
+        `    <updated>${item.updated ?? feed.updated}</updated>`,
+        `    <author><name>${escapeXml(item.author)}</name></author>`,
+        ...item.tags.map((tag) => `    <category term="${escapeXml(tag)}" />`),
+        `    <summary type="text">${escapeXml(item.summary)}</summary>`,
+        `    <content type="html">${escapeXml(item.html)}</content>`,
+        item.image && `    <media:content url="${escapeXml(item.image)}" medium="image" />`,
+        "  </entry>",
+    ].filter(Boolean).join("\n"));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <id>${escapeXml(feed.homePageUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homePageUrl)}" />
+  <link rel="self" type="${FEED_FORMATS.atom.type}" href="${escapeXml(feed.feedUrl("atom"))}" />
+  <icon>${escapeXml(feed.icon)}</icon>
+  <updated>${feed.updated}</updated>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+export function renderJsonFeed(feed) {
+    return JSON.stringify({
+        version: "https://jsonfeed.org/version/1.1",
+        title: feed.title,
+        home_page_url: feed.homePageUrl,
+        feed_url: feed.feedUrl("json"),
+        description: feed.description,
+        icon: feed.icon,
+        language: "en",
+        items: feed.items.map((item) => ({
+            id: item.id,
+            url: item.url,
+            title: item.title,
+            content_html: item.html,
+            summary: item.summary,
+            image: item.image,
+            date_published: item.published,
+            date_modified: item.updated,
+            authors: [{ name: item.author }],
+            tags: item.tags.length > 0 ? item.tags : undefined,
+        })),
+    }, null, 2);
+}
+
+const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJsonFeed };
+
+// Response for a feed route: GET handlers only pick the format and subject.
+export async function feedResponse(request, format, subjectId) {
+    const mode = feedMode(request);
+    const feed = await getFeed(subjectId, { mode });
+    if (!feed) {
+        return new Response("Not found", { status: 404 });
+    }
+
+    return new Response(RENDERERS[format](feed, mode), {
+        headers: {
+            "Content-Type": `${FEED_FORMATS[format].type}; charset=utf-8`,
+            "Cache-Control": "public, s-maxage=3600, stale-while-revalidate=86400",
+        },
+    });
+}
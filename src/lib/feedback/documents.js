@@ -0,0 +1,54 @@
+// Firestore layout of reader feedback, keyed by feedbackKey like reader
+// bookmarks (topicKey in lib/account.js):
+//   feedback/{key}/ratings/{uid}    { helpful, updatedAt }, one per reader
+//   feedback/{key}/comments/{id}    { subject, topic, parentId, uid, author, photoURL, text, status, createdAt }
+//   comment_limits/{uid}            { lastCommentAt, lastCommentKey, lastCommentId }, the reader's
+//                                   latest comment, see COMMENT_INTERVAL_SECONDS
+// firestore.rules enforces the same limits.
+export const FEEDBACK_COLLECTION = "feedback";
+export const RATINGS_COLLECTION = "ratings";
+export const COMMENTS_COLLECTION = "comments";
+export const COMMENT_LIMITS_COLLECTION = "comment_limits";
+
+// "<subjectId>:<topicUrl>", the id of feedback/{key}.
+export function feedbackKey(subject, topic) {
+    return `${subject}:${topic}`;
+}
+
+export const COMMENT_MAX_LENGTH = 2000;
+// A reader waits this long between two comments.
+export const COMMENT_INTERVAL_SECONDS = 30;
+
+// New comments wait in the moderation queue ("pending") until an admin
+// approves them; "hidden" ones stay out of the page without being deleted.
+export const COMMENT_STATUSES = ["pending", "approved", "hidden"];
+
+// Comments as threads, oldest first: top-level comments with their `replies`.
+// Replies to a reply go into the thread of the comment that started it, as
+// threads are one level deep. Replies whose thread isn't in the list are left
+// out.
+export function toThreads(comments) {
+    const sorted = [...comments].sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    const threads = sorted
+        .filter((comment) => !comment.parentId)
+        .map((comment) => ({ ...comment, replies: [] }));
+    const byId = new Map(threads.map((thread) => [thread.id, thread]));
+    const parents = new Map(sorted.map((comment) => [comment.id, comment.parentId]));
+
+    const rootOf = (comment) => {
+        let id = comment.parentId;
+        const seen = new Set();
+        while (parents.get(id) && !seen.has(id)) {
+            seen.add(id);
+            id = parents.get(id);
+        }
+        return id;
+    };
+
+    for (const comment of sorted) {
+        if (comment.parentId) {
+            byId.get(rootOf(comment))?.replies.push(comment);
+        }
+    }
+    return threads;
+}
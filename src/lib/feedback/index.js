@@ -0,0 +1,204 @@
+import { useEffect, useState } from 'react'
+import { loadFirebase, useAccount } from '../account'
+import {
+    COMMENT_INTERVAL_SECONDS,
+    COMMENT_LIMITS_COLLECTION,
+    COMMENT_MAX_LENGTH,
+    COMMENTS_COLLECTION,
+    FEEDBACK_COLLECTION,
+    RATINGS_COLLECTION,
+    feedbackKey,
+} from './documents'
+
+// "Was this helpful?" ratings and comments of signed-in readers, and the
+// moderation of comments by admins. Layout in ./documents.js; approved
+// comments are read through /api/comments.
+
+// Thrown by postComment when the reader commented less than
+// COMMENT_INTERVAL_SECONDS ago; `seconds` is how long they still have to wait.
+export class CommentRateLimitError extends Error {
+    constructor(seconds) {
+        super(`Please wait ${seconds} seconds before commenting again`);
+        this.name = "CommentRateLimitError";
+        this.seconds = seconds;
+    }
+}
+
+async function signedInServices() {
+    const services = await loadFirebase();
+    const user = services.auth.currentUser;
+    if (!user) {
+        throw new Error("Sign in first");
+    }
+    return { ...services, user };
+}
+
+function topicRef({ sdk, db }, subject, topic, ...path) {
+    return sdk.doc(db, FEEDBACK_COLLECTION, feedbackKey(subject, topic), ...path);
+}
+
+function toEntry(snapshot) {
+    const data = snapshot.data({ serverTimestamps: "estimate" });
+    return {
+        ...data,
+        id: snapshot.id,
+        createdAt: data.createdAt?.toDate().toISOString() ?? null,
+    };
+}
+
+// The signed-in reader's rating of a topic: true (helpful), false, or null
+// when they haven't rated it; undefined until it's known.
+export function useRating(subject, topic) {
+    const { ready, user } = useAccount();
+    const uid = user?.uid;
+    const [rating, setRating] = useState(undefined);
+
+    useEffect(() => {
+        if (!uid) {
+            setRating(ready ? null : undefined);
+            return;
+        }
+
+        let stop = null;
+        let cancelled = false;
+        loadFirebase()
+            .then((services) => {
+                if (!cancelled) {
+                    stop = services.sdk.onSnapshot(
+                        topicRef(services, subject, topic, RATINGS_COLLECTION, uid),
+                        (snapshot) => setRating(snapshot.exists() ? snapshot.data().helpful : null),
+                        () => setRating(null),
+                    );
+                }
+            })
+            .catch((error) => {
+                console.warn(`couldn't load the rating: ${error.message}`);
+                if (!cancelled) {
+                    setRating(null);
+                }
+            });
+        return () => {
+            cancelled = true;
+            stop?.();
+        };
+    }, [ready, uid, subject, topic]);
+
+    return rating;
+}
+
+// One rating per reader and topic; rating again replaces it.
+export async function rateTopic(subject, topic, helpful) {
+    const services = await signedInServices();
+    await services.sdk.setDoc(topicRef(services, subject, topic, RATINGS_COLLECTION, services.user.uid), {
+        helpful: helpful,
+        updatedAt: services.sdk.serverTimestamp(),
+    });
+}
+
+// Adds a comment, or a reply when parentId is given, to the moderation queue.
+// The rate limit is checked here for a friendly message; firestore.rules
+// enforces it.
+export async function postComment(subject, topic, text, parentId = null) {
+    const services = await signedInServices();
+    const { sdk, db, user } = services;
+    const body = text.trim().slice(0, COMMENT_MAX_LENGTH);
+    if (!body) {
+        throw new Error("The comment is empty");
+    }
+
+    const limitRef = sdk.doc(db, COMMENT_LIMITS_COLLECTION, user.uid);
+    const limit = await sdk.getDoc(limitRef);
+    const last = limit.exists() ? limit.data().lastCommentAt?.toMillis() : null;
+    const wait = last ? Math.ceil((last + COMMENT_INTERVAL_SECONDS * 1000 - Date.now()) / 1000) : 0;
+    if (wait > 0) {
+        throw new CommentRateLimitError(wait);
+    }
+
+    // the limits entry names the comment, firestore.rules allows one per update
+    const key = feedbackKey(subject, topic);
+    const commentRef = sdk.doc(sdk.collection(db, FEEDBACK_COLLECTION, key, COMMENTS_COLLECTION));
+    const batch = sdk.writeBatch(db);
+    batch.set(limitRef, { lastCommentAt: sdk.serverTimestamp(), lastCommentKey: key, lastCommentId: commentRef.id });
+    batch.set(commentRef, {
+        subject: subject,
+        topic: topic,
+        parentId: parentId,
+        uid: user.uid,
+        author: (user.displayName || "Reader").slice(0, 100),
+        photoURL: user.photoURL ?? null,
+        text: body,
+        status: "pending",
+        createdAt: sdk.serverTimestamp(),
+    });
+    await batch.commit();
+}
+
+// Comments of every topic with the given status, newest first, for admins:
+// undefined while loading, and an `error` message when they can't be read.
+export function useModerationQueue(status) {
+    const { user } = useAccount();
+    const admin = user?.admin === true;
+    const [queue, setQueue] = useState({ comments: undefined, error: null });
+
+    useEffect(() => {
+        if (!admin) {
+            return;
+        }
+
+        let stop = null;
+        let cancelled = false;
+        setQueue({ comments: undefined, error: null });
+        loadFirebase()
+            .then(({ sdk, db }) => {
+                if (!cancelled) {
+                    stop = sdk.onSnapshot(
+                        sdk.query(
+                            sdk.collectionGroup(db, COMMENTS_COLLECTION),
+                            sdk.where("status", "==", status),
+                            sdk.orderBy("createdAt", "desc"),
+                            sdk.limit(100),
+                        ),
+                        (snapshot) => setQueue({ comments: snapshot.docs.map(toEntry), error: null }),
+                        (error) => setQueue({ comments: [], error: error.message }),
+                    );
+                }
+            })
+            .catch((error) => {
+                if (!cancelled) {
+                    setQueue({ comments: [], error: error.message });
+                }
+            });
+        return () => {
+            cancelled = true;
+            stop?.();
+        };
+    }, [admin, status]);
+
+    return queue;
+}
+
+export async function setCommentStatus(comment, status) {
+    const services = await signedInServices();
+    await services.sdk.updateDoc(topicRef(services, comment.subject, comment.topic, COMMENTS_COLLECTION, comment.id), { status });
+}
+
+export async function deleteComment(comment) {
+    const services = await signedInServices();
+    await services.sdk.deleteDoc(topicRef(services, comment.subject, comment.topic, COMMENTS_COLLECTION, comment.id));
+}
+
+// Ratings of every topic, for admins: [{ key, helpful, notHelpful }] with the
+// least helpful topics first.
+export async function readRatingSummary() {
+    const { sdk, db } = await signedInServices();
+    const snapshot = await sdk.getDocs(sdk.collectionGroup(db, RATINGS_COLLECTION));
+    const topics = new Map();
+    for (const doc of snapshot.docs) {
+        const key = doc.ref.parent.parent.id;
+        const counts = topics.get(key) ?? { key, helpful: 0, notHelpful: 0 };
+        counts[doc.data().helpful ? "helpful" : "notHelpful"] += 1;
+        topics.set(key, counts);
+    }
+    return [...topics.values()].sort((a, b) =>
+        a.helpful / (a.helpful + a.notHelpful) - b.helpful / (b.helpful + b.notHelpful) || b.notHelpful - a.notHelpful);
+}
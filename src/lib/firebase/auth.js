@@ -0,0 +1,13 @@
+import { connectAuthEmulator, getAuth } from "firebase/auth";
+import { app } from "./firebase.js";
+
+const auth = getAuth(app)
+
+// e.g. NEXT_PUBLIC_FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 to sign in against
+// the local Auth emulator, FIREBASE_AUTH_EMULATOR_HOST for the content CLI
+const authEmulator = process.env.FIREBASE_AUTH_EMULATOR_HOST ?? process.env.NEXT_PUBLIC_FIREBASE_AUTH_EMULATOR_HOST;
+if (authEmulator) {
+    connectAuthEmulator(auth, `http://${authEmulator}`, { disableWarnings: true });
+}
+
+export { auth }
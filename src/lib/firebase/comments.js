@@ -0,0 +1,25 @@
+import { collection, getDocs, orderBy, query, where } from "firebase/firestore";
+import { db } from "./firebase";
+import { COMMENTS_COLLECTION, FEEDBACK_COLLECTION, feedbackKey } from "@/lib/feedback/documents";
+
+// Approved comments of a topic as plain data, oldest first. Only the fields
+// pages show are returned.
+export async function listApprovedComments(subject, topic) {
+    const snapshot = await getDocs(query(
+        collection(db, FEEDBACK_COLLECTION, feedbackKey(subject, topic), COMMENTS_COLLECTION),
+        where("status", "==", "approved"),
+        orderBy("createdAt"),
+    ));
+
+    return snapshot.docs.map((doc) => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            parentId: data.parentId ?? null,
+            author: data.author,
+            photoURL: data.photoURL ?? null,
+            text: data.text,
+            createdAt: data.createdAt?.toDate().toISOString() ?? null,
+        };
+    });
+}
@@ -1,5 +1,5 @@
 import { initializeApp } from "firebase/app";
-import { getFirestore } from "firebase/firestore";
+import { connectFirestoreEmulator, getFirestore } from "firebase/firestore";
 
 const firebaseConfig = {
     apiKey: process.env.API_KEY,
@@ -13,4 +13,12 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig)
 const db = getFirestore(app)
 
+// e.g. FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 to use the local Firestore emulator,
+// NEXT_PUBLIC_FIRESTORE_EMULATOR_HOST for the browser (reader accounts)
+const firestoreEmulator = process.env.FIRESTORE_EMULATOR_HOST ?? process.env.NEXT_PUBLIC_FIRESTORE_EMULATOR_HOST;
+if (firestoreEmulator) {
+    const [host, port] = firestoreEmulator.split(":");
+    connectFirestoreEmulator(db, host, Number(port));
+}
+
 export { app, db } 
\ No newline at end of file
@@ -1,53 +1,83 @@
-import { collection, getDoc, getDocs, doc, where } from "firebase/firestore";
+import { cache } from "react";
+import { collection, getDoc, getDocs, doc } from "firebase/firestore";
 import { db } from "./firebase";
+import { toPlainData } from "./plain-data";
+import { toSubjectSummary } from "@/lib/content/summary";
+import { decodeSubject, decodeTopic } from "@/lib/content/format";
+import { INDEX_COLLECTION, INDEX_DOCUMENT, TOPICS_COLLECTION, TUTORIAL_COLLECTION } from "@/lib/content/documents";
 
-export async function getTutorials() {
-    try {
-        // if (!tutorial) {
-        //     console.log("Error: Invalid ID received: ", tutorial);
-        //     return;
-        // }
-        // console.log('params in getTutorial method: ', tutorial);
-
-        const collectionRef = collection(db, 'tutorial');
-        const querySnapshot = await getDocs(collectionRef);
-        const data = querySnapshot.docs.map((doc) => ({
-            ...doc.data(),
+// Layout in lib/content/documents.js; topics without a topic document are read
+// from the subject's `content` array. Documents are decoded to the current
+// content format as they are read.
+
+export function createFirestoreRepository(firestore = db) {
+    // Shared by getSubject and the getTopic fallback so a page and its
+    // metadata read the subject document once per request.
+    const readSubjectDocument = cache(async (id) => {
+        const docSnap = await getDoc(doc(firestore, TUTORIAL_COLLECTION, id));
+        if (!docSnap.exists()) {
+            return null;
+        }
+
+        return decodeSubject({
+            ...toPlainData(docSnap.data()),
+            id: docSnap.id,
+        });
+    });
+
+    async function readAllSubjects() {
+        const querySnapshot = await getDocs(collection(firestore, TUTORIAL_COLLECTION));
+        return querySnapshot.docs.map((doc) => toSubjectSummary(decodeSubject({
+            ...toPlainData(doc.data()),
             id: doc.id,
-          }));
-          return data;
-
-        // const docRef = doc(collection(db, "tutorial"), tutorial);
-        // const docSnap = await getDoc(query(docRef, where("name", "==", "Kotlin1")));
-        // return {
-        //     ...docSnap.data(),
-        //     id: docSnap.id
-        // };
-    } 
-    catch (error) {
-        console.error('Error getting documents: ', error);
-        
-        return {
-            error: 'failed to fetch data'
-        };
+        })));
     }
-    // try {
-    //     console.log('params in getTutorial method: ', tutorial);
-    //     const collectionRef = collection(db, 'tutorial');
-    //     const querySnapshot = await getDocs(collectionRef);
-    //     const data = querySnapshot.docs.map((doc) => ({
-    //         ...doc.data(),
-    //         id: doc.id,
-    //       }));
-    //       console.log('data in getTutorial method: ', data.map((tutorial) => (tutorial.id)));
-        
-    //       return data;
-    // } 
-    // catch (error) {
-    //     console.error('Error getting documents: ', error);
-        
-    //     return {
-    //         props: { error: 'failed to fetch data' }
-    //     };
-    // }
-}
\ No newline at end of file
+
+    return {
+        async listSubjects() {
+            const indexSnap = await getDoc(doc(firestore, INDEX_COLLECTION, INDEX_DOCUMENT));
+            if (indexSnap.exists()) {
+                return toPlainData(indexSnap.data().subjects).map(decodeSubject);
+            }
+
+            // No index published yet, build it from the full collection.
+            return readAllSubjects();
+        },
+
+        async getSubject(id) {
+            const subject = await readSubjectDocument(id);
+            return subject && toSubjectSummary(subject);
+        },
+
+        async getTopic(subjectId, url) {
+            const topicSnap = await getDoc(doc(firestore, TUTORIAL_COLLECTION, subjectId, TOPICS_COLLECTION, url));
+            if (topicSnap.exists()) {
+                return decodeTopic({
+                    ...toPlainData(topicSnap.data()),
+                    url: topicSnap.id,
+                }, subjectId);
+            }
+
+            // Topics not yet split out live inline in the subject document.
+            const subject = await readSubjectDocument(subjectId);
+            return (subject?.content ?? []).find((topic) => topic.url === url) ?? null;
+        },
+
+        async listTopics(subjectId) {
+            const [subject, topicsSnapshot] = await Promise.all([
+                readSubjectDocument(subjectId),
+                getDocs(collection(firestore, TUTORIAL_COLLECTION, subjectId, TOPICS_COLLECTION)),
+            ]);
+            if (!subject) {
+                return [];
+            }
+
+            // Split-out topic documents take precedence over the inline copies.
+            const topicDocs = new Map(topicsSnapshot.docs.map((doc) => [doc.id, decodeTopic(toPlainData(doc.data()), subjectId)]));
+            return (subject.content ?? []).map((topic) => ({
+                ...topic,
+                ...topicDocs.get(topic.url),
+            }));
+        },
+    };
+}
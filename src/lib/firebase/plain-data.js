@@ -0,0 +1,16 @@
+// Timestamps (e.g. a topic's `updatedAt`) become ISO strings so documents stay
+// plain data that can be passed to client components. Timestamps are told by
+// their toDate() rather than with instanceof, so the browser code using this
+// doesn't have to load Firestore up front.
+export function toPlainData(value) {
+    if (value && typeof value.toDate === "function") {
+        return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlainData);
+    }
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toPlainData(entry)]));
+    }
+    return value;
+}
@@ -0,0 +1,28 @@
+// Whether a Firebase ID token is valid and belongs to an account with the
+// `admin` claim. Checked with the Auth REST API, so the site needs no service
+// account; NEXT_PUBLIC_FIREBASE_AUTH_EMULATOR_HOST (or
+// FIREBASE_AUTH_EMULATOR_HOST) points it at the emulator.
+export async function isAdminToken(idToken) {
+    const emulator = process.env.FIREBASE_AUTH_EMULATOR_HOST ?? process.env.NEXT_PUBLIC_FIREBASE_AUTH_EMULATOR_HOST;
+    const host = emulator ? `http://${emulator}/identitytoolkit.googleapis.com` : "https://identitytoolkit.googleapis.com";
+    if (!idToken || !process.env.API_KEY) {
+        return false;
+    }
+
+    try {
+        const response = await fetch(`${host}/v1/accounts:lookup?key=${encodeURIComponent(process.env.API_KEY)}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ idToken }),
+            cache: "no-store",
+        });
+        if (!response.ok) {
+            return false;
+        }
+        const { users } = await response.json();
+        return JSON.parse(users?.[0]?.customAttributes || "{}").admin === true;
+    }
+    catch (error) {
+        return false;
+    }
+}
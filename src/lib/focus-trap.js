@@ -0,0 +1,58 @@
+import { useEffect, useRef } from 'react'
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Keeps keyboard focus inside `ref` while `active`: focuses its first control,
+// wraps Tab and Shift+Tab around, calls `onClose` on Escape and gives focus
+// back to whatever had it before once inactive. For menus, drawers and dialogs.
+export function useFocusTrap(ref, active, onClose) {
+    const onCloseRef = useRef(onClose);
+    onCloseRef.current = onClose;
+
+    useEffect(() => {
+        const container = ref.current;
+        if (!active || !container) {
+            return;
+        }
+
+        const previous = document.activeElement;
+        const focusable = () => [...container.querySelectorAll(FOCUSABLE)]
+            .filter((element) => element.getClientRects().length > 0);
+        (focusable()[0] ?? container).focus();
+
+        const onKeyDown = (event) => {
+            if (event.key === "Escape") {
+                event.preventDefault();
+                onCloseRef.current();
+                return;
+            }
+            if (event.key !== "Tab") {
+                return;
+            }
+
+            const elements = focusable();
+            if (elements.length === 0) {
+                event.preventDefault();
+                return;
+            }
+            const first = elements[0];
+            const last = elements[elements.length - 1];
+            if (event.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+                event.preventDefault();
+                last.focus();
+            }
+            else if (!event.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+                event.preventDefault();
+                first.focus();
+            }
+        };
+
+        document.addEventListener("keydown", onKeyDown);
+        return () => {
+            document.removeEventListener("keydown", onKeyDown);
+            if (previous instanceof HTMLElement && document.contains(previous)) {
+                previous.focus();
+            }
+        };
+    }, [ref, active]);
+}
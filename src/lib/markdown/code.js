@@ -0,0 +1,161 @@
+import { common, createLowlight } from "lowlight";
+import dart from "highlight.js/lib/languages/dart";
+import groovy from "highlight.js/lib/languages/groovy";
+import { SKIP, visit } from "unist-util-visit";
+
+const lowlight = createLowlight(common);
+lowlight.register({ dart, groovy });
+lowlight.registerAlias({ groovy: ["gradle"], kotlin: ["kts"] });
+
+// Fence meta, e.g. ```kotlin {2,4-6} title="MainActivity.kt" tab="Android"
+//   {…}     lines to highlight
+//   title   caption above the block (filename= works too)
+//   tab     label when consecutive blocks form a tabbed code group
+// Highlighted lines stop at `lineCount`, the number of lines in the block.
+export function parseCodeMeta(meta = "", lineCount = Infinity) {
+    const attributes = {};
+    for (const match of meta.matchAll(/(\w+)=(?:"([^"]*)"|'([^']*)'|(\S+))/g)) {
+        attributes[match[1]] = match[2] ?? match[3] ?? match[4];
+    }
+
+    const highlighted = new Set();
+    const ranges = /\{([\d,\s-]+)\}/.exec(meta);
+    for (const range of ranges ? ranges[1].split(",") : []) {
+        const [start, end = start] = range.trim().split("-").map(Number);
+        for (let line = start; line <= Math.min(end, lineCount); line++) {
+            highlighted.add(line);
+        }
+    }
+
+    return {
+        highlighted,
+        title: attributes.title ?? attributes.filename,
+        tab: attributes.tab,
+    };
+}
+
+// Wraps node in copies of the ancestor spans it came from.
+function wrap(node, ancestors) {
+    return ancestors.reduceRight((child, ancestor) => ({
+        type: "element",
+        tagName: ancestor.tagName,
+        properties: ancestor.properties,
+        children: [child],
+    }), node);
+}
+
+// Splits highlighted nodes into lines; spans crossing a line break are
+// repeated on each line so every line can be its own element.
+function splitLines(nodes) {
+    const lines = [[]];
+
+    const walk = (node, ancestors) => {
+        if (node.type === "text") {
+            node.value.split("\n").forEach((part, index) => {
+                if (index > 0) {
+                    lines.push([]);
+                }
+                if (part) {
+                    lines.at(-1).push(wrap({ type: "text", value: part }, ancestors));
+                }
+            });
+        }
+        else if (node.type === "element") {
+            node.children.forEach((child) => walk(child, [...ancestors, node]));
+        }
+    };
+    nodes.forEach((node) => walk(node, []));
+
+    if (lines.length > 1 && lines.at(-1).length === 0) {
+        lines.pop(); // trailing newline of the fence
+    }
+    return lines;
+}
+
+function highlightCode(code, language) {
+    if (language && lowlight.registered(language)) {
+        return lowlight.highlight(language, code).children;
+    }
+    return [{ type: "text", value: code }];
+}
+
+function codeText(node) {
+    return node.children.map((child) => (child.type === "text" ? child.value : "")).join("");
+}
+
+// Rehype plugin for fenced code: syntax highlighting, one span per line (line
+// numbers and highlighted lines are styled in globals.css) and title/tab meta
+// moved onto the <pre> as data attributes for the CodeBlock component.
+export function rehypeCodeBlocks() {
+    return (tree) => {
+        visit(tree, "element", (node) => {
+            const code = node.tagName === "pre" && node.children.find((child) => child.tagName === "code");
+            if (!code) {
+                return;
+            }
+
+            const languageClass = (code.properties.className ?? []).find((name) => String(name).startsWith("language-"));
+            const language = languageClass ? String(languageClass).slice("language-".length).toLowerCase() : undefined;
+            const lines = splitLines(highlightCode(codeText(code), language));
+            const { highlighted, title, tab } = parseCodeMeta(code.data?.meta ?? "", lines.length);
+
+            code.properties.className = ["hljs", ...(language ? [`language-${language}`] : [])];
+            code.children = lines.flatMap((line, index) => [
+                {
+                    type: "element",
+                    tagName: "span",
+                    properties: {
+                        className: ["code-line"],
+                        dataHighlighted: highlighted.has(index + 1) ? "true" : undefined,
+                    },
+                    children: line,
+                },
+                { type: "text", value: "\n" },
+            ]);
+
+            node.properties.dataLanguage = language;
+            node.properties.dataTitle = title;
+            node.properties.dataTab = tab;
+            node.properties.dataLineNumbers = lines.length > 1 ? "true" : undefined;
+        });
+    };
+}
+
+// Rehype plugin grouping consecutive code blocks that all have a `tab` into
+// a <code-group> element rendered as tabs.
+export function rehypeCodeGroups() {
+    return (tree) => {
+        visit(tree, (node) => {
+            if (!node.children || node.tagName === "code-group") {
+                return node.children ? SKIP : undefined;
+            }
+
+            const children = [];
+            let group = null;
+            for (const child of node.children) {
+                const isTab = child.type === "element" && child.tagName === "pre" && child.properties?.dataTab;
+                const isBlank = child.type === "text" && !child.value.trim();
+
+                if (isTab) {
+                    if (!group) {
+                        group = { type: "element", tagName: "code-group", properties: {}, children: [] };
+                        children.push(group);
+                    }
+                    child.properties.dataGrouped = "true";
+                    group.children.push(child);
+                }
+                else if (!(isBlank && group)) {
+                    group = null;
+                    children.push(child);
+                }
+            }
+
+            for (const element of children) {
+                if (element.tagName === "code-group") {
+                    element.properties.dataTabs = JSON.stringify(element.children.map((pre) => pre.properties.dataTab));
+                }
+            }
+            node.children = children;
+        });
+    };
+}
@@ -0,0 +1,51 @@
+import { visit } from "unist-util-visit";
+import { toString } from "mdast-util-to-string";
+
+// Heading levels that get an entry in the table of contents.
+export const TOC_DEPTHS = [2, 3, 4];
+
+// GitHub-style slugs, numbered when the same heading text repeats
+// ("usage", "usage-1", ...). One slugger is shared by all chunks of a page so
+// ids stay unique across the ad-split content.
+export function createSlugger() {
+    const seen = new Map();
+
+    return (text) => {
+        const base = text
+            .toLowerCase()
+            .trim()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+            .replace(/\s+/g, "-") || "section";
+
+        const count = seen.get(base) ?? 0;
+        seen.set(base, count + 1);
+        return count === 0 ? base : `${base}-${count}`;
+    };
+}
+
+// Headings of a parsed markdown (mdast) tree in document order.
+export function collectHeadings(tree, slug) {
+    const headings = [];
+    visit(tree, "heading", (node) => {
+        const text = toString(node).trim();
+        headings.push({
+            depth: node.depth,
+            text: text,
+            id: slug(text),
+        });
+    });
+    return headings;
+}
+
+// Rehype plugin giving the nth heading of a chunk the nth precomputed id, so
+// the rendered ids always match the table of contents.
+export function rehypeHeadingIds({ ids }) {
+    return (tree) => {
+        let index = 0;
+        visit(tree, "element", (node) => {
+            if (/^h[1-6]$/.test(node.tagName) && index < ids.length) {
+                node.properties.id = ids[index++];
+            }
+        });
+    };
+}
@@ -0,0 +1,68 @@
+import { visit } from "unist-util-visit";
+import manifest from "./image-manifest.json";
+import { SITE_URL } from "../site.js";
+
+// What the content column shows an image at, for picking from the srcset.
+export const IMAGE_SIZES = "(min-width: 1280px) 768px, (min-width: 768px) 70vw, 100vw";
+
+// Size and blur placeholder of an image in public/assets, recorded by
+// `npm run images`: { src, width, height, blurDataURL }, src being its path on
+// this site. null for other images (remote ones, or ones added since).
+export function imageInfo(src) {
+    if (typeof src !== "string") {
+        return null;
+    }
+    const path = decodeURI((src.startsWith(SITE_URL) ? src.slice(SITE_URL.length) : src).split(/[?#]/)[0]);
+    return manifest[path] ? { src: path, ...manifest[path] } : null;
+}
+
+const reported = new Set();
+
+function reportMissingAlt(src) {
+    if (process.env.NEXT_PHASE === "phase-production-build" && !reported.has(src)) {
+        reported.add(src);
+        console.warn(`warning  image ${src} has no alt text`);
+    }
+}
+
+function isWhitespace(node) {
+    return node.type === "text" && node.value.trim() === "";
+}
+
+// Rehype plugin turning a paragraph holding only an image into a figure, with
+// the image's Markdown title as its caption. The first image of a page
+// (`eager`) is loaded straight away, later ones as they scroll into view. Images
+// without alt text are reported while building, as the content CLI does.
+export function rehypeFigures({ eager = false } = {}) {
+    return (tree) => {
+        let first = eager;
+        visit(tree, "element", (node) => {
+            if (node.tagName === "img") {
+                if (first) {
+                    node.properties.dataPriority = "true";
+                    first = false;
+                }
+                if (!node.properties.alt) {
+                    reportMissingAlt(node.properties.src);
+                }
+                return;
+            }
+            if (node.tagName !== "p") {
+                return;
+            }
+
+            const content = node.children.filter((child) => !isWhitespace(child));
+            if (content.length !== 1 || content[0].tagName !== "img") {
+                return;
+            }
+
+            const image = content[0];
+            const caption = image.properties.title;
+            delete image.properties.title;
+            node.tagName = "figure";
+            node.children = caption
+                ? [image, { type: "element", tagName: "figcaption", properties: {}, children: [{ type: "text", value: caption }] }]
+                : [image];
+        });
+    };
+}
@@ -0,0 +1,69 @@
+import { unified } from "unified";
+import remarkParse from "remark-parse";
+import remarkGfm from "remark-gfm";
+import { TOC_DEPTHS, collectHeadings, createSlugger } from "./headings.js";
+import { planAdBreaks } from "../ads/placement.js";
+
+export { TOC_DEPTHS, rehypeHeadingIds } from "./headings.js";
+export { rehypeCodeBlocks, rehypeCodeGroups } from "./code.js";
+
+// Plugins every content renderer uses, so pre-parsing sees the same tree.
+export const remarkPlugins = [remarkGfm];
+
+// Editors place this marker where an in-article ad should go; without
+// markers ads are placed by the rules in lib/ads.
+export const AD_MARKER = /show-adsense-ad/;
+
+const parser = unified().use(remarkParse).use(remarkPlugins);
+
+// Markdown (mdast) tree of content, parsed the way pages render it.
+export function parseMarkdown(markdown) {
+    return parser.parse(markdown);
+}
+
+// Splits markdown where in-article ads go (planned by lib/ads with `adPolicy`,
+// none without one) and works out heading ids for every chunk up front:
+// { chunks: [{ markdown, headings, adAfter }], headings }.
+export function prepareContent(markdown, { adPolicy = null } = {}) {
+    // ad markers are taken out, remembering where they were
+    const markers = [];
+    const source = markdown.split(AD_MARKER).reduce((text, part, index) => {
+        if (index > 0) {
+            markers.push(text.length);
+        }
+        return text + part;
+    }, "");
+
+    const tree = parser.parse(source);
+    const breaks = adPolicy ? planAdBreaks(source, tree, markers, adPolicy) : [];
+
+    // link definitions go into every chunk so references still resolve
+    const definitions = tree.children
+        .filter((node) => node.type === "definition")
+        .map((node) => source.slice(node.position.start.offset, node.position.end.offset))
+        .join("\n");
+
+    const slug = createSlugger();
+    const chunks = [0, ...breaks].map((start, index, starts) => {
+        const text = source.slice(start, starts[index + 1] ?? source.length);
+        return {
+            markdown: definitions ? `${text}\n\n${definitions}` : text,
+            headings: collectHeadings(parser.parse(text), slug),
+            adAfter: index < breaks.length,
+        };
+    });
+
+    return {
+        chunks,
+        headings: chunks.flatMap((chunk) => chunk.headings),
+    };
+}
+
+// Fewer entries than this and a table of contents isn't worth showing.
+const MIN_TOC_ENTRIES = 3;
+
+// Entries for the table of contents, empty when the page is too short for one.
+export function tableOfContents(headings) {
+    const entries = headings.filter((heading) => TOC_DEPTHS.includes(heading.depth));
+    return entries.length >= MIN_TOC_ENTRIES ? entries : [];
+}
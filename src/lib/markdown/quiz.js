@@ -0,0 +1,124 @@
+import { parse } from "yaml";
+import { visit } from "unist-util-visit";
+
+// A ```quiz fence holds one question, or a list of them, as YAML:
+//
+//   ```quiz id="kotlin-variables"
+//   - question: Which keyword declares a read-only variable?
+//     options: [var, val, const]
+//     answer: val
+//     explanation: A `val` can't be reassigned once set.
+//   - question: Print a line with `___("Hello")`
+//     answer: [println, kotlin.io.println]
+//   ```
+//
+// Questions with `options` are multiple choice, those without are filled in
+// and accept any of their answers (ignoring case unless `caseSensitive: true`).
+// `question`, `options` and `explanation` are Markdown. The id keeps scores
+// apart when a page has several quizzes; it defaults to the first question.
+export const QUIZ_LANGUAGE = "quiz";
+
+function quizId(meta, questions) {
+    const id = /\bid=(?:"([^"]*)"|'([^']*)'|(\S+))/.exec(meta ?? "");
+    const source = id ? id[1] ?? id[2] ?? id[3] : questions[0]?.prompt ?? "quiz";
+    return source.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-|-$/g, "").slice(0, 60) || "quiz";
+}
+
+function toQuestion(entry, number) {
+    const errors = [];
+    if (!entry || typeof entry !== "object" || typeof entry.question !== "string" || !entry.question.trim()) {
+        return { errors: [`question ${number} has no question text`] };
+    }
+
+    const options = Array.isArray(entry.options) ? entry.options.map(String) : null;
+    const answers = (Array.isArray(entry.answer) ? entry.answer : [entry.answer])
+        .filter((answer) => answer !== undefined && answer !== null && String(answer).trim() !== "")
+        .map(String);
+
+    if (entry.options !== undefined && (!options || options.length < 2)) {
+        errors.push(`question ${number} needs at least two options`);
+    }
+    if (answers.length === 0) {
+        errors.push(`question ${number} has no answer`);
+    }
+    if (options && answers.length > 1) {
+        errors.push(`question ${number} is multiple choice and can only have one answer`);
+    }
+    if (options && answers.length === 1 && !options.includes(answers[0])) {
+        errors.push(`question ${number}: answer "${answers[0]}" isn't one of its options`);
+    }
+
+    return {
+        question: {
+            prompt: entry.question,
+            options: options,
+            answers: answers,
+            explanation: typeof entry.explanation === "string" ? entry.explanation : null,
+            caseSensitive: entry.caseSensitive === true,
+        },
+        errors: errors,
+    };
+}
+
+// { id, questions, errors } of a quiz fence's text and meta.
+export function parseQuiz(source, meta) {
+    let data;
+    try {
+        data = parse(source);
+    }
+    catch (error) {
+        return { id: "quiz", questions: [], errors: [`quiz isn't valid YAML: ${error.message.split("\n")[0]}`] };
+    }
+
+    const entries = Array.isArray(data) ? data : [data];
+    const parsed = entries.map((entry, index) => toQuestion(entry, index + 1));
+    const questions = parsed.map((result) => result.question).filter(Boolean);
+    return {
+        id: quizId(meta, questions),
+        questions: questions,
+        errors: parsed.flatMap((result) => result.errors),
+    };
+}
+
+function isQuizFence(node) {
+    const code = node.tagName === "pre" && node.children.find((child) => child.tagName === "code");
+    return code && (code.properties.className ?? []).includes(`language-${QUIZ_LANGUAGE}`) ? code : null;
+}
+
+function codeText(node) {
+    return node.children.map((child) => (child.type === "text" ? child.value : "")).join("");
+}
+
+// Quiz fences in an mdast tree, for the content CLI: [{ id, questions, errors }].
+export function findQuizzes(tree) {
+    const quizzes = [];
+    visit(tree, "code", (node) => {
+        if (node.lang === QUIZ_LANGUAGE) {
+            quizzes.push(parseQuiz(node.value, node.meta));
+        }
+    });
+    return quizzes;
+}
+
+// Rehype plugin turning quiz fences into <quiz-block> elements carrying the
+// parsed quiz, rendered by the Quiz components. A fence with mistakes stays a
+// code block; `npm run content -- validate` lists them. Runs before
+// rehypeCodeBlocks so the YAML isn't highlighted.
+export function rehypeQuizzes() {
+    return (tree) => {
+        visit(tree, "element", (node) => {
+            const code = isQuizFence(node);
+            if (!code) {
+                return;
+            }
+
+            const quiz = parseQuiz(codeText(code), code.data?.meta);
+            if (quiz.errors.length > 0 || quiz.questions.length === 0) {
+                return;
+            }
+            node.tagName = "quiz-block";
+            node.properties = { dataQuiz: JSON.stringify({ id: quiz.id, questions: quiz.questions }) };
+            node.children = [];
+        });
+    };
+}
@@ -0,0 +1,86 @@
+import { SITE_LOCALE, SITE_LOGO, SITE_NAME, absoluteUrl } from "@/lib/site";
+
+// Feeds served by lib/feed, for the site at /<file> and per subject at
+// /<subject>/<file>.
+export const FEED_FORMATS = {
+    rss: { file: "feed.xml", type: "application/rss+xml" },
+    atom: { file: "atom.xml", type: "application/atom+xml" },
+    json: { file: "feed.json", type: "application/feed+json" },
+};
+
+// alternates.types announcing the site's feeds, and `feed` ({ path, title })
+// when the page belongs to a subject with its own.
+function feedLinks(feed) {
+    const feeds = [{ path: "", title: SITE_NAME }, ...(feed ? [feed] : [])];
+    return Object.fromEntries(Object.values(FEED_FORMATS).map(({ file, type }) => [
+        type,
+        feeds.map(({ path, title }) => ({ url: absoluteUrl(`${path}/${file}`), title: title })),
+    ]));
+}
+
+// First markdown image of a topic body, used as its social preview image.
+export function findFirstImage(markdown = "") {
+    const match = /!\[[^\]]*\]\(\s*([^)\s]+)/.exec(markdown);
+    return match ? match[1] : undefined;
+}
+
+// Page metadata with canonical URL, Open Graph and Twitter card. Next merges
+// metadata shallowly, so every page builds complete openGraph/twitter objects
+// here rather than relying on the root layout for parts of them.
+export function buildMetadata({
+    title,
+    description,
+    keywords,
+    path,
+    type = "website",
+    image,
+    publishedTime,
+    modifiedTime,
+    section,
+    author,
+    tags,
+    feed,
+    noIndex = false,
+}) {
+    const url = absoluteUrl(path);
+    const images = [{
+        url: absoluteUrl(image || SITE_LOGO),
+        alt: title || SITE_NAME,
+    }];
+
+    const openGraph = {
+        title: title,
+        description: description,
+        url: url,
+        siteName: SITE_NAME,
+        locale: SITE_LOCALE,
+        type: type,
+        images: images,
+    };
+    if (type === "article") {
+        openGraph.publishedTime = publishedTime;
+        openGraph.modifiedTime = modifiedTime;
+        openGraph.section = section;
+        openGraph.authors = author ? [author] : undefined;
+        openGraph.tags = tags?.length ? tags : undefined;
+    }
+
+    return {
+        title: title,
+        description: description,
+        keywords: keywords,
+        authors: author ? [{ name: author }] : undefined,
+        alternates: {
+            canonical: url,
+            types: feedLinks(feed),
+        },
+        openGraph: openGraph,
+        twitter: {
+            card: image ? "summary_large_image" : "summary",
+            title: title,
+            description: description,
+            images: images.map((entry) => entry.url),
+        },
+        robots: noIndex ? { index: false, follow: true } : undefined,
+    }
+}
@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react'
+
+// Completed lessons are kept per browser in localStorage as
+// { [subjectId]: [topicUrl, ...] }.
+const STORAGE_KEY = "droidbiz:completed-lessons";
+// Fired on window so every mounted component sees changes made in this tab,
+// the "storage" event covers other tabs.
+const CHANGE_EVENT = "droidbiz:completed-lessons-change";
+
+function readProgress() {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    }
+    catch (error) {
+        return {};
+    }
+}
+
+function writeProgress(progress) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+    }
+    catch (error) {
+        // storage full or disabled, progress just isn't remembered
+    }
+    window.dispatchEvent(new Event(CHANGE_EVENT));
+}
+
+export function getCompletedLessons(subject) {
+    return readProgress()[subject] ?? [];
+}
+
+export function markLessonComplete(subject, url) {
+    const progress = readProgress();
+    const completed = progress[subject] ?? [];
+    if (completed.includes(url)) {
+        return;
+    }
+
+    writeProgress({
+        ...progress,
+        [subject]: [...completed, url],
+    });
+}
+
+// Every subject's completed lessons, { [subjectId]: [topicUrl, ...] }.
+export function getAllCompletedLessons() {
+    return readProgress();
+}
+
+// Adds lessons completed elsewhere (another device, see lib/account.js).
+// Nothing is written when they're all known already.
+export function mergeCompletedLessons(other) {
+    const progress = readProgress();
+    let changed = false;
+    const merged = { ...progress };
+    for (const [subject, urls] of Object.entries(other ?? {})) {
+        const completed = merged[subject] ?? [];
+        const added = (Array.isArray(urls) ? urls : []).filter((url) => !completed.includes(url));
+        if (added.length > 0) {
+            merged[subject] = [...completed, ...added];
+            changed = true;
+        }
+    }
+    if (changed) {
+        writeProgress(merged);
+    }
+}
+
+// Calls listener whenever completed lessons change, in this tab or another.
+// Returns a function removing it.
+export function onProgressChange(listener) {
+    window.addEventListener(CHANGE_EVENT, listener);
+    window.addEventListener("storage", listener);
+    return () => {
+        window.removeEventListener(CHANGE_EVENT, listener);
+        window.removeEventListener("storage", listener);
+    };
+}
+
+// Completed topic urls of a subject, kept in sync with localStorage.
+export function useCompletedLessons(subject) {
+    const [completed, setCompleted] = useState([]);
+
+    useEffect(() => {
+        const update = () => setCompleted(getCompletedLessons(subject));
+        update();
+        return onProgressChange(update);
+    }, [subject]);
+
+    return completed;
+}
@@ -0,0 +1,91 @@
+import { useEffect, useState } from 'react'
+
+// Quiz results are kept per browser in localStorage as
+// { [subjectId]: { [topicUrl]: { [quizId]: { score, best, total } } } },
+// score being the latest attempt.
+const STORAGE_KEY = "droidbiz:quiz-scores";
+// Fired on window so every mounted component sees changes made in this tab,
+// the "storage" event covers other tabs.
+const CHANGE_EVENT = "droidbiz:quiz-scores-change";
+
+function readScores() {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    }
+    catch (error) {
+        return {};
+    }
+}
+
+function writeScores(scores) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(scores));
+    }
+    catch (error) {
+        // storage full or disabled, scores just aren't remembered
+    }
+    window.dispatchEvent(new Event(CHANGE_EVENT));
+}
+
+export function getQuizResult(subject, topic, quizId) {
+    return readScores()[subject]?.[topic]?.[quizId] ?? null;
+}
+
+export function saveQuizResult(subject, topic, quizId, score, total) {
+    const scores = readScores();
+    const topics = scores[subject] ?? {};
+    const quizzes = topics[topic] ?? {};
+    const previous = quizzes[quizId];
+
+    writeScores({
+        ...scores,
+        [subject]: {
+            ...topics,
+            [topic]: {
+                ...quizzes,
+                [quizId]: { score, best: Math.max(score, previous?.best ?? 0), total },
+            },
+        },
+    });
+}
+
+// Best scores of a subject per topic, all quizzes of a topic added up:
+// { [topicUrl]: { score, total } }.
+export function getSubjectQuizScores(subject) {
+    const topics = readScores()[subject] ?? {};
+    return Object.fromEntries(Object.entries(topics).map(([topic, quizzes]) => [
+        topic,
+        Object.values(quizzes).reduce((sum, quiz) => ({
+            score: sum.score + quiz.best,
+            total: sum.total + quiz.total,
+        }), { score: 0, total: 0 }),
+    ]));
+}
+
+// Totals over the topics of getSubjectQuizScores: { score, total, topics }.
+export function summarizeQuizScores(scores) {
+    return Object.values(scores).reduce((sum, topic) => ({
+        score: sum.score + topic.score,
+        total: sum.total + topic.total,
+        topics: sum.topics + 1,
+    }), { score: 0, total: 0, topics: 0 });
+}
+
+// getSubjectQuizScores, kept in sync with localStorage.
+export function useQuizScores(subject) {
+    const [scores, setScores] = useState({});
+
+    useEffect(() => {
+        const update = () => setScores(getSubjectQuizScores(subject));
+        update();
+
+        window.addEventListener(CHANGE_EVENT, update);
+        window.addEventListener("storage", update);
+        return () => {
+            window.removeEventListener(CHANGE_EVENT, update);
+            window.removeEventListener("storage", update);
+        };
+    }, [subject]);
+
+    return scores;
+}
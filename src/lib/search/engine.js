@@ -0,0 +1,186 @@
+// Small in-memory full-text search: BM25 ranking over weighted fields, prefix
+// matching on the last query term (for search-as-you-type) and highlighted
+// snippets. Everything here is plain data so results can be sent as JSON.
+
+const FIELD_WEIGHTS = {
+    title: 5,
+    keywords: 3,
+    shortDesc: 2,
+    text: 1,
+};
+
+const K1 = 1.2;
+const B = 0.75;
+const MAX_PREFIX_EXPANSIONS = 20;
+const SNIPPET_LENGTH = 180;
+
+// Turns topic markdown into searchable plain text.
+export function toPlainText(markdown = "") {
+    return markdown
+        .replaceAll("show-adsense-ad", " ")
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, " ") // images
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1") // links keep their text
+        .replace(/<[^>]+>/g, " ") // html tags
+        .replace(/[#>*_`|~\\]+|-{2,}/g, " ") // markdown punctuation, table rules
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+export function tokenize(text = "") {
+    return text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((token) => token.length > 1);
+}
+
+// documents: [{ id, title, keywords, shortDesc, text, ...anything returned with results }]
+export function buildSearchIndex(documents) {
+    const postings = new Map(); // term -> Map(document index -> weighted term frequency)
+    const lengths = [];
+
+    documents.forEach((document, index) => {
+        let length = 0;
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+            for (const term of tokenize(document[field])) {
+                if (!postings.has(term)) {
+                    postings.set(term, new Map());
+                }
+                const frequencies = postings.get(term);
+                frequencies.set(index, (frequencies.get(index) ?? 0) + weight);
+                length += weight;
+            }
+        }
+        lengths.push(length);
+    });
+
+    const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1);
+
+    return {
+        documents,
+        postings,
+        lengths,
+        averageLength,
+        terms: [...postings.keys()].sort(),
+    };
+}
+
+// Index terms matching a query term; the last term of the query also matches
+// as a prefix, weighted a little lower than an exact hit.
+function expandTerm(index, term, isLast) {
+    const matches = index.postings.has(term) ? [{ term, boost: 1 }] : [];
+    if (!isLast) {
+        return matches;
+    }
+
+    for (const candidate of index.terms) {
+        if (matches.length > MAX_PREFIX_EXPANSIONS) {
+            break;
+        }
+        if (candidate !== term && candidate.startsWith(term)) {
+            matches.push({ term: candidate, boost: 0.7 });
+        }
+    }
+    return matches;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Splits text into [{ text, highlight }] segments marking every word that
+// starts with one of the query terms.
+export function highlight(text, terms) {
+    if (!text || terms.length === 0) {
+        return text ? [{ text, highlight: false }] : [];
+    }
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`, "giu");
+    const segments = [];
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        if (match.index > last) {
+            segments.push({ text: text.slice(last, match.index), highlight: false });
+        }
+        segments.push({ text: match[0], highlight: true });
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) {
+        segments.push({ text: text.slice(last), highlight: false });
+    }
+    return segments;
+}
+
+// A window of the text around the passage matching the most query terms, as
+// highlighted segments.
+export function snippet(text, terms) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")})`, "giu");
+    const matches = [...text.matchAll(pattern)].slice(0, 100)
+        .map((match) => ({ position: match.index, term: match[0].toLowerCase() }));
+
+    let first = 0;
+    let bestCount = 0;
+    for (const { position } of matches) {
+        const window = matches.filter((match) => match.position >= position && match.position < position + SNIPPET_LENGTH / 2);
+        const count = new Set(window.map((match) => match.term)).size;
+        if (count > bestCount) {
+            bestCount = count;
+            first = position;
+        }
+    }
+
+    let start = Math.max(0, first - SNIPPET_LENGTH / 3);
+    if (start > 0) {
+        start = text.indexOf(" ", start) + 1 || start; // don't cut a word in half
+    }
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+        end = text.lastIndexOf(" ", end) > start ? text.lastIndexOf(" ", end) : end;
+    }
+
+    const excerpt = `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+    return highlight(excerpt, terms);
+}
+
+// Ranked results: the indexed document fields plus score, highlighted title
+// and snippet segments.
+export function search(index, query, { limit = 10 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+        return [];
+    }
+
+    const documentCount = index.documents.length;
+    const scores = new Map(); // document index -> { score, matched query terms }
+
+    queryTerms.forEach((queryTerm, position) => {
+        for (const { term, boost } of expandTerm(index, queryTerm, position === queryTerms.length - 1)) {
+            const frequencies = index.postings.get(term);
+            const idf = Math.log(1 + (documentCount - frequencies.size + 0.5) / (frequencies.size + 0.5));
+
+            for (const [documentIndex, frequency] of frequencies) {
+                const normalization = K1 * (1 - B + B * index.lengths[documentIndex] / index.averageLength);
+                const termScore = boost * idf * (frequency * (K1 + 1)) / (frequency + normalization);
+
+                const entry = scores.get(documentIndex) ?? { score: 0, matched: new Set() };
+                entry.score += termScore;
+                entry.matched.add(queryTerm);
+                scores.set(documentIndex, entry);
+            }
+        }
+    });
+
+    return [...scores.entries()]
+        // documents matching more of the query rank above partial matches
+        .map(([documentIndex, { score, matched }]) => [documentIndex, score * matched.size / queryTerms.length])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([documentIndex, score]) => {
+            const { text, ...document } = index.documents[documentIndex];
+            return {
+                ...document,
+                score,
+                titleSegments: highlight(document.title, queryTerms),
+                snippet: snippet(text || document.shortDesc || "", queryTerms),
+            };
+        });
+}
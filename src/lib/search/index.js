@@ -0,0 +1,46 @@
+import { listSubjects, listTopics } from "@/lib/content";
+import { buildSearchIndex, search, toPlainText } from "./engine";
+
+// The index covers every topic body, so it is built once and reused by all
+// requests until it is older than this.
+const INDEX_TTL = 10 * 60 * 1000;
+
+let cachedIndex;
+
+async function loadDocuments() {
+    const subjects = await listSubjects();
+    const topicsBySubject = await Promise.all(subjects.map((subject) => listTopics(subject.id)));
+
+    return subjects.flatMap((subject, index) => topicsBySubject[index].map((topic) => ({
+        id: `${subject.id}/${topic.url}`,
+        href: "/" + subject.id + "/" + topic.url,
+        subject: subject.name ?? subject.id,
+        title: topic.title,
+        // front matter can give keywords as a list
+        keywords: Array.isArray(topic.keywords) ? topic.keywords.join(" ") : topic.keywords,
+        shortDesc: toPlainText(topic.shortDesc),
+        text: toPlainText(topic.content),
+    })));
+}
+
+export function getSearchIndex() {
+    if (!cachedIndex || Date.now() - cachedIndex.builtAt > INDEX_TTL) {
+        const entry = {
+            builtAt: Date.now(),
+            index: loadDocuments().then(buildSearchIndex),
+        };
+        entry.index.catch(() => {
+            if (cachedIndex === entry) {
+                cachedIndex = undefined; // don't keep serving a failed build
+            }
+        });
+        cachedIndex = entry;
+    }
+    return cachedIndex.index;
+}
+
+// Ranked results for a query across all tutorials and blogs.
+export async function searchSite(query, options) {
+    const index = await getSearchIndex();
+    return search(index, query, options);
+}
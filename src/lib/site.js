@@ -0,0 +1,14 @@
+// Public origin of the site, used wherever an absolute URL is needed.
+export const SITE_URL = (process.env.NEXT_PUBLIC_SITE_URL || "https://www.droidbiz.in").replace(/\/$/, "");
+
+export const SITE_NAME = "DroidBiz";
+export const SITE_TITLE = "DroidBiz - Android, Kotlin and Flutter tutorials";
+export const SITE_DESCRIPTION = "Step-by-step tutorials and blogs on Android, Kotlin, Jetpack Compose, Flutter and Kotlin Multiplatform development.";
+export const SITE_LOCALE = "en_US";
+export const SITE_LOGO = "/logo.png";
+
+export const GOOGLE_SITE_VERIFICATION = "DzEo_8OpTDL4aq1q8mfcjmCQEaQC5jGbJcOm58hzRhs";
+
+export function absoluteUrl(path = "/") {
+    return new URL(path, SITE_URL).toString();
+}
@@ -0,0 +1,114 @@
+import { listSubjects } from "@/lib/content";
+import { absoluteUrl } from "@/lib/site";
+import { BLOG_SUBJECT, RESERVED_BLOG_URLS, blogPageHref, listPosts, listTags, pageCount, postsWithTag } from "@/lib/blog";
+
+// Protocol limit for a single sitemap file; above it /sitemap.xml becomes a
+// sitemap index pointing at /sitemaps/<n>.xml.
+export const MAX_URLS_PER_SITEMAP = 50000;
+
+function toISODate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : undefined;
+}
+
+function latest(values) {
+    return values.map(toISODate).filter(Boolean).sort().at(-1);
+}
+
+// Every public page with the time its content last changed.
+export async function getSitemapEntries() {
+    const subjects = await listSubjects();
+    const blogs = subjects.find((subject) => subject.id === BLOG_SUBJECT);
+    const posts = listPosts(blogs);
+    const blogsModified = latest(posts.map((topic) => topic.updatedAt));
+
+    // the home page lists the latest posts, /blogs and its numbered pages all
+    // of them; a new post moves every post down a page
+    const entries = [{ url: absoluteUrl("/"), lastModified: blogsModified }];
+    if (blogs) {
+        for (let page = 1; page <= pageCount(posts); page++) {
+            entries.push({ url: absoluteUrl(blogPageHref(page)), lastModified: blogsModified });
+        }
+    }
+    for (const tag of listTags(posts)) {
+        entries.push({
+            url: absoluteUrl(`/blogs/tag/${tag.slug}`),
+            lastModified: latest(postsWithTag(posts, tag.slug).map((topic) => topic.updatedAt)),
+        });
+    }
+
+    for (const subject of subjects) {
+        if (subject.id !== BLOG_SUBJECT) {
+            entries.push({
+                url: absoluteUrl(`/${subject.id}`),
+                lastModified: latest(subject.content.map((topic) => topic.updatedAt)),
+            });
+        }
+
+        for (const topic of subject.content) {
+            // posts with these urls are hidden behind the blog listings
+            if (subject.id === BLOG_SUBJECT && RESERVED_BLOG_URLS.includes(topic.url)) {
+                continue;
+            }
+            entries.push({
+                url: absoluteUrl(`/${subject.id}/${topic.url}`),
+                lastModified: toISODate(topic.updatedAt),
+            });
+        }
+    }
+
+    return entries;
+}
+
+// Entries split into sitemap-sized pages.
+export function paginateSitemap(entries) {
+    const pages = [];
+    for (let start = 0; start < entries.length; start += MAX_URLS_PER_SITEMAP) {
+        pages.push(entries.slice(start, start + MAX_URLS_PER_SITEMAP));
+    }
+    return pages;
+}
+
+export function escapeXml(text) {
+    return text
+        .replaceAll("&", "&amp;")
+        .replaceAll("<", "&lt;")
+        .replaceAll(">", "&gt;")
+        .replaceAll('"', "&quot;")
+        .replaceAll("'", "&apos;");
+}
+
+function renderEntry(tag, { url, lastModified }) {
+    const lastmod = lastModified ? `\n    <lastmod>${lastModified}</lastmod>` : "";
+    return `  <${tag}>\n    <loc>${escapeXml(url)}</loc>${lastmod}\n  </${tag}>`;
+}
+
+export function renderUrlset(entries) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map((entry) => renderEntry("url", entry)).join("\n")}
+</urlset>
+`;
+}
+
+export function renderSitemapIndex(pages) {
+    const sitemaps = pages.map((page, index) => ({
+        url: absoluteUrl(`/sitemaps/${index + 1}.xml`),
+        lastModified: latest(page.map((entry) => entry.lastModified)),
+    }));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.map((sitemap) => renderEntry("sitemap", sitemap)).join("\n")}
+</sitemapindex>
+`;
+}
+
+export function xmlResponse(body) {
+    return new Response(body, {
+        headers: {
+            "Content-Type": "application/xml; charset=utf-8",
+            "Cache-Control": "public, s-maxage=3600, stale-while-revalidate=86400",
+        },
+    });
+}
@@ -0,0 +1,85 @@
+import { SITE_DESCRIPTION, SITE_LOGO, SITE_NAME, SITE_URL, absoluteUrl } from "@/lib/site";
+
+// schema.org objects rendered as JSON-LD by components/JsonLd.
+
+const publisher = {
+    "@type": "Organization",
+    name: SITE_NAME,
+    url: SITE_URL,
+    logo: {
+        "@type": "ImageObject",
+        url: absoluteUrl(SITE_LOGO),
+    },
+};
+
+export function websiteJsonLd() {
+    return {
+        "@context": "https://schema.org",
+        "@type": "WebSite",
+        name: SITE_NAME,
+        url: SITE_URL,
+        description: SITE_DESCRIPTION,
+        potentialAction: {
+            "@type": "SearchAction",
+            target: {
+                "@type": "EntryPoint",
+                urlTemplate: `${absoluteUrl("/search")}?q={search_term_string}`,
+            },
+            "query-input": "required name=search_term_string",
+        },
+    };
+}
+
+// items: [{ name, path }] from the home page down to the current page
+export function breadcrumbJsonLd(items) {
+    return {
+        "@context": "https://schema.org",
+        "@type": "BreadcrumbList",
+        itemListElement: items.map((item, index) => ({
+            "@type": "ListItem",
+            position: index + 1,
+            name: item.name,
+            item: absoluteUrl(item.path),
+        })),
+    };
+}
+
+// type is "TechArticle" for tutorial topics and "BlogPosting" for blogs;
+// without an author's name the site is credited.
+export function articleJsonLd({ type, title, description, path, image, keywords, section, author, publishedTime, modifiedTime }) {
+    return {
+        "@context": "https://schema.org",
+        "@type": type,
+        headline: title,
+        description: description,
+        url: absoluteUrl(path),
+        mainEntityOfPage: absoluteUrl(path),
+        image: absoluteUrl(image || SITE_LOGO),
+        keywords: keywords,
+        articleSection: section,
+        datePublished: publishedTime,
+        dateModified: modifiedTime ?? publishedTime,
+        inLanguage: "en",
+        author: author ? { "@type": "Person", name: author } : publisher,
+        publisher: publisher,
+    };
+}
+
+export function courseJsonLd(subjectDetails) {
+    return {
+        "@context": "https://schema.org",
+        "@type": "Course",
+        name: subjectDetails.titleTag ?? subjectDetails.name,
+        description: subjectDetails.descriptionTag,
+        url: absoluteUrl(`/${subjectDetails.id}`),
+        keywords: subjectDetails.keywords,
+        inLanguage: "en",
+        isAccessibleForFree: true,
+        provider: publisher,
+        hasPart: subjectDetails.content.map((topic) => ({
+            "@type": "TechArticle",
+            headline: topic.title,
+            url: absoluteUrl(`/${subjectDetails.id}/${topic.url}`),
+        })),
+    };
+}
@@ -0,0 +1,119 @@
+// Colour theme and reader settings, kept per browser in localStorage. They're
+// applied to <html> as the `dark` class and data-font-size, data-line-width and
+// data-reader-font attributes (styled in globals.css). themeScript applies
+// them before the first paint so a page never flashes the wrong theme. No
+// React here, the root layout imports themeScript on the server.
+const THEME_KEY = "droidbiz:theme";
+const READER_KEY = "droidbiz:reader";
+// Fired on window so every mounted component sees changes made in this tab,
+// the "storage" event covers other tabs.
+const CHANGE_EVENT = "droidbiz:appearance-change";
+
+export const THEMES = ["light", "dark", "system"];
+
+export const READER_SETTINGS = {
+    fontSize: { values: ["small", "medium", "large", "x-large"], default: "medium" },
+    lineWidth: { values: ["narrow", "medium", "wide"], default: "wide" },
+    font: { values: ["sans", "serif"], default: "sans" },
+};
+
+// Also runs as an inline script in <head>, before React or any import is
+// available: it can only use its arguments and browser APIs.
+function applyAppearance(themeKey, readerKey) {
+    try {
+        var theme = localStorage.getItem(themeKey) || "system";
+        var reader = JSON.parse(localStorage.getItem(readerKey) || "{}") || {};
+        var dark = theme === "dark"
+            || (theme === "system" && window.matchMedia("(prefers-color-scheme: dark)").matches);
+        var root = document.documentElement;
+        root.classList.toggle("dark", dark);
+        root.style.colorScheme = dark ? "dark" : "light";
+        var attributes = { fontSize: "data-font-size", lineWidth: "data-line-width", font: "data-reader-font" };
+        Object.keys(attributes).forEach(function (name) {
+            if (typeof reader[name] === "string") {
+                root.setAttribute(attributes[name], reader[name]);
+            }
+            else {
+                root.removeAttribute(attributes[name]);
+            }
+        });
+    }
+    catch (error) {
+        // storage disabled, the defaults apply
+    }
+}
+
+export const themeScript = `(${applyAppearance.toString()})(${JSON.stringify(THEME_KEY)}, ${JSON.stringify(READER_KEY)})`;
+
+function readTheme() {
+    try {
+        const theme = window.localStorage.getItem(THEME_KEY);
+        return THEMES.includes(theme) ? theme : "system";
+    }
+    catch (error) {
+        return "system";
+    }
+}
+
+function readReaderSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(window.localStorage.getItem(READER_KEY)) || {};
+    }
+    catch (error) {
+        // storage disabled or invalid, the defaults apply
+    }
+
+    const settings = {};
+    Object.entries(READER_SETTINGS).forEach(([name, setting]) => {
+        settings[name] = setting.values.includes(stored[name]) ? stored[name] : setting.default;
+    });
+    return settings;
+}
+
+function save(key, value) {
+    try {
+        window.localStorage.setItem(key, value);
+    }
+    catch (error) {
+        // storage full or disabled, the setting only lasts for this page
+    }
+    applyAppearance(THEME_KEY, READER_KEY);
+    window.dispatchEvent(new Event(CHANGE_EVENT));
+}
+
+export function setTheme(theme) {
+    save(THEME_KEY, theme);
+}
+
+export function setReaderSetting(name, value) {
+    save(READER_KEY, JSON.stringify({ ...readReaderSettings(), [name]: value }));
+}
+
+// { theme, dark, reader } as currently applied.
+export function readAppearance() {
+    return {
+        theme: readTheme(),
+        dark: document.documentElement.classList.contains("dark"),
+        reader: readReaderSettings(),
+    };
+}
+
+// Calls `listener` after every change, made in this tab, another tab or to
+// the system theme. Returns a function removing it.
+export function onAppearanceChange(listener) {
+    const system = window.matchMedia("(prefers-color-scheme: dark)");
+    const reapply = () => {
+        applyAppearance(THEME_KEY, READER_KEY);
+        listener();
+    };
+
+    window.addEventListener(CHANGE_EVENT, listener);
+    window.addEventListener("storage", reapply);
+    system.addEventListener("change", reapply);
+    return () => {
+        window.removeEventListener(CHANGE_EVENT, listener);
+        window.removeEventListener("storage", reapply);
+        system.removeEventListener("change", reapply);
+    };
+}
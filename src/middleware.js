@@ -0,0 +1,40 @@
+import { NextResponse } from "next/server";
+import { CONSENT_REGION_COOKIE } from "@/lib/consent";
+
+// EEA, UK and Switzerland: ads and analytics wait for the visitor's consent.
+const CONSENT_COUNTRIES = new Set([
+    "AT", "BE", "BG", "CH", "CY", "CZ", "DE", "DK", "EE", "ES", "FI", "FR", "GB", "GR", "HR", "HU",
+    "IE", "IS", "IT", "LI", "LT", "LU", "LV", "MT", "NL", "NO", "PL", "PT", "RO", "SE", "SI", "SK",
+]);
+
+// The visitor's country as reported by the hosting platform, if any.
+function countryOf(request) {
+    return request.geo?.country
+        ?? request.headers.get("x-vercel-ip-country")
+        ?? request.headers.get("cf-ipcountry");
+}
+
+// Tells the browser whether the visitor's region requires consent, see
+// src/lib/consent.js. Pages stay static; only the cookie varies.
+export function middleware(request) {
+    const response = NextResponse.next();
+    const country = countryOf(request)?.toUpperCase();
+    if (!country || country === "XX") {
+        return response;
+    }
+
+    const region = CONSENT_COUNTRIES.has(country) ? "eu" : "other";
+    if (request.cookies.get(CONSENT_REGION_COOKIE)?.value !== region) {
+        response.cookies.set(CONSENT_REGION_COOKIE, region, {
+            path: "/",
+            maxAge: 60 * 60 * 24 * 30,
+            sameSite: "lax",
+        });
+    }
+    return response;
+}
+
+// Feeds (/feed.xml, /kotlin/atom.xml...) are cached by CDNs, so no cookie.
+export const config = {
+    matcher: ["/((?!api|_next/static|_next/image|assets|favicon.ico|robots.txt|sitemap|(?:[^/]+/)?(?:feed\\.xml|atom\\.xml|feed\\.json)$).*)"],
+};